@@ -1,3 +1,7 @@
 module.exports = {
-  extends: ['nicenice']
+  extends: ['nicenice'],
+  settings: {
+    // Node 16+, which the resolver doesn't know yet
+    'import/core-modules': ['stream/web'],
+  },
 }
@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+const { run } = require('../src/cli')
+
+run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode
+})
@@ -2,12 +2,17 @@ const fs = require('fs')
 const path = require('path')
 const Anvil = require('../../src/index')
 const argv = require('yargs')
-  .usage('Usage: $0 apiKey documentGroupEid [-s]')
+  .usage('Usage: $0 apiKey documentGroupEid [-s] [-x]')
   .option('stream', {
     alias: 's',
     type: 'boolean',
     description: 'Return the data as a stream (default is buffer)',
   })
+  .option('extract', {
+    alias: 'x',
+    type: 'boolean',
+    description: 'Unzip the documents into this directory',
+  })
   .demandCommand(2).argv
 
 const [apiKey, documentGroupEid] = argv._
@@ -20,6 +25,12 @@ async function main () {
 
   const client = new Anvil(clientOptions)
 
+  if (argv.extract) {
+    const { statusCode, files, errors } = await client.saveDocuments(documentGroupEid, __dirname)
+    console.log(statusCode, JSON.stringify(files || errors, null, 2))
+    return
+  }
+
   const downloadOptions = {}
   if (returnAStream) downloadOptions.dataType = 'stream'
 
@@ -0,0 +1,146 @@
+const { createAgent } = require('./agents')
+
+// Client options that createAgent reads
+const AGENT_OPTIONS = ['keepAlive', 'ca', 'proxy']
+
+/**
+ * Clients for many organizations, each with its own credentials and rate
+ * limiter, sharing keep-alive connections. Clients are created on first use
+ * and evicted once idle.
+ */
+class ClientPool {
+  /**
+   * @param  {function} Anvil - The client class
+   * @param  {object} options
+   * @param  {function} options.resolveCredentials - `async (key) => options`
+   *   resolving the client options for an organization, e.g. `{ apiKey }`
+   * @param  {object} options.clientOptions - _optional_ Options shared by every
+   *   client. Those from resolveCredentials take precedence. Its rateLimit must
+   *   be options, not a RateLimiter, so that each client has its own. A client
+   *   whose credentials set keepAlive, ca or proxy gets an agent of its own.
+   * @param  {number} options.idleTimeoutMS - _optional_ Evict clients unused for
+   *   this long. Defaults to 10 minutes. 0 keeps them until evicted.
+   * @param  {number} options.maxClients - _optional_ Evict the least recently
+   *   used client beyond this many. Defaults to no limit.
+   */
+  constructor (Anvil, options = {}) {
+    const {
+      resolveCredentials,
+      clientOptions = {},
+      idleTimeoutMS = 10 * 60 * 1000,
+      maxClients = Infinity,
+    } = options
+
+    if (typeof resolveCredentials !== 'function') {
+      throw new Error('resolveCredentials must be a function')
+    }
+    if (clientOptions.rateLimit && typeof clientOptions.rateLimit.acquire === 'function') {
+      throw new Error('clientOptions.rateLimit must be options, not a rate limiter, so each client gets its own')
+    }
+
+    this.Anvil = Anvil
+    this.resolveCredentials = resolveCredentials
+    this.idleTimeoutMS = idleTimeoutMS
+    this.maxClients = maxClients
+
+    // Unless given one, every client shares an agent, and so its connections
+    this.agent = clientOptions.agent ? null : createAgent(clientOptions)
+    this.clientOptions = {
+      ...clientOptions,
+      agent: clientOptions.agent || this.agent,
+    }
+
+    // key => { client, lastUsedAt }, least recently used first. Pending
+    // entries hold a promise, so concurrent callers share one client.
+    this.entries = new Map()
+  }
+
+  get size () {
+    return this.entries.size
+  }
+
+  /**
+   * The client for an organization, created on first use.
+   *
+   * @param  {string} key - Passed to resolveCredentials, e.g. an organization ID
+   * @return {Promise<Anvil>}
+   */
+  async forOrganization (key) {
+    this._evictIdle()
+
+    let entry = this.entries.get(key)
+    if (entry) {
+      // Move to the end, as the most recently used
+      this.entries.delete(key)
+    } else {
+      entry = {}
+      entry.client = this._createClient(key, entry)
+    }
+    entry.lastUsedAt = Date.now()
+    this.entries.set(key, entry)
+
+    while (this.entries.size > this.maxClients) {
+      this._evict(this.entries.keys().next().value)
+    }
+
+    try {
+      return await entry.client
+    } catch (err) {
+      // Don't cache the failure, so the next call tries again
+      if (this.entries.get(key) === entry) this._evict(key)
+      throw err
+    }
+  }
+
+  /**
+   * Forget an organization's client, e.g. after its credentials change.
+   *
+   * @param  {string} key
+   * @return {boolean} - Whether there was one
+   */
+  evict (key) {
+    return this._evict(key)
+  }
+
+  // Forget every client and close idle connections
+  close () {
+    for (const key of Array.from(this.entries.keys())) {
+      this._evict(key)
+    }
+    if (this.agent) this.agent.destroy()
+  }
+
+  async _createClient (key, entry) {
+    const credentials = await this.resolveCredentials(key)
+    if (!credentials) {
+      throw new Error(`No credentials for ${key}`)
+    }
+    const options = { ...this.clientOptions, ...credentials }
+    // The shared agent can't connect with an organization's own ca or proxy
+    if (!credentials.agent && AGENT_OPTIONS.some((name) => credentials[name] !== undefined)) {
+      options.agent = entry.agent = createAgent(options)
+    }
+    return new this.Anvil(options)
+  }
+
+  _evictIdle () {
+    if (!this.idleTimeoutMS) return
+    const idleSince = Date.now() - this.idleTimeoutMS
+    for (const [key, { lastUsedAt }] of this.entries) {
+      // Entries are in order of use, so the rest are more recent
+      if (lastUsedAt > idleSince) break
+      this._evict(key)
+    }
+  }
+
+  // Forget a client, and close the connections of an agent of its own
+  _evict (key) {
+    const entry = this.entries.get(key)
+    if (!entry) return false
+    this.entries.delete(key)
+    if (entry.agent) entry.agent.destroy()
+    return true
+  }
+}
+
+module.exports = ClientPool
@@ -0,0 +1,272 @@
+const path = require('path')
+
+const { prepareGraphQLFile } = require('./uploads')
+const { AnvilValidationError } = require('./errors')
+
+// Field types a signer can sign
+const SIGNATURE_FIELD_TYPES = ['signature', 'initial']
+
+function isNonNegativeNumber (value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0
+}
+
+class SignerBuilder {
+  constructor (packetBuilder, signer) {
+    this.packetBuilder = packetBuilder
+    this.signer = signer
+  }
+
+  /**
+   * Have this signer sign a field. Signers are presented their fields in the
+   * order they are added.
+   *
+   * @param  {string} fileId
+   * @param  {string} fieldId
+   */
+  signs (fileId, fieldId) {
+    this.signer.fields.push({ fileId, fieldId })
+    return this
+  }
+
+  /**
+   * By default, signers sign in the order they were added.
+   *
+   * @param  {number} routingOrder - 1-based
+   */
+  routingOrder (routingOrder) {
+    this.signer.routingOrder = routingOrder
+    return this
+  }
+
+  // Let chains carry on with the packet
+  addTemplateFile (...args) { return this.packetBuilder.addTemplateFile(...args) }
+  uploadFile (...args) { return this.packetBuilder.uploadFile(...args) }
+  addField (...args) { return this.packetBuilder.addField(...args) }
+  fill (...args) { return this.packetBuilder.fill(...args) }
+  addSigner (...args) { return this.packetBuilder.addSigner(...args) }
+  build () { return this.packetBuilder.build() }
+}
+
+/**
+ * Builds the variables for `createEtchPacket`, catching mistakes before
+ * anything is sent.
+ *
+ * const variables = new EtchPacketBuilder({ name: 'NDA', isTest: true })
+ *   .uploadFile('./nda.pdf', [{ id: 'signature', type: 'signature', rect, pageNum: 0 }])
+ *   .addSigner({ name: 'Sally', email: 'sally@example.com' })
+ *   .signs('nda', 'signature')
+ *   .build()
+ */
+class EtchPacketBuilder {
+  /**
+   * @param  {object} options - Any of the other createEtchPacket variables,
+   *   e.g. name, isDraft, isTest, signatureEmailSubject, webhookURL
+   */
+  constructor (options = {}) {
+    this.options = options
+    this.files = []
+    this.signers = []
+    this.payloads = {}
+  }
+
+  /**
+   * @param  {string} castEid - The eid of an existing PDF template
+   * @param  {object} options - _optional_ `id` defaults to the castEid. Also `title`.
+   */
+  addTemplateFile (castEid, options = {}) {
+    this.files.push({ id: castEid, ...options, castEid })
+    return this
+  }
+
+  /**
+   * @param  {string|URL|Buffer|Uint8Array|stream.Readable|UploadWithOptions} file - A path, or
+   *   anything accepted by Anvil.prepareGraphQLFile
+   * @param  {Array<object>} fields - _optional_ `{ id, type, rect, pageNum }`
+   * @param  {object} options - _optional_ `id` and `title` default to the file
+   *   name without its extension
+   */
+  uploadFile (file, fields = [], options = {}) {
+    const defaults = {}
+    if (typeof file === 'string') {
+      defaults.id = path.basename(file, path.extname(file))
+      defaults.title = defaults.id
+    }
+    this.files.push({ ...defaults, ...options, file, fields: [] })
+    fields.forEach((field) => this.addField(field))
+    return this
+  }
+
+  /**
+   * Add a field to the most recently uploaded file. `id` defaults to the type
+   * and a count, e.g. `signature1`.
+   *
+   * @param  {object} field - `{ id, type, rect, pageNum }`, and any other field options
+   */
+  addField (field) {
+    const file = this.files.slice().reverse().find(({ fields }) => fields)
+    if (!file) {
+      throw new AnvilValidationError('Fields can only be added after uploading a file')
+    }
+
+    let { id } = field
+    if (!id) {
+      const count = file.fields.filter(({ type }) => type === field.type).length
+      id = `${field.type}${count + 1}`
+    }
+    file.fields.push({ ...field, id })
+    return this
+  }
+
+  /**
+   * Fill a file with data before it is sent to the signers.
+   *
+   * @param  {string} fileId
+   * @param  {object} payload - The same as the fillPDF payload
+   */
+  fill (fileId, payload) {
+    this.payloads[fileId] = payload
+    return this
+  }
+
+  /**
+   * @param  {object} signer - `{ id, name, email, signerType }`, and any other
+   *   signer options. `id` defaults to `signer1`, `signer2`, and so on.
+   * @return {SignerBuilder}
+   */
+  addSigner (signer) {
+    const { fields = [], ...rest } = signer
+    const built = {
+      id: `signer${this.signers.length + 1}`,
+      ...rest,
+      fields: fields.slice(),
+    }
+    this.signers.push(built)
+    return new SignerBuilder(this, built)
+  }
+
+  /**
+   * @return {Array<string>} - Every problem with the packet
+   */
+  validate () {
+    const errors = []
+    const filesById = {}
+
+    if (!this.files.length) {
+      errors.push('The packet needs at least one file')
+    }
+
+    this.files.forEach((file, index) => {
+      if (!file.id) {
+        errors.push(`File ${index} needs an id`)
+        return
+      }
+      if (filesById[file.id]) {
+        errors.push(`Duplicate file id "${file.id}"`)
+        return
+      }
+      filesById[file.id] = file
+
+      const fieldIds = new Set()
+      ;(file.fields || []).forEach((field) => {
+        const label = `Field "${field.id}" in file "${file.id}"`
+        if (fieldIds.has(field.id)) {
+          errors.push(`Duplicate field id "${field.id}" in file "${file.id}"`)
+        }
+        fieldIds.add(field.id)
+
+        if (!field.type) {
+          errors.push(`${label} needs a type`)
+        }
+        if (!Number.isInteger(field.pageNum) || field.pageNum < 0) {
+          errors.push(`${label} needs a pageNum of 0 or more`)
+        }
+        const { rect } = field
+        if (
+          !rect ||
+          !isNonNegativeNumber(rect.x) ||
+          !isNonNegativeNumber(rect.y) ||
+          !(rect.width > 0) ||
+          !(rect.height > 0)
+        ) {
+          errors.push(`${label} has an invalid rect. x and y must be 0 or more, and width and height more than 0`)
+        }
+      })
+    })
+
+    const signerIds = new Set()
+    this.signers.forEach((signer) => {
+      const label = `Signer "${signer.id}"`
+      if (signerIds.has(signer.id)) {
+        errors.push(`Duplicate signer id "${signer.id}"`)
+      }
+      signerIds.add(signer.id)
+
+      if (!signer.name) errors.push(`${label} needs a name`)
+      if (!signer.email) errors.push(`${label} needs an email`)
+      if (signer.routingOrder !== undefined && !(Number.isInteger(signer.routingOrder) && signer.routingOrder > 0)) {
+        errors.push(`${label} has an invalid routingOrder. It must be an integer of 1 or more`)
+      }
+
+      // Template files' fields aren't known until the server sees them
+      let canSign = false
+      signer.fields.forEach(({ fileId, fieldId }) => {
+        const file = filesById[fileId]
+        if (!file) {
+          errors.push(`${label} references unknown file "${fileId}"`)
+          return
+        }
+        if (!file.fields) {
+          canSign = true
+          return
+        }
+        const field = file.fields.find(({ id }) => id === fieldId)
+        if (!field) {
+          errors.push(`${label} references unknown field "${fieldId}" in file "${fileId}"`)
+        } else if (SIGNATURE_FIELD_TYPES.includes(field.type)) {
+          canSign = true
+        }
+      })
+      if (!canSign) {
+        errors.push(`${label} has no signature fields`)
+      }
+    })
+
+    Object.keys(this.payloads).forEach((fileId) => {
+      if (!filesById[fileId]) {
+        errors.push(`Data is filled for unknown file "${fileId}"`)
+      }
+    })
+
+    return errors
+  }
+
+  /**
+   * @return {object} - The variables for createEtchPacket
+   * @throws {AnvilValidationError} - With every problem in `errors`
+   */
+  build () {
+    const errors = this.validate()
+    if (errors.length) {
+      throw new AnvilValidationError(
+        `Invalid Etch packet: ${errors.join('; ')}`,
+        { errors: errors.map((message) => ({ message })) },
+      )
+    }
+
+    const variables = {
+      ...this.options,
+      files: this.files.map((file) => {
+        if (typeof file.file !== 'string') return file
+        // Opened here so that a failed build doesn't leave a stream open
+        return { ...file, file: prepareGraphQLFile(file.file) }
+      }),
+      signers: this.signers,
+    }
+    if (Object.keys(this.payloads).length) {
+      variables.data = { ...variables.data, payloads: { ...(variables.data || {}).payloads, ...this.payloads } }
+    }
+    return variables
+  }
+}
+
+module.exports = EtchPacketBuilder
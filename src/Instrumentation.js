@@ -0,0 +1,173 @@
+const { AsyncLocalStorage } = require('async_hooks')
+
+// SpanStatusCode.ERROR in @opentelemetry/api, which we don't depend on
+const SPAN_STATUS_ERROR = 2
+
+/**
+ * Spans and metrics for client methods, through an injected
+ * OpenTelemetry-compatible tracer and meter. Requests made while a method
+ * runs are counted towards its span, and the spans of any methods it is
+ * running inside of.
+ */
+class Instrumentation {
+  /**
+   * @param  {object} options
+   * @param  {Tracer} options.tracer - _optional_ e.g. `trace.getTracer('anvil')`
+   * @param  {Meter} options.meter - _optional_ e.g. `metrics.getMeter('anvil')`
+   */
+  constructor ({ tracer, meter } = {}) {
+    this.tracer = tracer
+    this.storage = new AsyncLocalStorage()
+
+    if (meter) {
+      this.metrics = {
+        operations: meter.createCounter('anvil.client.operations', {
+          description: 'Calls to Anvil client methods',
+        }),
+        duration: meter.createHistogram('anvil.client.operation.duration', {
+          description: 'How long Anvil client methods take',
+          unit: 'ms',
+        }),
+        retries: meter.createCounter('anvil.client.retries', {
+          description: 'Requests to Anvil that were retried',
+        }),
+        throttleWait: meter.createHistogram('anvil.client.throttle.wait', {
+          description: 'Time spent waiting on the rate limiter',
+          unit: 'ms',
+        }),
+        bytes: meter.createCounter('anvil.client.bytes', {
+          description: 'Bytes sent to and received from Anvil',
+          unit: 'By',
+        }),
+      }
+    }
+  }
+
+  /**
+   * Run a client method in a span.
+   *
+   * @param  {string} operation - The method name, e.g. 'fillPDF'
+   * @param  {object} attributes - Extra span attributes, e.g. the template ID
+   * @param  {function} fn - Runs the method. Its synchronous errors are rethrown as-is.
+   * @return {any} - Whatever `fn` returns
+   */
+  run (operation, attributes, fn) {
+    const record = {
+      operation,
+      parent: this.current(),
+      attributes: { 'anvil.operation': operation, ...attributes },
+      statusCode: undefined,
+      retryCount: 0,
+      throttleWaitMS: 0,
+      bytesSent: 0,
+      bytesReceived: 0,
+    }
+    const startedAt = Date.now()
+
+    const execute = (span) => this.storage.run(record, () => {
+      let result
+      try {
+        result = fn()
+      } catch (err) {
+        this._end(record, span, startedAt, err)
+        throw err
+      }
+      return Promise.resolve(result).then(
+        (value) => {
+          this._end(record, span, startedAt, null, value)
+          return value
+        },
+        (err) => {
+          this._end(record, span, startedAt, err)
+          throw err
+        },
+      )
+    })
+
+    if (!this.tracer) return execute(null)
+
+    const name = `anvil.${operation}`
+    const spanOptions = { attributes: record.attributes }
+    // startActiveSpan makes the span the parent of any spans started inside
+    // the method, e.g. by an instrumented HTTP module
+    if (typeof this.tracer.startActiveSpan === 'function') {
+      return this.tracer.startActiveSpan(name, spanOptions, execute)
+    }
+    return execute(this.tracer.startSpan(name, spanOptions))
+  }
+
+  // The record of the innermost method running, if any
+  current () {
+    return this.storage.getStore()
+  }
+
+  /**
+   * Count what happened in a request towards the running methods.
+   *
+   * @param  {object} stats
+   * @param  {number} stats.statusCode
+   * @param  {boolean} stats.retry - The request is about to be retried
+   * @param  {number} stats.throttleWaitMS
+   * @param  {number} stats.bytesSent
+   * @param  {number} stats.bytesReceived
+   */
+  record ({ statusCode, retry, throttleWaitMS, bytesSent, bytesReceived }) {
+    const current = this.current()
+    if (!current) return
+
+    for (let record = current; record; record = record.parent) {
+      if (statusCode !== undefined) record.statusCode = statusCode
+      if (retry) record.retryCount++
+      record.throttleWaitMS += throttleWaitMS || 0
+      record.bytesSent += bytesSent || 0
+      record.bytesReceived += bytesReceived || 0
+    }
+
+    if (!this.metrics) return
+    const attributes = { 'anvil.operation': current.operation }
+    if (retry) {
+      this.metrics.retries.add(1, statusCode ? { ...attributes, 'http.status_code': statusCode } : attributes)
+    }
+    if (throttleWaitMS !== undefined) {
+      this.metrics.throttleWait.record(throttleWaitMS, attributes)
+    }
+    if (bytesSent) {
+      this.metrics.bytes.add(bytesSent, { ...attributes, 'anvil.direction': 'sent' })
+    }
+    if (bytesReceived) {
+      this.metrics.bytes.add(bytesReceived, { ...attributes, 'anvil.direction': 'received' })
+    }
+  }
+
+  _end (record, span, startedAt, error, result) {
+    // Methods that don't throw on error statuses resolve with the status code
+    const statusCode = (result && result.statusCode) || record.statusCode
+    const attributes = {
+      'anvil.retry_count': record.retryCount,
+      'anvil.throttle_wait_ms': record.throttleWaitMS,
+      'anvil.bytes_sent': record.bytesSent,
+      'anvil.bytes_received': record.bytesReceived,
+    }
+    if (statusCode !== undefined) attributes['http.status_code'] = statusCode
+
+    if (span) {
+      span.setAttributes(attributes)
+      if (error) {
+        span.recordException(error)
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message })
+      } else if (statusCode >= 400) {
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: `Anvil responded with ${statusCode}` })
+      }
+      span.end()
+    }
+
+    if (this.metrics) {
+      const metricAttributes = { 'anvil.operation': record.operation, 'anvil.error': Boolean(error) }
+      if (statusCode !== undefined) metricAttributes['http.status_code'] = statusCode
+      this.metrics.operations.add(1, metricAttributes)
+      this.metrics.duration.record(Date.now() - startedAt, metricAttributes)
+    }
+  }
+}
+
+module.exports = Instrumentation
@@ -0,0 +1,227 @@
+const fetch = require('node-fetch')
+
+const { createAgent } = require('./agents')
+
+const { AnvilAuthError } = require('./errors')
+
+const DEFAULT_KEY = 'default'
+
+/**
+ * Keeps tokens in memory. Tokens are lost when the process exits, so use a
+ * store backed by a database for anything long-lived.
+ */
+class MemoryTokenStore {
+  constructor () {
+    this.tokens = new Map()
+  }
+
+  async get (key) {
+    return this.tokens.get(key)
+  }
+
+  async set (key, tokens) {
+    this.tokens.set(key, tokens)
+  }
+}
+
+/**
+ * Connects Anvil organizations over OAuth 2.0 and keeps their access tokens
+ * fresh. Tokens are saved in a store under a key of your choosing, e.g. the
+ * ID of your customer who connected the organization.
+ *
+ * Stores implement:
+ * - `async get(key)` - Resolves the tokens saved under key, if any
+ * - `async set(key, tokens)` - Saves `{ accessToken, refreshToken, expiresAt, scope, tokenType }`
+ */
+class OAuth {
+  /**
+   * @param  {object} options
+   * @param  {string} options.clientId
+   * @param  {string} options.clientSecret
+   * @param  {string} options.redirectURI - Where Anvil sends users after they authorize
+   * @param  {object} options.store - _optional_ Defaults to a MemoryTokenStore
+   * @param  {string} options.baseURL - _optional_ Defaults to https://app.useanvil.com
+   * @param  {string} options.authorizePath - _optional_ Defaults to /oauth/authorize
+   * @param  {string} options.tokenPath - _optional_ Defaults to /oauth/token
+   * @param  {number} options.expiryMarginMS - _optional_ Refresh tokens this long
+   *   before they expire. Defaults to 60000.
+   * @param  {object|function} options.agent - _optional_ For token requests made
+   *   outside a client, e.g. exchangeCode. Defaults to one that honors
+   *   HTTPS_PROXY and NO_PROXY. A client refreshing tokens uses its own.
+   */
+  constructor (options = {}) {
+    const {
+      clientId,
+      clientSecret,
+      redirectURI,
+      store = new MemoryTokenStore(),
+      baseURL = 'https://app.useanvil.com',
+      authorizePath = '/oauth/authorize',
+      tokenPath = '/oauth/token',
+      expiryMarginMS = 60000,
+      agent,
+    } = options
+
+    if (!clientId || !clientSecret) {
+      throw new Error('clientId and clientSecret are required')
+    }
+
+    this.clientId = clientId
+    this.clientSecret = clientSecret
+    this.redirectURI = redirectURI
+    this.store = store
+    this.baseURL = baseURL
+    this.authorizePath = authorizePath
+    this.tokenPath = tokenPath
+    this.expiryMarginMS = expiryMarginMS
+    this.agent = agent || createAgent()
+    // Refreshes in flight, by key, so that concurrent requests share one
+    this.refreshing = new Map()
+  }
+
+  /**
+   * The URL to send a user to so they can connect their organization.
+   *
+   * @param  {object} options
+   * @param  {string} options.state - _optional_ Returned to your redirect URI
+   *   as-is. Use it to prevent CSRF and to know who is connecting.
+   * @param  {string|Array<string>} options.scope - _optional_
+   * @param  {string} options.redirectURI - _optional_ Defaults to the one given to the constructor
+   * @return {string}
+   */
+  getAuthorizationURL ({ state, scope, redirectURI = this.redirectURI } = {}) {
+    const params = new URLSearchParams({ response_type: 'code', client_id: this.clientId })
+    if (redirectURI) params.set('redirect_uri', redirectURI)
+    if (scope) params.set('scope', Array.isArray(scope) ? scope.join(' ') : scope)
+    if (state) params.set('state', state)
+    return `${this.baseURL}${this.authorizePath}?${params}`
+  }
+
+  /**
+   * Exchange the code Anvil sent to your redirect URI for tokens, and save them.
+   *
+   * @param  {string} code
+   * @param  {object} options
+   * @param  {string} options.key - _optional_ Where to save the tokens. Defaults to 'default'.
+   * @param  {string} options.redirectURI - _optional_ Must match the one used to authorize
+   * @return {Promise<object>} - The saved tokens
+   */
+  async exchangeCode (code, { key = DEFAULT_KEY, redirectURI = this.redirectURI } = {}) {
+    if (!code) throw new Error('code is required')
+
+    const params = { grant_type: 'authorization_code', code }
+    if (redirectURI) params.redirect_uri = redirectURI
+    const tokens = await this._requestTokens(params)
+    await this.store.set(key, tokens)
+    return tokens
+  }
+
+  /**
+   * An access token for key, refreshed first if it is about to expire.
+   *
+   * @param  {string} key - _optional_ Defaults to 'default'
+   * @param  {object} options
+   * @param  {object|function} options.agent - _optional_ For the refresh, if any
+   * @return {Promise<string>}
+   */
+  async getAccessToken (key = DEFAULT_KEY, { agent } = {}) {
+    const tokens = await this.store.get(key)
+    if (!tokens || !tokens.accessToken) {
+      throw new AnvilAuthError(`No OAuth tokens saved for ${key}`)
+    }
+    if (tokens.refreshToken && tokens.expiresAt && tokens.expiresAt - this.expiryMarginMS <= Date.now()) {
+      return this.refreshAccessToken(key, { staleAccessToken: tokens.accessToken, agent })
+    }
+    return tokens.accessToken
+  }
+
+  /**
+   * Refresh the access token for key, and save the new tokens.
+   *
+   * @param  {string} key - _optional_ Defaults to 'default'
+   * @param  {object} options
+   * @param  {string} options.staleAccessToken - _optional_ The token that stopped
+   *   working. If the saved token is already a different one, it was refreshed
+   *   elsewhere and is used as-is.
+   * @param  {object|function} options.agent - _optional_ Defaults to the `agent` option
+   * @return {Promise<string>} - The new access token
+   */
+  refreshAccessToken (key = DEFAULT_KEY, { staleAccessToken, agent } = {}) {
+    if (!this.refreshing.has(key)) {
+      const refresh = this._refresh(key, staleAccessToken, agent)
+        .finally(() => this.refreshing.delete(key))
+      this.refreshing.set(key, refresh)
+    }
+    return this.refreshing.get(key)
+  }
+
+  async _refresh (key, staleAccessToken, agent) {
+    const tokens = await this.store.get(key)
+    if (!tokens) {
+      throw new AnvilAuthError(`No OAuth tokens saved for ${key}`)
+    }
+    if (staleAccessToken && tokens.accessToken !== staleAccessToken) {
+      return tokens.accessToken
+    }
+    if (!tokens.refreshToken) {
+      throw new AnvilAuthError(`The OAuth access token for ${key} has no refresh token`)
+    }
+
+    const refreshed = await this._requestTokens({
+      grant_type: 'refresh_token',
+      refresh_token: tokens.refreshToken,
+    }, agent)
+    const newTokens = {
+      ...refreshed,
+      // Refresh tokens are not always rotated
+      refreshToken: refreshed.refreshToken || tokens.refreshToken,
+    }
+    await this.store.set(key, newTokens)
+    return newTokens.accessToken
+  }
+
+  async _requestTokens (params, agent = this.agent) {
+    const path = this.tokenPath
+    const response = await fetch(`${this.baseURL}${path}`, {
+      agent,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+      body: new URLSearchParams({
+        ...params,
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+      }).toString(),
+    })
+
+    const statusCode = response.status
+    const text = await response.text()
+    let json
+    try {
+      json = JSON.parse(text)
+    } catch (e) {}
+
+    if (statusCode >= 300 || !json || !json.access_token) {
+      const description = json && (json.error_description || json.error || json.message)
+      throw new AnvilAuthError(
+        `OAuth token request failed${description ? `: ${description}` : ` with status ${statusCode}`}`,
+        { statusCode, path, body: json === undefined ? text : json },
+      )
+    }
+
+    return {
+      accessToken: json.access_token,
+      refreshToken: json.refresh_token,
+      expiresAt: json.expires_in ? Date.now() + (json.expires_in * 1000) : undefined,
+      scope: json.scope,
+      tokenType: json.token_type,
+    }
+  }
+}
+
+module.exports = {
+  OAuth,
+  MemoryTokenStore,
+}
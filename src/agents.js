@@ -0,0 +1,116 @@
+const http = require('http')
+const https = require('https')
+const { URL } = require('url')
+const { HttpsProxyAgent } = require('https-proxy-agent')
+
+// Tunnels through a proxy, and trusts `ca` at the other end of the tunnel too
+class TunnelAgent extends HttpsProxyAgent {
+  constructor (proxyURL, { ca, ...options } = {}) {
+    const { protocol, hostname, port, username, password } = new URL(proxyURL)
+    super({
+      ...options,
+      protocol,
+      host: hostname,
+      port,
+      auth: username ? `${decodeURIComponent(username)}:${decodeURIComponent(password)}` : undefined,
+      ca,
+    })
+    this.ca = ca
+  }
+
+  callback (req, opts) {
+    return super.callback(req, this.ca ? { ...opts, ca: this.ca } : opts)
+  }
+}
+
+/**
+ * Whether NO_PROXY (e.g. `localhost,.internal.example.com:8443`) says to
+ * connect to a host directly.
+ *
+ * @param  {string} hostname
+ * @param  {string} port
+ * @param  {string} noProxy
+ * @return {boolean}
+ */
+function isNoProxy (hostname, port, noProxy = process.env.NO_PROXY || process.env.no_proxy) {
+  if (!noProxy) return false
+  return noProxy.split(/[\s,]+/).filter(Boolean).some((entry) => {
+    if (entry === '*') return true
+    const [host, entryPort] = entry.split(':')
+    if (entryPort && entryPort !== port) return false
+    const domain = host.replace(/^\*?\./, '').toLowerCase()
+    return hostname === domain || hostname.endsWith(`.${domain}`)
+  })
+}
+
+/**
+ * The proxy to send a request through, if any.
+ *
+ * @param  {URL} url - The request URL
+ * @param  {string|false} proxy - A proxy URL to always use, or false for none.
+ *   Defaults to HTTPS_PROXY or HTTP_PROXY, per the protocol, unless NO_PROXY matches.
+ * @return {string|undefined}
+ */
+function getProxyURL (url, proxy) {
+  if (proxy === false) return
+  if (proxy) return proxy
+
+  const { env } = process
+  const envProxy = url.protocol === 'https:'
+    ? env.HTTPS_PROXY || env.https_proxy
+    : env.HTTP_PROXY || env.http_proxy
+  if (!envProxy) return
+
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80')
+  if (isNoProxy(url.hostname.toLowerCase(), port)) return
+  return envProxy
+}
+
+/**
+ * Build the `agent` for node-fetch: a function choosing an agent per request
+ * URL. Agents are created as needed and reused, so connections are kept alive
+ * between requests.
+ *
+ * @param  {object} options
+ * @param  {boolean|object} options.keepAlive - _optional_ Defaults to true. An
+ *   object is passed to the agents, e.g. `{ maxSockets, keepAliveMsecs }`.
+ * @param  {string|Buffer|Array} options.ca - _optional_ Certificate authorities to trust
+ * @param  {string|false} options.proxy - _optional_ See getProxyURL
+ * @return {function} - `(parsedURL) => agent`, with a `destroy()` to close
+ *   every connection
+ */
+function createAgent ({ keepAlive = true, ca, proxy } = {}) {
+  const agentOptions = keepAlive
+    ? { keepAlive: true, ...(typeof keepAlive === 'object' ? keepAlive : {}) }
+    : { keepAlive: false }
+  const tlsOptions = ca ? { ...agentOptions, ca } : agentOptions
+  const agents = new Map()
+
+  const getAgent = (key, create) => {
+    if (!agents.has(key)) agents.set(key, create())
+    return agents.get(key)
+  }
+
+  const agent = (parsedURL) => {
+    const url = new URL(parsedURL.href)
+    const proxyURL = getProxyURL(url, proxy)
+    if (proxyURL) {
+      return getAgent(`proxy:${proxyURL}`, () => new TunnelAgent(proxyURL, tlsOptions))
+    }
+    return url.protocol === 'https:'
+      ? getAgent('https', () => new https.Agent(tlsOptions))
+      : getAgent('http', () => new http.Agent(agentOptions))
+  }
+  agent.agents = agents
+  agent.destroy = () => {
+    agents.forEach((agent) => agent.destroy())
+    agents.clear()
+  }
+  return agent
+}
+
+module.exports = {
+  createAgent,
+  getProxyURL,
+  isNoProxy,
+}
@@ -0,0 +1,45 @@
+const path = require('path')
+
+const Anvil = require('../../index')
+const { isURLString } = require('../../uploads')
+const { runCommand, readJSONInput } = require('../index')
+
+// Files in the spec may be given as paths relative to the spec file, or as URLs
+function prepareFiles (variables, specDir) {
+  if (!Array.isArray(variables.files)) return variables
+
+  return {
+    ...variables,
+    files: variables.files.map((file) => {
+      if (typeof file.file !== 'string') return file
+      return {
+        ...file,
+        file: Anvil.prepareGraphQLFile(isURLString(file.file) ? file.file : path.resolve(specDir, file.file)),
+      }
+    }),
+  }
+}
+
+module.exports = {
+  command: 'create-etch-packet',
+  describe: 'Create an Etch signature packet',
+  builder: (yargs) => yargs
+    .option('spec', {
+      alias: 's',
+      type: 'string',
+      demandOption: true,
+      description: 'Path to a JSON file with the createEtchPacket variables, or - for stdin. ' +
+        'A string `file` in `files` is uploaded from a path relative to the spec file, or from a file:, data: or http(s) URL.',
+    }),
+  handler: (argv) => runCommand(argv, async (client, { spec }, io) => {
+    const specDir = spec === '-' ? process.cwd() : path.dirname(path.resolve(spec))
+    const variables = prepareFiles(await readJSONInput(spec, io.stdin), specDir)
+    const { statusCode, data } = await client.createEtchPacket({ variables })
+    const etchPacket = data.data.createEtchPacket
+    return {
+      statusCode,
+      data: etchPacket,
+      message: `Created Etch packet ${etchPacket.eid}\n${etchPacket.detailsURL || ''}`.trim(),
+    }
+  }),
+}
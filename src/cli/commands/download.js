@@ -0,0 +1,41 @@
+const path = require('path')
+
+const { runCommand, checkOutput, writeOutput } = require('../index')
+const { extractZip } = require('../../zip')
+
+module.exports = {
+  command: 'download <documentGroupEid>',
+  describe: 'Download the documents in a document group as a zip',
+  builder: (yargs) => yargs
+    .positional('documentGroupEid', {
+      type: 'string',
+      description: 'The document group eid',
+    })
+    .option('output', {
+      alias: 'o',
+      type: 'string',
+      description: 'File to write the zip to. Defaults to stdout',
+    })
+    .option('extract', {
+      alias: 'x',
+      type: 'string',
+      description: 'Unzip the documents into this directory instead',
+    })
+    .conflicts('output', 'extract'),
+  handler: (argv) => runCommand(argv, async (client, { documentGroupEid, output, extract }, io) => {
+    if (!extract) checkOutput(argv)
+    const { statusCode, data } = await client.downloadDocuments(documentGroupEid)
+    if (extract) {
+      const files = await extractZip(data, extract)
+      return {
+        statusCode,
+        files,
+        message: files.map((file) => `Wrote ${path.relative(process.cwd(), file)}`).join('\n'),
+      }
+    }
+
+    const outputPath = writeOutput(data, output, io)
+    if (!outputPath) return
+    return { statusCode, output: outputPath, message: `Wrote ${outputPath}` }
+  }),
+}
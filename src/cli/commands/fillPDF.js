@@ -0,0 +1,30 @@
+const { runCommand, readJSONInput, checkOutput, writeOutput } = require('../index')
+
+module.exports = {
+  command: 'fill-pdf <templateId>',
+  describe: 'Fill a PDF template with JSON data',
+  builder: (yargs) => yargs
+    .positional('templateId', {
+      type: 'string',
+      description: 'The PDF template (cast) eid',
+    })
+    .option('data', {
+      alias: 'd',
+      type: 'string',
+      demandOption: true,
+      description: 'Path to a JSON payload file, - for stdin, or a JSON string',
+    })
+    .option('output', {
+      alias: 'o',
+      type: 'string',
+      description: 'File to write the PDF to. Defaults to stdout',
+    }),
+  handler: (argv) => runCommand(argv, async (client, { templateId, data, output }, io) => {
+    checkOutput(argv)
+    const payload = await readJSONInput(data, io.stdin)
+    const { statusCode, data: pdf } = await client.fillPDF(templateId, payload)
+    const outputPath = writeOutput(pdf, output, io)
+    if (!outputPath) return
+    return { statusCode, output: outputPath, message: `Wrote ${outputPath}` }
+  }),
+}
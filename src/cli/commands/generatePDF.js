@@ -0,0 +1,26 @@
+const { runCommand, readJSONInput, checkOutput, writeOutput } = require('../index')
+
+module.exports = {
+  command: 'generate-pdf',
+  describe: 'Generate a new PDF from JSON data',
+  builder: (yargs) => yargs
+    .option('data', {
+      alias: 'd',
+      type: 'string',
+      demandOption: true,
+      description: 'Path to a JSON payload file, - for stdin, or a JSON string',
+    })
+    .option('output', {
+      alias: 'o',
+      type: 'string',
+      description: 'File to write the PDF to. Defaults to stdout',
+    }),
+  handler: (argv) => runCommand(argv, async (client, { data, output }, io) => {
+    checkOutput(argv)
+    const payload = await readJSONInput(data, io.stdin)
+    const { statusCode, data: pdf } = await client.generatePDF(payload)
+    const outputPath = writeOutput(pdf, output, io)
+    if (!outputPath) return
+    return { statusCode, output: outputPath, message: `Wrote ${outputPath}` }
+  }),
+}
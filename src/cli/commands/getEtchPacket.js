@@ -0,0 +1,25 @@
+const { runCommand } = require('../index')
+
+module.exports = {
+  command: 'get-etch-packet <eid>',
+  describe: 'Get the details of an Etch packet',
+  builder: (yargs) => yargs
+    .positional('eid', {
+      type: 'string',
+      description: 'The Etch packet eid',
+    }),
+  handler: (argv) => runCommand(argv, async (client, { eid }) => {
+    const { statusCode, data } = await client.getEtchPacket({ variables: { eid } })
+    const etchPacket = data.data.etchPacket
+    if (!etchPacket) {
+      throw new Error(`No Etch packet found with eid ${eid}`)
+    }
+    const signers = (etchPacket.documentGroup && etchPacket.documentGroup.signers) || []
+    const lines = [
+      `${etchPacket.name} (${etchPacket.eid})`,
+      `Status: ${etchPacket.documentGroup ? etchPacket.documentGroup.status : 'draft'}`,
+      ...signers.map((signer) => `  ${signer.name} <${signer.email}>: ${signer.status}`),
+    ]
+    return { statusCode, data: etchPacket, message: lines.join('\n') }
+  }),
+}
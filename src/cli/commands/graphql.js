@@ -0,0 +1,31 @@
+const fs = require('fs')
+
+const { runCommand, readJSONInput } = require('../index')
+
+module.exports = {
+  command: 'graphql <query>',
+  describe: 'Run a GraphQL query or mutation',
+  builder: (yargs) => yargs
+    .positional('query', {
+      type: 'string',
+      description: 'The query, or @path/to/query.graphql',
+    })
+    .option('variables', {
+      alias: 'v',
+      type: 'string',
+      description: 'Path to a JSON variables file, - for stdin, or a JSON string',
+    }),
+  handler: (argv) => runCommand(argv, async (client, { query, variables }, io) => {
+    if (query.startsWith('@')) {
+      query = fs.readFileSync(query.slice(1), 'utf8')
+    }
+    const { statusCode, data } = await client.requestGraphQL(
+      {
+        query,
+        variables: variables ? await readJSONInput(variables, io.stdin) : {},
+      },
+      { dataType: 'json' },
+    )
+    return { statusCode, data: data.data, message: JSON.stringify(data.data, null, 2) }
+  }),
+}
@@ -0,0 +1,19 @@
+const { runCommand } = require('../index')
+
+module.exports = {
+  command: 'sign-url <signerEid> <clientUserId>',
+  describe: 'Generate a signing URL for an Etch packet signer',
+  builder: (yargs) => yargs
+    .positional('signerEid', {
+      type: 'string',
+      description: 'The eid of the signer',
+    })
+    .positional('clientUserId', {
+      type: 'string',
+      description: 'Your id for the user who will sign',
+    }),
+  handler: (argv) => runCommand(argv, async (client, { signerEid, clientUserId }) => {
+    const { statusCode, url } = await client.generateEtchSignUrl({ variables: { signerEid, clientUserId } })
+    return { statusCode, url, message: url }
+  }),
+}
@@ -0,0 +1,187 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const yargs = require('yargs/yargs')
+
+const Anvil = require('../index')
+
+const DEFAULT_CONFIG_PATH = path.join(os.homedir(), '.anvilrc')
+
+/**
+ * Read the client options from, in order of precedence, the command line flags,
+ * the environment (ANVIL_API_KEY, ANVIL_BASE_URL) and a JSON config file
+ * (~/.anvilrc by default, or --config).
+ */
+function resolveClientOptions (argv, env = process.env) {
+  let config = {}
+  const configPath = argv.config || env.ANVIL_CONFIG || DEFAULT_CONFIG_PATH
+  if (fs.existsSync(configPath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'))
+    } catch (e) {
+      throw new Error(`Unable to read config file ${configPath}: ${e.message}`)
+    }
+  } else if (argv.config) {
+    throw new Error(`Config file ${configPath} does not exist`)
+  }
+
+  const apiKey = argv.apiKey || env.ANVIL_API_KEY || config.apiKey
+  if (!apiKey) {
+    throw new Error('An API key is required. Use --api-key, set ANVIL_API_KEY or add apiKey to ~/.anvilrc')
+  }
+
+  const options = { apiKey, throwOnError: true }
+  const baseURL = argv.baseUrl || env.ANVIL_BASE_URL || config.baseURL
+  if (baseURL) options.baseURL = baseURL
+
+  return options
+}
+
+// Reads JSON from a file path, '-' for stdin, or a literal JSON string
+function readJSONInput (input, stdin = process.stdin) {
+  if (input === '-') {
+    return readStream(stdin).then((buffer) => JSON.parse(buffer.toString('utf8')))
+  }
+
+  const trimmed = input.trim()
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return Promise.resolve(JSON.parse(trimmed))
+  }
+
+  return Promise.resolve(JSON.parse(fs.readFileSync(input, 'utf8')))
+}
+
+function readStream (stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)))
+    stream.on('end', () => resolve(Buffer.concat(chunks)))
+    stream.on('error', reject)
+  })
+}
+
+// With --json, stdout is for the JSON result, so a file must be written elsewhere
+function checkOutput ({ json, output }) {
+  if (json && (!output || output === '-')) {
+    throw new Error('--json needs an --output file to write to, rather than stdout')
+  }
+}
+
+// Writes a Buffer to a file, or to stdout when there is no output path
+function writeOutput (data, output, io) {
+  if (output && output !== '-') {
+    fs.writeFileSync(output, data, { encoding: null })
+    return path.resolve(output)
+  }
+  io.stdout.write(data)
+}
+
+/**
+ * Commands call this from their handler. yargs@16 does not wait on async
+ * handlers, so the promise is stashed for `run` to wait on.
+ *
+ * @param  {object} argv
+ * @param  {function} fn - `async (client, argv, io) => result`. The result is
+ *   printed as JSON with --json, or as a string otherwise.
+ */
+function runCommand (argv, fn) {
+  const { cli } = argv
+  cli.promise = Promise.resolve().then(async () => {
+    const client = cli.createClient(resolveClientOptions(argv, cli.env))
+    const result = await fn(client, argv, cli)
+    if (result === undefined) return
+    if (argv.json) {
+      cli.stdout.write(`${JSON.stringify(result, null, 2)}\n`)
+    } else if (result.message) {
+      cli.stdout.write(`${result.message}\n`)
+    }
+  })
+}
+
+function createParser () {
+  return yargs()
+    .scriptName('anvil')
+    .usage('$0 <command> [options]')
+    .commandDir('commands')
+    .option('api-key', {
+      type: 'string',
+      description: 'Your Anvil API key. Defaults to ANVIL_API_KEY',
+    })
+    .option('base-url', {
+      type: 'string',
+      description: 'Defaults to ANVIL_BASE_URL or https://app.useanvil.com',
+    })
+    .option('config', {
+      type: 'string',
+      description: 'Path to a JSON config file with apiKey and baseURL. Defaults to ~/.anvilrc',
+    })
+    .option('json', {
+      type: 'boolean',
+      default: false,
+      description: 'Print results as JSON',
+    })
+    .demandCommand(1, 'Please specify a command')
+    .strict()
+    .help()
+}
+
+function formatError (err, json) {
+  if (json) {
+    const { name, message, statusCode, errors } = err
+    return JSON.stringify({ error: { name, message, statusCode, errors } }, null, 2)
+  }
+
+  let message = `Error: ${err.message}`
+  // GraphQL errors mostly come back with a 200, which would only confuse
+  if (err.statusCode && !(err instanceof Anvil.AnvilGraphQLError)) message += ` (status ${err.statusCode})`
+  return message
+}
+
+/**
+ * Run the CLI.
+ *
+ * @param  {Array<string>} args - e.g. process.argv.slice(2)
+ * @param  {object} io - Overrides for testing
+ * @return {Promise<number>} - The exit code
+ */
+async function run (args, io = {}) {
+  const cli = {
+    stdout: process.stdout,
+    stderr: process.stderr,
+    stdin: process.stdin,
+    env: process.env,
+    createClient: (options) => new Anvil(options),
+    ...io,
+  }
+
+  let parseError
+  let output = ''
+  const argv = createParser().parse(args, { cli }, (err, parsedArgv, parseOutput) => {
+    parseError = err
+    output = parseOutput
+  })
+
+  if (output) {
+    (parseError ? cli.stderr : cli.stdout).write(`${output}\n`)
+  }
+  if (parseError) return 1
+  if (!cli.promise) return 0
+
+  try {
+    await cli.promise
+    return 0
+  } catch (err) {
+    cli.stderr.write(`${formatError(err, argv.json)}\n`)
+    return 1
+  }
+}
+
+module.exports = {
+  run,
+  runCommand,
+  readJSONInput,
+  checkOutput,
+  writeOutput,
+  resolveClientOptions,
+}
@@ -0,0 +1,81 @@
+class AnvilError extends Error {
+  /**
+   * @param  {string} message
+   * @param  {object} details
+   * @param  {number} details.statusCode - The HTTP status code of the response, if any
+   * @param  {string} details.path - The path that was requested, e.g. `/graphql`
+   * @param  {Array<object>} details.errors - The errors parsed from the response
+   * @param  {string|object} details.body - The raw (or parsed JSON) response body
+   */
+  constructor (message, details = {}) {
+    super(message)
+    const { statusCode, path, errors, body } = details
+    this.name = this.constructor.name
+    this.statusCode = statusCode
+    this.path = path
+    this.errors = errors || []
+    this.body = body
+  }
+}
+
+// 400 and 422: the request was bad
+class AnvilValidationError extends AnvilError {}
+
+// 401 and 403
+class AnvilAuthError extends AnvilError {}
+
+// 429
+class AnvilRateLimitError extends AnvilError {}
+
+// 5xx
+class AnvilServerError extends AnvilError {}
+
+// Errors in the response of a GraphQL request
+class AnvilGraphQLError extends AnvilError {}
+
+// The request was aborted by the caller's AbortSignal
+class AnvilAbortError extends AnvilError {}
+
+// The request did not finish within the timeout
+class AnvilTimeoutError extends AnvilAbortError {}
+
+/**
+ * Build the appropriate AnvilError subclass for a failed response.
+ *
+ * @param  {object} details - See AnvilError
+ * @param  {boolean} details.isGraphQL - Whether the request was a GraphQL request
+ * @return {AnvilError}
+ */
+function createResponseError (details) {
+  const { statusCode, path, errors, isGraphQL } = details
+
+  const firstMessage = errors && errors[0] && errors[0].message
+  const message = firstMessage || `Request to ${path} failed with status ${statusCode}`
+
+  let ErrorClass = AnvilError
+  if (statusCode >= 500) {
+    ErrorClass = AnvilServerError
+  } else if (statusCode === 429) {
+    ErrorClass = AnvilRateLimitError
+  } else if (statusCode === 401 || statusCode === 403) {
+    ErrorClass = AnvilAuthError
+  } else if (isGraphQL && (statusCode < 300 || statusCode === 400)) {
+    ErrorClass = AnvilGraphQLError
+  } else if (statusCode === 400 || statusCode === 422) {
+    ErrorClass = AnvilValidationError
+  }
+
+  return new ErrorClass(message, details)
+}
+
+module.exports = {
+  AnvilError,
+  AnvilValidationError,
+  AnvilAuthError,
+  AnvilRateLimitError,
+  AnvilServerError,
+  AnvilGraphQLError,
+  AnvilAbortError,
+  AnvilTimeoutError,
+  createResponseError,
+}
@@ -0,0 +1,55 @@
+const defaultResponseQuery = `{
+  id
+  eid
+  status
+  payloadValue
+  currentStep
+  completedAt
+  createdAt
+  updatedAt
+  signer {
+    name
+    email
+    status
+    routingOrder
+  }
+  weldData {
+    id
+    eid
+    status
+    isTest
+    isComplete
+    continueURL
+  }
+}`
+
+module.exports = {
+  generateMutation: (responseQuery = defaultResponseQuery) => `
+    mutation ForgeSubmit (
+      $forgeEid: String!,
+      $weldDataEid: String,
+      $submissionEid: String,
+      $payload: JSON!,
+      $currentStep: Int,
+      $complete: Boolean,
+      $isTest: Boolean,
+      $timezone: String,
+      $groupArrayId: String,
+      $groupArrayIndex: Int,
+      $webhookURL: String,
+    ) {
+      forgeSubmit (
+        forgeEid: $forgeEid,
+        weldDataEid: $weldDataEid,
+        submissionEid: $submissionEid,
+        payload: $payload,
+        currentStep: $currentStep,
+        complete: $complete,
+        isTest: $isTest,
+        timezone: $timezone,
+        groupArrayId: $groupArrayId,
+        groupArrayIndex: $groupArrayIndex,
+        webhookURL: $webhookURL
+      ) ${responseQuery}
+    }`,
+}
@@ -0,0 +1,10 @@
+module.exports = {
+  generateMutation: () => `
+    mutation NotifySigner (
+      $signerEid: String!,
+    ) {
+      notifySigner (
+        signerEid: $signerEid,
+      )
+    }`,
+}
@@ -0,0 +1,10 @@
+module.exports = {
+  generateMutation: () => `
+    mutation RemoveEtchPacket (
+      $eid: String!,
+    ) {
+      removeEtchPacket (
+        eid: $eid,
+      )
+    }`,
+}
@@ -0,0 +1,30 @@
+const defaultResponseQuery = `{
+  eid
+  name
+  detailsURL
+  documentGroup {
+    eid
+    status
+    files
+    signers {
+      eid
+      aliasId
+      routingOrder
+      name
+      email
+      status
+      signActionType
+    }
+  }
+}`
+
+module.exports = {
+  generateMutation: (responseQuery = defaultResponseQuery) => `
+    mutation SendEtchPacket (
+      $eid: String!,
+    ) {
+      sendEtchPacket (
+        eid: $eid,
+      ) ${responseQuery}
+    }`,
+}
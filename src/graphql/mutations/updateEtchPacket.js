@@ -0,0 +1,48 @@
+const defaultResponseQuery = `{
+  eid
+  name
+  detailsURL
+  documentGroup {
+    eid
+    status
+    files
+    signers {
+      eid
+      aliasId
+      routingOrder
+      name
+      email
+      status
+      signActionType
+    }
+  }
+}`
+
+module.exports = {
+  generateMutation: (responseQuery = defaultResponseQuery) => `
+    mutation UpdateEtchPacket (
+      $eid: String!,
+      $name: String,
+      $files: [EtchFile!],
+      $isTest: Boolean,
+      $signatureEmailSubject: String,
+      $signatureEmailBody: String,
+      $signaturePageOptions: JSON,
+      $signers: [JSON!],
+      $webhookURL: String,
+      $data: JSON,
+    ) {
+      updateEtchPacket (
+        eid: $eid,
+        name: $name,
+        files: $files,
+        isTest: $isTest,
+        signatureEmailSubject: $signatureEmailSubject,
+        signatureEmailBody: $signatureEmailBody,
+        signaturePageOptions: $signaturePageOptions,
+        signers: $signers,
+        webhookURL: $webhookURL,
+        data: $data
+      ) ${responseQuery}
+    }`,
+}
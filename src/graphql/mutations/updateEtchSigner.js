@@ -0,0 +1,26 @@
+const defaultResponseQuery = `{
+  eid
+  aliasId
+  routingOrder
+  name
+  email
+  status
+  signActionType
+}`
+
+module.exports = {
+  generateMutation: (responseQuery = defaultResponseQuery) => `
+    mutation UpdateEtchSigner (
+      $eid: String!,
+      $name: String,
+      $email: String,
+      $notify: Boolean,
+    ) {
+      updateEtchSigner (
+        eid: $eid,
+        name: $name,
+        email: $email,
+        notify: $notify
+      ) ${responseQuery}
+    }`,
+}
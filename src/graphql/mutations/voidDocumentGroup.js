@@ -0,0 +1,19 @@
+const defaultResponseQuery = `{
+  eid
+  status
+  signers {
+    eid
+    status
+  }
+}`
+
+module.exports = {
+  generateMutation: (responseQuery = defaultResponseQuery) => `
+    mutation VoidDocumentGroup (
+      $eid: String!,
+    ) {
+      voidDocumentGroup (
+        eid: $eid,
+      ) ${responseQuery}
+    }`,
+}
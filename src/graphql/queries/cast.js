@@ -0,0 +1,20 @@
+const defaultResponseQuery = `{
+  eid
+  title
+  isTemplate
+  fieldInfo
+  createdAt
+  updatedAt
+}`
+
+module.exports = {
+  generateQuery: (responseQuery = defaultResponseQuery) => `
+    query GetCast (
+      $eid: String!,
+    ) {
+      cast (
+        eid: $eid,
+      ) ${responseQuery}
+    }
+  `,
+}
@@ -0,0 +1,37 @@
+const defaultResponseQuery = `{
+  page
+  pageSize
+  pageCount
+  rowCount
+  items {
+    eid
+    title
+    isTemplate
+    fieldInfo
+    createdAt
+    updatedAt
+  }
+}`
+
+module.exports = {
+  // Where client.paginate finds each page in the response
+  pagePath: 'organization.casts',
+  generateQuery: (responseQuery = defaultResponseQuery) => `
+    query ListCasts (
+      $organizationSlug: String,
+      $page: Int,
+      $pageSize: Int,
+    ) {
+      organization (
+        slug: $organizationSlug,
+      ) {
+        eid
+        casts (
+          isTemplate: true,
+          page: $page,
+          pageSize: $pageSize,
+        ) ${responseQuery}
+      }
+    }
+  `,
+}
@@ -0,0 +1,33 @@
+const defaultResponseQuery = `{
+  id
+  eid
+  status
+  payloadValue
+  currentStep
+  completedAt
+  createdAt
+  updatedAt
+  forge {
+    eid
+    name
+    slug
+  }
+  weldData {
+    eid
+    status
+    isTest
+    isComplete
+  }
+}`
+
+module.exports = {
+  generateQuery: (responseQuery = defaultResponseQuery) => `
+    query GetSubmission (
+      $eid: String!,
+    ) {
+      submission (
+        eid: $eid,
+      ) ${responseQuery}
+    }
+  `,
+}
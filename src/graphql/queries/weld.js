@@ -0,0 +1,34 @@
+const defaultResponseQuery = `{
+  id
+  eid
+  name
+  slug
+  visibility
+  forges {
+    id
+    eid
+    name
+    slug
+  }
+  casts {
+    id
+    eid
+    title
+  }
+}`
+
+module.exports = {
+  generateQuery: (responseQuery = defaultResponseQuery) => `
+    query GetWeld (
+      $eid: String,
+      $slug: String,
+      $organizationSlug: String,
+    ) {
+      weld (
+        eid: $eid,
+        slug: $slug,
+        organizationSlug: $organizationSlug,
+      ) ${responseQuery}
+    }
+  `,
+}
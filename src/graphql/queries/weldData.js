@@ -0,0 +1,44 @@
+const defaultResponseQuery = `{
+  id
+  eid
+  displayTitle
+  status
+  isTest
+  isComplete
+  continueURL
+  createdAt
+  updatedAt
+  weld {
+    eid
+    name
+    slug
+  }
+  submissions {
+    eid
+    status
+    currentStep
+    completedAt
+    forge {
+      eid
+      name
+      slug
+    }
+  }
+  documentGroup {
+    eid
+    status
+    files
+  }
+}`
+
+module.exports = {
+  generateQuery: (responseQuery = defaultResponseQuery) => `
+    query GetWeldData (
+      $eid: String!,
+    ) {
+      weldData (
+        eid: $eid,
+      ) ${responseQuery}
+    }
+  `,
+}
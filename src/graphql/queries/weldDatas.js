@@ -0,0 +1,37 @@
+const defaultResponseQuery = `{
+  page
+  pageSize
+  pageCount
+  rowCount
+  items {
+    eid
+    displayTitle
+    status
+    isTest
+    isComplete
+    createdAt
+    updatedAt
+  }
+}`
+
+module.exports = {
+  // Where client.paginate finds each page in the response
+  pagePath: 'weld.weldDatas',
+  generateQuery: (responseQuery = defaultResponseQuery) => `
+    query ListWeldData (
+      $weldEid: String!,
+      $page: Int,
+      $pageSize: Int,
+    ) {
+      weld (
+        eid: $weldEid,
+      ) {
+        eid
+        weldDatas (
+          page: $page,
+          pageSize: $pageSize,
+        ) ${responseQuery}
+      }
+    }
+  `,
+}
@@ -0,0 +1,26 @@
+const defaultResponseQuery = `{
+  eid
+  name
+  slug
+  welds {
+    eid
+    name
+    slug
+    visibility
+    forges {
+      eid
+      name
+      slug
+    }
+  }
+}`
+
+module.exports = {
+  generateQuery: (responseQuery = defaultResponseQuery) => `
+    query ListWelds {
+      currentUser {
+        organizations ${responseQuery}
+      }
+    }
+  `,
+}
@@ -1,14 +1,46 @@
 const fs = require('fs')
+const path = require('path')
+const { finished, pipeline, Transform } = require('stream')
+const { URL } = require('url')
 
 const fetch = require('node-fetch')
 const FormData = require('form-data')
 const AbortController = require('abort-controller')
 const { extractFiles } = require('extract-files')
-const { RateLimiter } = require('limiter')
 
-const UploadWithOptions = require('./UploadWithOptions')
+const EtchPacketBuilder = require('./EtchPacketBuilder')
+const webhooks = require('./webhooks')
+const rateLimiters = require('./rateLimiters')
+const { createLogger, redactHeaders } = require('./logger')
+const Instrumentation = require('./Instrumentation')
+const { OAuth, MemoryTokenStore } = require('./OAuth')
+const ClientPool = require('./ClientPool')
+const { createAgent } = require('./agents')
+const { fetchStream, prepareGraphQLFile, prepareGraphQLBase64 } = require('./uploads')
+const { toPDFTemplate, pdfTemplateToJSONSchema, validateFillData } = require('./pdfTemplates')
+const {
+  readZipEntries,
+  readZipBuffers,
+  getContentDispositionFilename,
+  resolveSafePath,
+  writeStream,
+  extractZip,
+} = require('./zip')
+const {
+  AnvilError,
+  AnvilValidationError,
+  AnvilAuthError,
+  AnvilRateLimitError,
+  AnvilServerError,
+  AnvilGraphQLError,
+  AnvilAbortError,
+  AnvilTimeoutError,
+  createResponseError,
+} = require('./errors')
+const { sleep, raceAbort, createAbortedError } = require('./utils')
 const { version, description } = require('../package.json')
 
+const graphql = require('./graphql')
 const {
   mutations: {
     createEtchPacket: {
@@ -17,13 +49,55 @@ const {
     generateEtchSignUrl: {
       generateMutation: generateEtchSignUrlMutation,
     },
+    updateEtchPacket: {
+      generateMutation: generateUpdateEtchPacketMutation,
+    },
+    sendEtchPacket: {
+      generateMutation: generateSendEtchPacketMutation,
+    },
+    voidDocumentGroup: {
+      generateMutation: generateVoidDocumentGroupMutation,
+    },
+    removeEtchPacket: {
+      generateMutation: generateRemoveEtchPacketMutation,
+    },
+    notifySigner: {
+      generateMutation: generateNotifySignerMutation,
+    },
+    updateEtchSigner: {
+      generateMutation: generateUpdateEtchSignerMutation,
+    },
+    forgeSubmit: {
+      generateMutation: generateForgeSubmitMutation,
+    },
   },
   queries: {
     etchPacket: {
       generateQuery: generateEtchPacketQuery,
     },
+    cast: {
+      generateQuery: generateCastQuery,
+    },
+    casts: {
+      generateQuery: generateCastsQuery,
+    },
+    welds: {
+      generateQuery: generateWeldsQuery,
+    },
+    weld: {
+      generateQuery: generateWeldQuery,
+    },
+    weldData: {
+      generateQuery: generateWeldDataQuery,
+    },
+    weldDatas: {
+      generateQuery: generateWeldDatasQuery,
+    },
+    submission: {
+      generateQuery: generateSubmissionQuery,
+    },
   },
-} = require('./graphql')
+} = graphql
 
 const {
   isFile,
@@ -34,9 +108,29 @@ const DATA_TYPE_STREAM = 'stream'
 const DATA_TYPE_BUFFER = 'buffer'
 const DATA_TYPE_JSON = 'json'
 
+const GRAPHQL_PATH = '/graphql'
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+
 const defaultOptions = {
   baseURL: 'https://app.useanvil.com',
   userAgent: `${description}/${version}`,
+  throwOnError: false,
+  retry: {},
+  timeout: 0,
+  rateLimit: {},
+  keepAlive: true,
+}
+
+const defaultRetryOptions = {
+  maxAttempts: 3,
+  baseMS: 500,
+  capMS: 10000,
+  jitter: true,
+  statusCodes: [502, 503, 504],
+  errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+  retryNonIdempotent: false,
+  onRetry: undefined,
 }
 
 const failBufferMS = 50
@@ -45,8 +139,22 @@ class Anvil {
   // {
   //   apiKey: <yourAPIKey>,
   //   accessToken: <yourAPIKey>, // OR oauth access token
+  //   oauth: new Anvil.OAuth({ ... }), // OR tokens kept fresh by an OAuth helper
+  //   oauthKey: 'default', // Whose tokens to use from the OAuth helper's store
   //   baseURL: 'https://app.useanvil.com'
   //   userAgent: 'Anvil API Client/2.0.0'
+  //   throwOnError: false, // Reject with an AnvilError instead of resolving { statusCode, errors }
+  //   retry: { maxAttempts: 3, ... }, // Or false to disable. See defaultRetryOptions
+  //   timeout: 0, // Milliseconds before a request is aborted. 0 means no timeout
+  //   agent: new https.Agent(), // Or (url) => agent. Passed to node-fetch in place of the below
+  //   keepAlive: true, // Or options for the agents, e.g. { maxSockets: 10 }
+  //   ca: fs.readFileSync('internal-ca.pem'), // Certificate authorities to trust
+  //   proxy: 'http://proxy:8080', // Defaults to HTTPS_PROXY, unless NO_PROXY says otherwise. false for none
+  //   rateLimit: { limit: 200, intervalMS: 5000 }, // Or a RateLimiter, or false to disable
+  //   logger: pino(), // Anything with debug/info/warn/error methods, or false to silence
+  //   debug: false, // Log requests to stderr. Defaults to whether DEBUG includes 'anvil'
+  //   tracer: trace.getTracer('anvil'), // OpenTelemetry-compatible. Spans for each method
+  //   meter: metrics.getMeter('anvil'), // OpenTelemetry-compatible
   // }
   constructor (options) {
     if (!options) throw new Error('options are required')
@@ -56,48 +164,115 @@ class Anvil {
       ...options,
     }
 
-    const { apiKey, accessToken } = this.options
-    if (!(apiKey || accessToken)) throw new Error('apiKey or accessToken required')
+    const { apiKey, accessToken, oauth } = this.options
+    if (!(apiKey || accessToken || oauth)) throw new Error('apiKey or accessToken required')
 
-    this.authHeader = accessToken
-      ? `Bearer ${Buffer.from(accessToken, 'ascii').toString('base64')}`
-      : `Basic ${Buffer.from(`${apiKey}:`, 'ascii').toString('base64')}`
+    // With an OAuth helper, the header is built from a fresh token for each request
+    this.oauth = oauth || null
+    if (!oauth) {
+      this.authHeader = accessToken
+        ? getBearerHeader(accessToken)
+        : `Basic ${Buffer.from(`${apiKey}:`, 'ascii').toString('base64')}`
+    }
 
-    // Production apiKey rate limits: 200 in 5 seconds
-    this.requestLimit = 200
-    this.requestLimitMS = 5000
-    this.limiter = new RateLimiter(this.requestLimit, this.requestLimitMS, true)
+    // Kept alive between requests, so bursts of requests reuse connections
+    const { agent, keepAlive, ca, proxy } = this.options
+    this.agent = agent || createAgent({ keepAlive, ca, proxy })
+    this.rateLimiter = rateLimiters.createRateLimiter(this.options.rateLimit)
+    this.middlewares = []
+    // Template fields for validating fillPDF payloads, loaded once per template
+    this.pdfTemplateFields = new Map()
+    this.logger = createLogger({ logger: this.options.logger, debug: this.options.debug })
+
+    const { tracer, meter } = this.options
+    this.instrumentation = tracer || meter ? new Instrumentation({ tracer, meter }) : null
   }
 
   /**
    * Perform some handy/necessary things for a GraphQL file upload to make it work
    * with this client and with our backend
    *
-   * @param  {string|Buffer|Stream-like-thing} pathOrStreamLikeThing - Either a string path to a file,
-   *   a Buffer, or a Stream-like thing that is compatible with form-data as an append.
+   * @param  {string|URL|Buffer|Uint8Array|ArrayBuffer|Stream-like-thing|ReadableStream} pathOrStreamLikeThing -
+   *   A string path to a file, a `file:`, `data:` or http(s) URL, a Buffer or other binary data, a
+   *   web ReadableStream, or a Stream-like thing that is compatible with form-data as an append.
+   *   An http(s) URL is fetched by the client when the request is sent, through its agent.
    * @param  {object} formDataAppendOptions - User can specify options to be passed to the form-data.append
-   *   call. This should be done if a stream-like thing is not one of the common types that
-   *   form-data can figure out on its own.
+   *   call. The filename and contentType are inferred from the path, URL or contents when not given.
    *
    * @return {UploadWithOptions} - A class that wraps the stream-like-thing and any options
    *   up together nicely in a way that we can also tell that it was us who did it.
    */
   static prepareGraphQLFile (pathOrStreamLikeThing, formDataAppendOptions) {
-    if (typeof pathOrStreamLikeThing === 'string') {
-      pathOrStreamLikeThing = fs.createReadStream(pathOrStreamLikeThing)
-    }
+    return prepareGraphQLFile(pathOrStreamLikeThing, formDataAppendOptions)
+  }
 
-    return new UploadWithOptions(pathOrStreamLikeThing, formDataAppendOptions)
+  /**
+   * Prepare a Base64 file upload for use with our GraphQL API
+   *
+   * @param  {string} data - Base64, or a Base64 `data:` URL
+   * @param  {object} options - _optional_ `filename` and `mimetype`, inferred
+   *   when not given, and `bufferize` to send the file decoded
+   * @return {object|UploadWithOptions} - `{ data, filename, mimetype }`, or a
+   *   file upload when bufferized
+   */
+  static prepareGraphQLBase64 (data, options) {
+    return prepareGraphQLBase64(data, options)
+  }
+
+  /**
+   * A JSON Schema for the `data` of fillPDF payloads for a template
+   *
+   * @param  {object} template - From getPDFTemplate or listPDFTemplates
+   * @return {object}
+   */
+  static pdfTemplateToJSONSchema (template) {
+    return pdfTemplateToJSONSchema(template)
+  }
+
+  /**
+   * Clients for many organizations, each with its own credentials and rate
+   * limiter, sharing keep-alive connections.
+   *
+   * @param  {object} options - See ClientPool
+   * @return {ClientPool}
+   */
+  static pool (options) {
+    return new ClientPool(Anvil, options)
+  }
+
+  /**
+   * Add a middleware that runs around every request the client sends,
+   * including each retry. Middlewares run in the order they were added.
+   *
+   * client.use(async (req, next) => {
+   *   req.headers['X-Request-ID'] = uuid()
+   *   const response = await next()
+   *   console.log(req.method, req.url, response.status)
+   *   return response
+   * })
+   *
+   * @param  {function} middleware - `async (req, next) => response`. `req` has
+   *   the `method`, `url`, `headers` and `body` about to be sent, and for GraphQL,
+   *   `graphQL: { query, variables }` with any files left out. Call `next(req)`
+   *   to send it, or return an `Anvil.Response` to skip sending it.
+   * @return {Anvil} - The client, for chaining
+   */
+  use (middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('middleware must be a function')
+    }
+    this.middlewares.push(middleware)
+    return this
   }
 
   fillPDF (pdfTemplateID, payload, clientOptions = {}) {
     const supportedDataTypes = [DATA_TYPE_STREAM, DATA_TYPE_BUFFER]
-    const { dataType = DATA_TYPE_BUFFER } = clientOptions
+    const { dataType = DATA_TYPE_BUFFER, validate = false, ...requestOptions } = clientOptions
     if (dataType && !supportedDataTypes.includes(dataType)) {
       throw new Error(`dataType must be one of: ${supportedDataTypes.join('|')}`)
     }
 
-    return this.requestREST(
+    const fill = () => this.requestREST(
       `/api/v1/fill/${pdfTemplateID}.pdf`,
       {
         method: 'POST',
@@ -107,10 +282,58 @@ class Anvil {
         },
       },
       {
-        ...clientOptions,
+        // Filling has no side effects, so it is always safe to retry
+        idempotent: true,
+        ...requestOptions,
         dataType,
       },
     )
+    if (!validate) return fill()
+
+    return this.validateFillPayload(pdfTemplateID, payload, requestOptions).then((errors) => {
+      if (errors.length) {
+        throw new AnvilValidationError(
+          `Invalid fillPDF payload: ${errors.map(({ message }) => message).join('; ')}`,
+          { errors },
+        )
+      }
+      return fill()
+    })
+  }
+
+  /**
+   * Check a fillPDF payload against its template's fields before sending it,
+   * so that a mistyped field ID isn't silently left blank. The template's
+   * fields are loaded with getPDFTemplate the first time, then cached for the
+   * life of the client.
+   *
+   * @param  {string} pdfTemplateID
+   * @param  {object} payload - The same as the fillPDF payload
+   * @param  {object} clientOptions - _optional_ For loading the template
+   * @return {Promise<Array<object>>} - `{ field, message }` for each unknown
+   *   field, missing required field and value of the wrong type. Empty when
+   *   the payload is valid.
+   */
+  async validateFillPayload (pdfTemplateID, payload, clientOptions = {}) {
+    // The template is loaded once for every caller, so each caller's signal
+    // and timeout only stop their own wait for it
+    const { signal, timeout = this.options.timeout } = clientOptions
+    const abortState = createAbortState({ signal, timeout })
+    const waitSignal = abortState && abortState.controller.signal
+    try {
+      const fields = await raceAbort(this._getPDFTemplateFields(pdfTemplateID, clientOptions), waitSignal)
+      return validateFillData(fields, payload && payload.data)
+    } catch (err) {
+      if (waitSignal && waitSignal.aborted) {
+        if (abortState.timedOut) {
+          throw new AnvilTimeoutError(`Timed out after ${timeout}ms loading PDF template ${pdfTemplateID}`)
+        }
+        throw new AnvilAbortError(`Stopped loading PDF template ${pdfTemplateID}`)
+      }
+      throw err
+    } finally {
+      if (abortState) abortState.cleanup()
+    }
   }
 
   generatePDF (payload, clientOptions = {}) {
@@ -130,39 +353,206 @@ class Anvil {
         },
       },
       {
+        idempotent: true,
         ...clientOptions,
         dataType,
       },
     )
   }
 
-  createEtchPacket ({ variables, responseQuery, mutation }) {
+  /**
+   * Fill a PDF template many times over. Each fill goes through the client's
+   * rate limiter and retries like any other request; `concurrency` caps how
+   * many are in flight at once.
+   *
+   * @param  {string} pdfTemplateID
+   * @param  {Iterable|AsyncIterable} payloads - fillPDF payloads
+   * @param  {object} options
+   * @param  {number} options.concurrency - _optional_ Defaults to 5
+   * @param  {string|function} options.output - _optional_ A directory to write
+   *   each PDF to, or `async (stream, { index, payload }) => {}`. Without it,
+   *   each result has the PDF `data` as a Buffer.
+   * @param  {function} options.filename - _optional_ `(payload, index) => string`
+   *   for an output directory. Defaults to `${index}.pdf`.
+   * @param  {function} options.onProgress - _optional_ Called with
+   *   `{ result, completed, succeeded, failed, total }` as each fill finishes
+   * @param  {boolean} options.stopOnError - _optional_ Stop starting new fills
+   *   after the first failure
+   * @param  {object} clientOptions - _optional_ Options for each request
+   * @return {Promise<object>} - `{ succeeded, failed, stopped, results }`, with a
+   *   result for each payload that was started, in order
+   */
+  async fillPDFBatch (pdfTemplateID, payloads, options = {}, clientOptions = {}) {
+    const {
+      concurrency = 5,
+      output,
+      filename = (payload, index) => `${index}.pdf`,
+      onProgress,
+      stopOnError = false,
+    } = options
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('concurrency must be an integer of 1 or more')
+    }
+    if (typeof output === 'string') {
+      fs.mkdirSync(output, { recursive: true })
+    }
+
+    const total = Array.isArray(payloads) ? payloads.length : undefined
+    const iterator = payloads[Symbol.asyncIterator]
+      ? payloads[Symbol.asyncIterator]()
+      : payloads[Symbol.iterator]()
+
+    // Iterators aren't safe to pull from concurrently, so pulls are queued
+    let pulling = Promise.resolve()
+    let nextIndex = 0
+    let stopped = false
+    const pull = () => {
+      pulling = pulling.then(async () => {
+        if (stopped) return { done: true }
+        const { done, value } = await iterator.next()
+        return done ? { done } : { done, payload: value, index: nextIndex++ }
+      })
+      return pulling
+    }
+
+    const fill = async (payload, index) => {
+      try {
+        const { statusCode, data, errors } = await this.fillPDF(pdfTemplateID, payload, {
+          ...clientOptions,
+          dataType: output ? DATA_TYPE_STREAM : DATA_TYPE_BUFFER,
+        })
+        if (statusCode >= 300) {
+          return { index, ok: false, statusCode, errors }
+        }
+
+        if (typeof output === 'function') {
+          await output(data, { index, payload })
+          return { index, ok: true, statusCode }
+        }
+        if (output) {
+          const filePath = resolveSafePath(output, filename(payload, index))
+          await writeStream(data, filePath)
+          return { index, ok: true, statusCode, path: filePath }
+        }
+        return { index, ok: true, statusCode, data }
+      } catch (error) {
+        return { index, ok: false, statusCode: error.statusCode, error }
+      }
+    }
+
+    const results = []
+    let succeeded = 0
+    let failed = 0
+    const worker = async () => {
+      while (true) {
+        const { done, payload, index } = await pull()
+        if (done) return
+
+        const result = await fill(payload, index)
+        results[index] = result
+        if (result.ok) {
+          succeeded++
+        } else {
+          failed++
+          if (stopOnError) stopped = true
+        }
+        if (onProgress) {
+          onProgress({ result, completed: succeeded + failed, succeeded, failed, total })
+        }
+      }
+    }
+
+    await Promise.all(Array.from({ length: concurrency }, worker))
+    // Let generators clean up after themselves
+    if (stopped && iterator.return) await iterator.return()
+    return { succeeded, failed, stopped, results }
+  }
+
+  /**
+   * A page of your organization's PDF templates, with their fields.
+   *
+   * @param  {object} options - _optional_
+   * @param  {string} options.organizationSlug - _optional_ Defaults to the organization of the API key
+   * @param  {number} options.page - _optional_ Starting from 1
+   * @param  {number} options.pageSize - _optional_
+   * @param  {object} clientOptions - _optional_
+   * @return {Promise<object>} - `{ statusCode, templates, pagination, errors }`,
+   *   where `pagination` is `{ page, pageSize, pageCount, rowCount }`
+   */
+  async listPDFTemplates (options = {}, clientOptions = {}) {
+    const { organizationSlug, page, pageSize } = options
+    const { statusCode, data, errors } = await this.requestGraphQL(
+      {
+        query: generateCastsQuery(),
+        variables: { organizationSlug, page, pageSize },
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+
+    const casts = data && data.data && data.data.organization && data.data.organization.casts
+    return {
+      statusCode,
+      templates: casts ? casts.items.map(toPDFTemplate) : undefined,
+      pagination: casts
+        ? { page: casts.page, pageSize: casts.pageSize, pageCount: casts.pageCount, rowCount: casts.rowCount }
+        : undefined,
+      errors: errors || (data && data.errors),
+    }
+  }
+
+  /**
+   * A PDF template and its fields, the IDs to use in fillPDF's `data`.
+   *
+   * @param  {string} pdfTemplateID - The template's eid
+   * @param  {object} clientOptions - _optional_
+   * @return {Promise<object>} - `{ statusCode, template, errors }`, where
+   *   `template` is `{ eid, title, fields }`, or null if there is no such template.
+   *   Each field is `{ id, type, name, page, rect, required }`.
+   */
+  async getPDFTemplate (pdfTemplateID, clientOptions = {}) {
+    const { statusCode, data, errors } = await this.requestGraphQL(
+      {
+        query: generateCastQuery(),
+        variables: { eid: pdfTemplateID },
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+
+    return {
+      statusCode,
+      template: data && data.data ? toPDFTemplate(data.data.cast) : undefined,
+      errors: errors || (data && data.errors),
+    }
+  }
+
+  createEtchPacket ({ variables, responseQuery, mutation }, clientOptions = {}) {
     return this.requestGraphQL(
       {
         query: mutation || generateCreateEtchPacketMutation(responseQuery),
         variables,
       },
-      { dataType: DATA_TYPE_JSON },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
     )
   }
 
-  getEtchPacket ({ variables, responseQuery }) {
+  getEtchPacket ({ variables, responseQuery }, clientOptions = {}) {
     return this.requestGraphQL(
       {
         query: generateEtchPacketQuery(responseQuery),
         variables,
       },
-      { dataType: DATA_TYPE_JSON },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
     )
   }
 
-  async generateEtchSignUrl ({ variables }) {
+  async generateEtchSignUrl ({ variables }, clientOptions = {}) {
     const { statusCode, data, errors } = await this.requestGraphQL(
       {
         query: generateEtchSignUrlMutation(),
         variables,
       },
-      { dataType: DATA_TYPE_JSON },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
     )
 
     return {
@@ -172,23 +562,370 @@ class Anvil {
     }
   }
 
+  /**
+   * Change a packet. Files and signers can only be changed while it is a draft.
+   *
+   * @param  {object} options
+   * @param  {object} options.variables - The packet's `eid`, and any of the
+   *   createEtchPacket variables to change
+   * @param  {string} options.responseQuery - _optional_
+   * @param  {string} options.mutation - _optional_ Replaces the whole mutation
+   * @param  {object} clientOptions - _optional_
+   * @return {Promise<object>} - `{ statusCode, data, errors }`
+   */
+  updateEtchPacket ({ variables, responseQuery, mutation }, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: mutation || generateUpdateEtchPacketMutation(responseQuery),
+        variables,
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+  }
+
+  // Send a packet created with `isDraft: true` to its first signers
+  sendEtchPacket ({ variables, responseQuery }, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: generateSendEtchPacketMutation(responseQuery),
+        variables,
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+  }
+
+  // Void a sent packet by the eid of its document group. Signers can no longer sign.
+  voidDocumentGroup ({ variables, responseQuery }, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: generateVoidDocumentGroupMutation(responseQuery),
+        variables,
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+  }
+
+  // Delete a packet that is a draft, or has been voided
+  removeEtchPacket ({ variables }, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: generateRemoveEtchPacketMutation(),
+        variables,
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+  }
+
+  // Resend the email asking a signer to sign
+  notifySigner ({ variables }, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: generateNotifySignerMutation(),
+        variables,
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+  }
+
+  // Correct a signer's name or email, e.g. after a bounce. `notify: true` emails them again.
+  updateEtchSigner ({ variables, responseQuery }, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: generateUpdateEtchSignerMutation(responseQuery),
+        variables,
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+  }
+
+  /**
+   * Poll an Etch packet until it, or one of its signers, has completed.
+   * Requests go through the client's rate limiter like any other.
+   *
+   * @param  {string} eid - The Etch packet eid
+   * @param  {object} options
+   * @param  {string} options.until - _optional_ 'completed' (the default) or the
+   *   eid or aliasId of a signer to wait on
+   * @param  {number} options.interval - _optional_ Milliseconds between polls to start
+   * @param  {number} options.maxInterval - _optional_ Polls back off to this while nothing changes
+   * @param  {number} options.timeout - _optional_ Milliseconds to wait in total. 0 waits forever.
+   * @param  {AbortSignal} options.signal - _optional_ Stop waiting
+   * @param  {function} options.onProgress - _optional_ Called with
+   *   `{ packet, status, previousStatus, signer }` on every status change
+   * @param  {boolean} options.download - _optional_ Also download the documents
+   * @param  {string} options.responseQuery - _optional_ As in getEtchPacket.
+   *   It must include `documentGroup { status signers { eid aliasId status } }`
+   * @param  {object} clientOptions - _optional_ Options for each request
+   * @return {Promise<object>} - The packet, or `{ packet, documents }` with `download`
+   */
+  async waitForEtchPacket (eid, options = {}, clientOptions = {}) {
+    const {
+      until = 'completed',
+      interval = 2000,
+      maxInterval = 30000,
+      timeout = 0,
+      signal,
+      onProgress,
+      download = false,
+      responseQuery,
+    } = options
+
+    const abortState = createAbortState({ signal, timeout })
+    const waitSignal = abortState && abortState.controller.signal
+    const requestOptions = { ...clientOptions, throwOnError: true }
+    if (waitSignal) requestOptions.signal = waitSignal
+
+    const statuses = new Map()
+    const setStatus = (key, status, details) => {
+      const previousStatus = statuses.get(key)
+      if (previousStatus === status) return false
+      statuses.set(key, status)
+      if (onProgress) onProgress({ ...details, status, previousStatus })
+      return true
+    }
+
+    let delayMS = interval
+    try {
+      while (true) {
+        const { data } = await this.getEtchPacket({ variables: { eid }, responseQuery }, requestOptions)
+        const packet = data.data.etchPacket
+        if (!packet) {
+          throw new AnvilError(`Etch packet ${eid} was not found`)
+        }
+
+        const { documentGroup } = packet
+        const signers = documentGroup ? documentGroup.signers || [] : []
+        let changed = setStatus(eid, documentGroup ? documentGroup.status : 'draft', { packet })
+        signers.forEach((signer) => {
+          changed = setStatus(signer.eid, signer.status, { packet, signer }) || changed
+        })
+
+        if (documentGroup && documentGroup.status === 'voided') {
+          throw new AnvilError(`Etch packet ${eid} was voided`)
+        }
+
+        let done
+        if (until === 'completed') {
+          done = Boolean(documentGroup) && documentGroup.status === 'completed'
+        } else if (documentGroup) {
+          const signer = signers.find((signer) => signer.eid === until || signer.aliasId === until)
+          if (!signer) {
+            throw new AnvilError(`Etch packet ${eid} has no signer ${until}`)
+          }
+          done = signer.status === 'completed'
+        }
+
+        if (done) {
+          if (!download) return packet
+          const { data: documents } = await this.downloadDocuments(documentGroup.eid, requestOptions)
+          return { packet, documents }
+        }
+
+        delayMS = changed ? interval : Math.min(maxInterval, delayMS * 1.5)
+        await sleep(delayMS, waitSignal)
+      }
+    } catch (err) {
+      if (waitSignal && waitSignal.aborted) {
+        if (abortState.timedOut) {
+          throw new AnvilTimeoutError(`Timed out after ${timeout}ms waiting for Etch packet ${eid}`)
+        }
+        throw new AnvilAbortError(`Stopped waiting for Etch packet ${eid}`)
+      }
+      throw err
+    } finally {
+      if (abortState) abortState.cleanup()
+    }
+  }
+
   downloadDocuments (documentGroupEid, clientOptions = {}) {
     const supportedDataTypes = [DATA_TYPE_STREAM, DATA_TYPE_BUFFER]
-    const { dataType = DATA_TYPE_BUFFER } = clientOptions
+    const { dataType = DATA_TYPE_BUFFER, extract = false, ...requestOptions } = clientOptions
     if (dataType && !supportedDataTypes.includes(dataType)) {
       throw new Error(`dataType must be one of: ${supportedDataTypes.join('|')}`)
     }
-    return this.requestREST(
+
+    const request = this.requestREST(
       `/api/document-group/${documentGroupEid}.zip`,
       { method: 'GET' },
       {
-        ...clientOptions,
-        dataType,
+        ...requestOptions,
+        // The whole zip is needed to read its entries
+        dataType: extract ? DATA_TYPE_BUFFER : dataType,
+      },
+    )
+    if (!extract) return request
+
+    return request.then(async (result) => {
+      if (result.statusCode >= 300) return result
+      const data = dataType === DATA_TYPE_STREAM
+        ? readZipEntries(result.data)
+        : await readZipBuffers(result.data)
+      return { ...result, data }
+    })
+  }
+
+  /**
+   * Download a document group and write it to a directory.
+   *
+   * @param  {string} documentGroupEid
+   * @param  {string} dir - Created if it does not exist
+   * @param  {object} clientOptions - _optional_ `extract: false` writes the
+   *   zip as-is, named from its Content-Disposition header
+   * @return {Promise<object>} - `{ statusCode, response, files }`, where `files`
+   *   are the paths written
+   */
+  async saveDocuments (documentGroupEid, dir, clientOptions = {}) {
+    const { extract = true, ...requestOptions } = clientOptions
+    const result = await this.downloadDocuments(documentGroupEid, {
+      ...requestOptions,
+      dataType: extract ? DATA_TYPE_BUFFER : DATA_TYPE_STREAM,
+    })
+    if (result.statusCode >= 300) return result
+
+    const { statusCode, response, data } = result
+    fs.mkdirSync(dir, { recursive: true })
+    if (extract) {
+      return { statusCode, response, files: await extractZip(data, dir) }
+    }
+
+    const filename = getContentDispositionFilename(response.headers.get('content-disposition'))
+    // Only the name is used, wherever the header says to put it
+    const filePath = resolveSafePath(dir, path.basename(filename || `${documentGroupEid}.zip`))
+    await writeStream(data, filePath)
+    return { statusCode, response, files: [filePath] }
+  }
+
+  /**
+   * The workflows (Welds) of each of your organizations.
+   *
+   * @param  {object} options - _optional_ `responseQuery`, the fields of each organization
+   * @param  {object} clientOptions - _optional_
+   * @return {Promise<object>} - `{ statusCode, data, errors }`, with
+   *   `data.data.currentUser.organizations`
+   */
+  listWelds ({ responseQuery } = {}, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: generateWeldsQuery(responseQuery),
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+  }
+
+  getWeld ({ variables, responseQuery }, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: generateWeldQuery(responseQuery),
+        variables,
       },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
     )
   }
 
-  async requestGraphQL ({ query, variables = {} }, clientOptions) {
+  /**
+   * Submit data to a step (Forge) of a workflow. Without a `weldDataEid` this
+   * starts a new submission of the workflow, see startWeld.
+   *
+   * @param  {object} options
+   * @param  {object} options.variables - `{ forgeEid, payload }`, and to continue
+   *   a submission, its `weldDataEid` and `submissionEid`. Also `complete`,
+   *   `isTest`, `webhookURL`, etc.
+   * @param  {string} options.responseQuery - _optional_ The Submission fields to return
+   * @param  {string} options.mutation - _optional_ Replaces the whole mutation
+   * @param  {object} clientOptions - _optional_
+   * @return {Promise<object>} - `{ statusCode, data, errors }`
+   */
+  forgeSubmit ({ variables, responseQuery, mutation }, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: mutation || generateForgeSubmitMutation(responseQuery),
+        variables,
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+  }
+
+  /**
+   * Start a new submission of a workflow, with data for its first step.
+   *
+   * @param  {object} options - As in forgeSubmit, without a `weldDataEid` or `submissionEid`
+   * @param  {object} clientOptions - _optional_
+   * @return {Promise<object>} - `{ statusCode, data, errors }`, with the new
+   *   WeldData at `data.data.forgeSubmit.weldData`
+   */
+  startWeld ({ variables = {}, ...options }, clientOptions = {}) {
+    if (variables.weldDataEid || variables.submissionEid) {
+      throw new Error('startWeld starts a new submission; use forgeSubmit to continue one')
+    }
+    return this.forgeSubmit({ ...options, variables }, clientOptions)
+  }
+
+  getWeldData ({ variables, responseQuery }, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: generateWeldDataQuery(responseQuery),
+        variables,
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+  }
+
+  /**
+   * A page of a workflow's submissions (WeldData), newest first.
+   *
+   * @param  {object} options
+   * @param  {object} options.variables - `{ weldEid, page, pageSize }`
+   * @param  {string} options.responseQuery - _optional_ The fields of the page,
+   *   e.g. `{ page pageCount items { eid status } }`
+   * @param  {object} clientOptions - _optional_
+   * @return {Promise<object>} - `{ statusCode, data, errors }`, with the page at
+   *   `data.data.weld.weldDatas`
+   */
+  listWeldData ({ variables, responseQuery }, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: generateWeldDatasQuery(responseQuery),
+        variables,
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+  }
+
+  getSubmission ({ variables, responseQuery }, clientOptions = {}) {
+    return this.requestGraphQL(
+      {
+        query: generateSubmissionQuery(responseQuery),
+        variables,
+      },
+      { ...clientOptions, dataType: DATA_TYPE_JSON },
+    )
+  }
+
+  /**
+   * Download the documents filled by a workflow submission.
+   *
+   * @param  {string} weldDataEid
+   * @param  {object} clientOptions - _optional_ As in downloadDocuments
+   * @return {Promise<object>} - As in downloadDocuments
+   */
+  async downloadWeldDataDocuments (weldDataEid, clientOptions = {}) {
+    const { dataType, extract, ...requestOptions } = clientOptions
+    const { data } = await this.getWeldData({
+      variables: { eid: weldDataEid },
+      responseQuery: '{ eid documentGroup { eid status } }',
+    }, { ...requestOptions, throwOnError: true })
+
+    const weldData = data.data.weldData
+    if (!weldData) {
+      throw new AnvilError(`Weld data ${weldDataEid} was not found`)
+    }
+    if (!weldData.documentGroup) {
+      throw new AnvilError(`Weld data ${weldDataEid} has no documents yet`)
+    }
+    return this.downloadDocuments(weldData.documentGroup.eid, clientOptions)
+  }
+
+  async requestGraphQL ({ query, variables = {} }, clientOptions = {}) {
     // Some helpful resources on how this came to be:
     // https://github.com/jaydenseric/graphql-upload/issues/125#issuecomment-440853538
     // https://zach.codes/building-a-file-upload-hook/
@@ -214,8 +951,10 @@ class Anvil {
       throw new Error('Invalid File schema detected')
     }
 
+    let abortController
+    let uploadError
     if (filesMap.size) {
-      const abortController = new AbortController()
+      abortController = new AbortController()
       const form = new FormData()
 
       form.append('operations', operationJSON)
@@ -228,17 +967,26 @@ class Anvil {
       form.append('map', JSON.stringify(map))
 
       i = 0
+      let lengthKnown = true
       filesMap.forEach((paths, file) => {
-        let appendOptions = {}
-        if (file instanceof UploadWithOptions) {
-          appendOptions = file.options
-          file = file.file
+        // Buffers, streams and the like are given a filename and type here
+        const upload = prepareGraphQLFile(file)
+        const appendOptions = upload.options || {}
+        file = upload.file
+        // http(s) URLs are fetched through our agent, with its proxy and ca
+        if (file instanceof URL) {
+          file = fetchStream(file, { agent: this.agent })
+        }
+        // form-data can measure buffers and files, but leaves other streams out of its length
+        if (!(Buffer.isBuffer(file) || typeof file === 'string' || file.path || appendOptions.knownLength)) {
+          lengthKnown = false
         }
         // If this is a stream-like thing, attach a listener to the 'error' event so that we
         // can cancel the API call if something goes wrong
         if (typeof file.on === 'function') {
           file.on('error', (err) => {
-            console.warn(err)
+            this.logger.warn({ error: err }, 'Upload stream failed, aborting the request')
+            uploadError = uploadError || err
             abortController.abort()
           })
         }
@@ -248,21 +996,59 @@ class Anvil {
         form.append(`${++i}`, file, appendOptions)
       })
 
+      // Otherwise node-fetch sends a Content-Length that leaves those streams out
+      if (!lengthKnown) {
+        form.hasKnownLength = () => false
+      }
+
       options.signal = abortController.signal
       options.body = form
+      if (clientOptions.onUploadProgress) {
+        await trackUploadProgress(form, clientOptions.onUploadProgress, { lengthKnown })
+      }
     } else {
       options.headers['Content-Type'] = 'application/json'
       options.body = operationJSON
     }
 
+    // Removes what forwardAbort adds to each attempt's signal, once we are done
+    const stopForwarding = []
     const {
       statusCode,
       data,
       errors,
     } = await this._wrapRequest(
-      () => this._request('/graphql', options),
+      ({ signal, authHeader } = {}) => {
+        const requestOptions = { graphQL: augmentedOperation, authHeader }
+        // Uploads already have a signal to cancel the request if a file stream errors
+        if (abortController) {
+          if (signal) stopForwarding.push(forwardAbort(signal, abortController))
+          return this._sendUpload(GRAPHQL_PATH, options, requestOptions, () => uploadError)
+        }
+        if (!signal) {
+          return this._request(GRAPHQL_PATH, options, requestOptions)
+        }
+        return this._request(GRAPHQL_PATH, { ...options, signal }, requestOptions)
+      },
       clientOptions,
-    )
+      {
+        method: options.method,
+        path: GRAPHQL_PATH,
+        // Mutations may have side effects, so only queries are retried by default.
+        // Streams in an upload cannot be read a second time.
+        idempotent: clientOptions.idempotent != null ? clientOptions.idempotent : !isMutation(query),
+        retryable: !filesMap.size,
+      },
+    ).finally(() => stopForwarding.forEach((stop) => stop()))
+
+    if (this._shouldThrow(clientOptions) && data && data.errors && data.errors.length) {
+      throw new AnvilGraphQLError(data.errors[0].message, {
+        statusCode,
+        path: GRAPHQL_PATH,
+        errors: data.errors,
+        body: data,
+      })
+    }
 
     return {
       statusCode,
@@ -271,15 +1057,23 @@ class Anvil {
     }
   }
 
-  async requestREST (url, fetchOptions, clientOptions) {
+  async requestREST (url, fetchOptions, clientOptions = {}) {
+    const method = fetchOptions.method || 'GET'
     const {
       response,
       statusCode,
       data,
       errors,
     } = await this._wrapRequest(
-      () => this._request(url, fetchOptions),
+      ({ signal, authHeader } = {}) => (
+        this._request(url, signal ? { ...fetchOptions, signal } : fetchOptions, { authHeader })
+      ),
       clientOptions,
+      {
+        method,
+        path: url,
+        idempotent: clientOptions.idempotent != null ? clientOptions.idempotent : IDEMPOTENT_METHODS.includes(method),
+      },
     )
 
     return {
@@ -290,6 +1084,63 @@ class Anvil {
     }
   }
 
+  /**
+   * Walk every item of a paginated list query, requesting one page at a time
+   * as the items are used. Each page is a requestGraphQL request, so it waits
+   * on the rate limiter and is retried like any other. `break` out of the loop
+   * to stop early; no more pages are requested.
+   *
+   * for await (const weldData of client.paginate(Anvil.queries.weldDatas, { weldEid })) {
+   *   console.log(weldData.eid)
+   * }
+   *
+   * @param  {object|string} queryModule - One of Anvil.queries, or a query string
+   * @param  {object} variables - _optional_ The query's variables. `page` or
+   *   `after` start from a later page, and `pageSize` sets the size of each.
+   * @param  {object} options - _optional_
+   * @param  {number} options.limit - _optional_ Stop after this many items
+   * @param  {string} options.responseQuery - _optional_ For the query module.
+   *   It must still select the page fields, e.g. `{ page pageCount items { eid } }`.
+   * @param  {string} options.path - _optional_ Where the page is in the response
+   *   data, e.g. `weld.weldDatas`. Defaults to the query module's `pagePath`,
+   *   or the first page found.
+   * @param  {object} clientOptions - _optional_ For each request
+   * @return {AsyncGenerator<object>} - Each item, in order
+   */
+  async * paginate (queryModule, variables = {}, options = {}, clientOptions = {}) {
+    const { limit = Infinity, responseQuery, path = queryModule.pagePath } = options
+    if (!(limit >= 0)) {
+      throw new Error('limit must be 0 or more')
+    }
+    const query = typeof queryModule === 'string' ? queryModule : queryModule.generateQuery(responseQuery)
+
+    let count = 0
+    let pageVariables = variables
+    while (count < limit) {
+      const { data } = await this.requestGraphQL(
+        { query, variables: pageVariables },
+        { ...clientOptions, dataType: DATA_TYPE_JSON, throwOnError: true },
+      )
+
+      const found = path ? getPath(data.data, path) : findPage(data.data)
+      // e.g. the weld whose submissions were asked for doesn't exist
+      if (found == null && path) return
+      const page = readPage(found)
+      if (!page) {
+        throw new AnvilError(path
+          ? `The response has no page of items at ${path}`
+          : 'The response has no page of items. Select page and items, or pageInfo and nodes.')
+      }
+
+      for (const item of page.items.slice(0, limit - count)) {
+        count++
+        yield item
+      }
+      if (!page.next || !page.items.length) return
+      pageVariables = { ...variables, ...page.next }
+    }
+  }
+
   // ******************************************************************************
   //     ___      _           __
   //    / _ \____(_)  _____ _/ /____
@@ -300,55 +1151,312 @@ class Anvil {
   // USERS OF THIS MODULE SHOULD NOT USE ANY OF THESE METHODS DIRECTLY
   // ******************************************************************************
 
-  _request (url, options) {
+  // Cached as a promise, so concurrent fills of a template share one request
+  _getPDFTemplateFields (pdfTemplateID, clientOptions) {
+    let fields = this.pdfTemplateFields.get(pdfTemplateID)
+    if (!fields) {
+      // Shared, so one caller's signal or timeout must not stop it for the others
+      const {
+        dataType,
+        signal,
+        timeout,
+        onUploadProgress,
+        onDownloadProgress,
+        ...requestOptions
+      } = clientOptions
+      const loading = this.getPDFTemplate(pdfTemplateID, { ...requestOptions, throwOnError: true })
+        .then(({ template }) => {
+          if (!template) {
+            throw new AnvilError(`PDF template ${pdfTemplateID} was not found`)
+          }
+          return template.fields
+        })
+      // Try again next time, rather than caching the failure
+      loading.catch(() => {
+        if (this.pdfTemplateFields.get(pdfTemplateID) === loading) {
+          this.pdfTemplateFields.delete(pdfTemplateID)
+        }
+      })
+      this.pdfTemplateFields.set(pdfTemplateID, loading)
+      fields = loading
+    }
+    return fields
+  }
+
+  // Rejects with why a file stream failed, rather than the abort it caused
+  async _sendUpload (url, options, requestOptions, getUploadError) {
+    try {
+      return await this._request(url, options, requestOptions)
+    } catch (err) {
+      throw getUploadError() || err
+    }
+  }
+
+  _request (url, options, { graphQL, authHeader } = {}) {
     if (!url.startsWith(this.options.baseURL)) {
       url = this._url(url)
     }
-    const opts = this._addDefaultHeaders(options)
-    return fetch(url, opts)
-  }
+    const opts = this._addDefaultHeaders(options, authHeader)
+    if (!this.middlewares.length) {
+      return this._fetch(url, opts)
+    }
 
-  _wrapRequest (retryableRequestFn, clientOptions = {}) {
-    return this._throttle(async (retry) => {
-      const response = await retryableRequestFn()
-      const statusCode = response.status
+    // An upload's FormData reads its files as it is sent, so it stays ours.
+    // Middlewares see the operation as JSON instead, without the files.
+    const isUpload = opts.body instanceof FormData
+    const req = {
+      method: opts.method || 'GET',
+      url,
+      headers: opts.headers,
+      body: isUpload ? JSON.stringify(graphQL) : opts.body,
+      graphQL,
+    }
+    return this._runMiddlewares(req, ({ method, url, headers, body }) => (
+      this._fetch(url, { ...opts, method, headers, body: isUpload ? opts.body : body })
+    ))
+  }
 
-      if (statusCode >= 300) {
-        if (statusCode === 429) {
-          return retry(getRetryMS(response.headers.get('retry-after')))
-        }
+  // Bodies are never logged; they can hold PDF data and other personal info
+  async _fetch (url, options) {
+    const method = options.method || 'GET'
+    const startedAt = Date.now()
+    this.logger.debug({ method, url, headers: redactHeaders(options.headers) }, 'Request started')
+    try {
+      const response = await fetch(url, { agent: this.agent, ...options })
+      this._record({
+        statusCode: response.status,
+        bytesSent: getBodyLength(options.body),
+        bytesReceived: getContentLength(response) || 0,
+      })
+      this.logger.debug({
+        method,
+        url,
+        status: response.status,
+        durationMS: Date.now() - startedAt,
+      }, 'Request finished')
+      return response
+    } catch (err) {
+      this.logger.debug({
+        method,
+        url,
+        error: err.message,
+        code: err.code,
+        durationMS: Date.now() - startedAt,
+      }, 'Request failed')
+      throw err
+    }
+  }
 
-        const json = await response.json()
-        const errors = json.errors || (json.message && [json])
+  _runMiddlewares (req, send) {
+    const dispatch = async (index, req) => {
+      const middleware = this.middlewares[index]
+      if (!middleware) return send(req)
 
-        return errors ? { statusCode, errors } : { statusCode, ...json }
+      const response = await middleware(req, (nextReq = req) => dispatch(index + 1, nextReq))
+      if (!response) {
+        throw new Error('Middleware must return a response, either from next() or its own')
       }
+      return response
+    }
+    return dispatch(0, req)
+  }
 
-      const { dataType } = clientOptions
-      let data
-
-      switch (dataType) {
-        case DATA_TYPE_STREAM:
-          data = response.body
-          break
-        case DATA_TYPE_BUFFER:
-          data = await response.buffer()
-          break
-        case DATA_TYPE_JSON:
-          data = await response.json()
-          break
-        default:
-          console.warn('Using default response dataType of "json". Please specifiy a dataType.')
-          data = await response.json()
-          break
-      }
+  async _wrapRequest (retryableRequestFn, clientOptions = {}, requestInfo = {}) {
+    const retryOptions = this._getRetryOptions(clientOptions)
+    // Streams in an upload cannot be read a second time
+    const canResend = Boolean(retryOptions) && requestInfo.retryable !== false
+    const canRetry = canResend && Boolean(requestInfo.idempotent || retryOptions.retryNonIdempotent)
 
-      return {
-        response,
-        data,
+    let retries = 0
+    // With OAuth, a 401 refreshes the access token and retries once
+    let refreshedAuth = false
+    const shouldRetry = () => canRetry && retries + 1 < retryOptions.maxAttempts
+    // A 429 was never acted on, so it is safe to resend even with side effects
+    const shouldRetryRateLimited = () => canResend && retries + 1 < retryOptions.maxAttempts
+    const retryWithBackoff = (retry, { error, statusCode, retryAfterMS }) => {
+      retries++
+      const delayMS = retryAfterMS || getBackoffMS(retries, retryOptions)
+      this.logger.info({
+        attempt: retries + 1,
+        error: error && error.message,
         statusCode,
+        delayMS,
+        method: requestInfo.method,
+        path: requestInfo.path,
+      }, 'Retrying request')
+      this._record({ retry: true, statusCode })
+      if (retryOptions.onRetry) {
+        retryOptions.onRetry({
+          attempt: retries + 1,
+          error,
+          statusCode,
+          delayMS,
+          method: requestInfo.method,
+          path: requestInfo.path,
+        })
       }
-    })
+      return retry(delayMS)
+    }
+
+    const { signal, timeout = this.options.timeout, dataType } = clientOptions
+    const abortState = createAbortState({ signal, timeout })
+    const requestSignal = abortState && abortState.controller.signal
+    const attemptOptions = requestSignal ? { signal: requestSignal } : {}
+
+    let stream
+    try {
+      const result = await this._throttle(async (retry, release) => {
+        // Looked up for each attempt, so that retries use a refreshed token
+        let accessToken
+        try {
+          accessToken = this.oauth
+            ? await this.oauth.getAccessToken(this.options.oauthKey, { agent: this.agent })
+            : undefined
+        } catch (err) {
+          await release()
+          throw err
+        }
+        if (requestSignal && requestSignal.aborted) {
+          await release()
+          throw createAbortedError()
+        }
+        let response
+        try {
+          response = await retryableRequestFn(
+            accessToken ? { ...attemptOptions, authHeader: getBearerHeader(accessToken) } : attemptOptions,
+          )
+        } catch (err) {
+          if (shouldRetry() && retryOptions.errorCodes.includes(err.code)) {
+            return retryWithBackoff(retry, { error: err })
+          }
+          throw err
+        }
+        const statusCode = response.status
+        await this._updateRateLimit(response)
+
+        if (statusCode >= 300) {
+          if (statusCode === 429 && shouldRetryRateLimited()) {
+            const retryAfter = response.headers && response.headers.get('retry-after')
+            return retryWithBackoff(retry, {
+              statusCode,
+              retryAfterMS: retryAfter ? getRetryMS(retryAfter) : undefined,
+            })
+          }
+
+          if (statusCode === 401 && accessToken && !refreshedAuth) {
+            refreshedAuth = true
+            await this.oauth.refreshAccessToken(this.options.oauthKey, { staleAccessToken: accessToken, agent: this.agent })
+            // Streams in an upload cannot be read a second time
+            if (requestInfo.retryable !== false) {
+              this.logger.info({
+                method: requestInfo.method,
+                path: requestInfo.path,
+              }, 'Refreshed the OAuth access token, retrying request')
+              this._record({ retry: true, statusCode })
+              return retry(0)
+            }
+          }
+
+          if (shouldRetry() && retryOptions.statusCodes.includes(statusCode)) {
+            const retryAfter = response.headers && response.headers.get('retry-after')
+            return retryWithBackoff(retry, {
+              statusCode,
+              retryAfterMS: retryAfter ? getRetryMS(retryAfter) : undefined,
+            })
+          }
+
+          // Error responses are not always JSON, e.g. an HTML 502 from a load balancer
+          const body = await response.text()
+          let json
+          try {
+            json = JSON.parse(body)
+          } catch (e) {}
+          const errors = json
+            ? json.errors || (json.message && [json])
+            : [{ message: `Received a non-JSON response with status ${statusCode}` }]
+
+          if (this._shouldThrow(clientOptions)) {
+            throw createResponseError({
+              statusCode,
+              path: requestInfo.path,
+              errors,
+              body: json === undefined ? body : json,
+              isGraphQL: requestInfo.path === GRAPHQL_PATH,
+            })
+          }
+
+          return errors ? { statusCode, errors } : { statusCode, ...json }
+        }
+
+        let data
+        const { onDownloadProgress } = clientOptions
+        const body = onDownloadProgress
+          ? trackDownloadProgress(response, onDownloadProgress, { asStream: dataType === DATA_TYPE_STREAM })
+          : response.body
+
+        switch (dataType) {
+          case DATA_TYPE_STREAM:
+            data = body
+            break
+          case DATA_TYPE_BUFFER:
+            data = await response.buffer()
+            // Chunked responses have no length to count when they arrive
+            if (getContentLength(response) === undefined) this._record({ bytesReceived: data.length })
+            break
+          case DATA_TYPE_JSON:
+            data = await response.json()
+            break
+          default:
+            this.logger.warn({ path: requestInfo.path }, 'Using default response dataType of "json". Please specifiy a dataType.')
+            data = await response.json()
+            break
+        }
+
+        return {
+          response,
+          data,
+          statusCode,
+        }
+      }, requestSignal)
+      if (dataType === DATA_TYPE_STREAM && result.data && typeof result.data.on === 'function') {
+        stream = result.data
+      }
+      return result
+    } catch (err) {
+      if (requestSignal && requestSignal.aborted) {
+        const { path } = requestInfo
+        throw abortState.timedOut
+          ? new AnvilTimeoutError(`Request to ${path} timed out after ${timeout}ms`, { path })
+          : new AnvilAbortError(`Request to ${path} was aborted`, { path })
+      }
+      throw err
+    } finally {
+      // A stream is read after we return, so the caller's signal should still be able to abort it
+      // until it ends
+      if (abortState) {
+        abortState.cleanup({ keepSignal: Boolean(stream) })
+        if (stream) finished(stream, () => abortState.cleanup())
+      }
+    }
+  }
+
+  _getRetryOptions (clientOptions = {}) {
+    const { retry: clientRetry } = this.options
+    const { retry: requestRetry } = clientOptions
+    if (clientRetry === false || requestRetry === false) {
+      return null
+    }
+
+    return {
+      ...defaultRetryOptions,
+      ...clientRetry,
+      ...requestRetry,
+    }
+  }
+
+  _shouldThrow (clientOptions = {}) {
+    const { throwOnError = this.options.throwOnError } = clientOptions
+    return Boolean(throwOnError)
   }
 
   _url (path) {
@@ -376,58 +1484,72 @@ class Anvil {
     }
   }
 
-  _addDefaultHeaders (options) {
+  _addDefaultHeaders (options, authHeader = this.authHeader) {
     const { userAgent } = this.options
     return this._addHeaders(
       {
         options,
         headers: {
           'User-Agent': userAgent,
-          Authorization: this.authHeader,
+          Authorization: authHeader,
         },
       },
       { defaults: true },
     )
   }
 
-  _throttle (fn) {
-    return new Promise((resolve, reject) => {
-      this.limiter.removeTokens(1, async (err, remainingRequests) => {
-        if (err) reject(err)
-        if (remainingRequests < 1) {
-          await sleep(this.requestLimitMS + failBufferMS)
-        }
-        const retry = async (ms) => {
-          await sleep(ms)
-          return this._throttle(fn)
-        }
-        try {
-          resolve(await fn(retry))
-        } catch (e) {
-          reject(e)
-        }
-      })
-    })
-  }
+  async _throttle (fn, signal) {
+    if (signal && signal.aborted) {
+      throw createAbortedError()
+    }
 
-  static _prepareGraphQLBase64 (data, options = {}) {
-    const { filename, mimetype } = options
-    if (!filename) {
-      throw new Error('options.filename must be provided for Base64 upload')
+    // The limiter gives up its wait if the signal aborts, so a request that
+    // is never sent never takes a slot
+    let token
+    if (this.rateLimiter) {
+      const startedAt = Date.now()
+      token = await this.rateLimiter.acquire({ signal })
+      const waitMS = Date.now() - startedAt
+      this._record({ throttleWaitMS: waitMS })
+      if (waitMS > 0) {
+        this.logger.debug({ waitMS }, 'Waited on the rate limiter')
+      }
     }
-    if (!mimetype) {
-      throw new Error('options.mimetype must be provided for Base64 upload')
+
+    // For fn to give the slot back when it stops before sending, once
+    let released = !this.rateLimiter
+    const release = async () => {
+      if (released) return
+      released = true
+      try {
+        await this.rateLimiter.release(token)
+      } catch (e) {
+        this.logger.warn({ error: e }, 'Could not release a rate limiter slot')
+      }
+    }
+    if (signal && signal.aborted) {
+      await release()
+      throw createAbortedError()
     }
 
-    if (options.bufferize) {
-      const buffer = Buffer.from(data, 'base64')
-      return this._prepareGraphQLBuffer(buffer, options)
+    const retry = async (ms) => {
+      await sleep(ms, signal)
+      return this._throttle(fn, signal)
     }
+    return fn(retry, release)
+  }
 
-    return {
-      data,
-      filename,
-      mimetype,
+  // Count a request's stats towards the spans of the methods running it
+  _record (stats) {
+    if (this.instrumentation) this.instrumentation.record(stats)
+  }
+
+  async _updateRateLimit (response) {
+    if (!this.rateLimiter) return
+    try {
+      await this.rateLimiter.update(getRateLimitHints(response))
+    } catch (e) {
+      // Hints are best effort, and shouldn't fail the request
     }
   }
 }
@@ -436,10 +1558,258 @@ function getRetryMS (retryAfterSeconds) {
   return Math.round((Math.abs(parseFloat(retryAfterSeconds)) || 0) * 1000) + failBufferMS
 }
 
-function sleep (ms) {
-  return new Promise((resolve) => {
-    setTimeout(resolve, ms)
+// Reads what the server says about its rate limit, from `retry-after` on a 429
+// and the common `x-ratelimit-*` and `ratelimit-*` headers
+function getRateLimitHints (response) {
+  const { headers } = response
+  const get = (name) => {
+    const value = headers && (headers.get(`x-${name}`) || headers.get(name))
+    const number = parseFloat(value)
+    return Number.isFinite(number) ? number : undefined
+  }
+
+  const hints = {
+    limit: get('ratelimit-limit'),
+    remaining: get('ratelimit-remaining'),
+  }
+
+  const reset = get('ratelimit-reset')
+  if (reset !== undefined) {
+    // Either seconds from now, or a timestamp in seconds
+    hints.resetMS = reset > 1e9 ? (reset * 1000) - Date.now() : reset * 1000
+  }
+
+  const retryAfter = headers && headers.get('retry-after')
+  if (response.status === 429 && retryAfter) {
+    hints.retryAfterMS = getRetryMS(retryAfter)
+  }
+
+  return hints
+}
+
+// Exponential backoff, capped. With jitter, the delay is randomly chosen
+// from the upper half of the range so that many clients don't retry in lockstep.
+function getBackoffMS (retryNumber, { baseMS, capMS, jitter }) {
+  const ms = Math.min(capMS, baseMS * Math.pow(2, retryNumber - 1))
+  return Math.round(jitter ? (ms / 2) + (Math.random() * ms / 2) : ms)
+}
+
+function isMutation (query) {
+  return typeof query === 'string' && /^\s*mutation\b/.test(query.replace(/#.*$/gm, ''))
+}
+
+function getOperationName (query) {
+  const match = typeof query === 'string' && /^\s*(?:query|mutation)\s+(\w+)/.exec(query.replace(/#.*$/gm, ''))
+  return match ? match[1] : undefined
+}
+
+// Bytes in a request body, when they can be known without reading it
+function getBodyLength (body) {
+  if (typeof body === 'string') return Buffer.byteLength(body)
+  if (Buffer.isBuffer(body)) return body.length
+  if (body instanceof FormData && body.hasKnownLength()) return body.getLengthSync()
+  return 0
+}
+
+// The API takes access tokens base64 encoded
+function getBearerHeader (accessToken) {
+  return `Bearer ${Buffer.from(accessToken, 'ascii').toString('base64')}`
+}
+
+function getContentLength (response) {
+  const header = response.headers && response.headers.get('content-length')
+  return header ? Number(header) : undefined
+}
+
+// Reports the bytes of a multipart body as they are handed to the connection
+async function trackUploadProgress (form, onProgress, { lengthKnown }) {
+  const total = lengthKnown
+    ? await new Promise((resolve) => form.getLength((err, length) => resolve(err ? undefined : length)))
+    : undefined
+  let loaded = 0
+  form.on('data', (chunk) => {
+    loaded += typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length
+    onProgress({ loaded, total })
+  })
+}
+
+// Reports the bytes of a response body as they arrive. A body handed back as
+// a stream is piped through a counter, since listening to it directly would
+// start it flowing before the caller reads it.
+function trackDownloadProgress (response, onProgress, { asStream }) {
+  const total = getContentLength(response)
+  let loaded = 0
+  const count = (chunk) => {
+    loaded += chunk.length
+    onProgress({ loaded, total })
+  }
+
+  // e.g. an Anvil.Response from a middleware, already in memory
+  if (Buffer.isBuffer(response.body)) {
+    count(response.body)
+    return response.body
+  }
+  if (!asStream) {
+    response.body.on('data', count)
+    return response.body
+  }
+
+  const counter = new Transform({
+    transform (chunk, encoding, callback) {
+      count(chunk)
+      callback(null, chunk)
+    },
   })
+  // Errors, e.g. from an abort, are passed on to the counter
+  pipeline(response.body, counter, () => {})
+  return counter
+}
+
+// Combines the caller's signal and a timeout into a single signal for a request
+function createAbortState ({ signal, timeout }) {
+  if (!signal && !timeout) return null
+
+  const controller = new AbortController()
+  const state = { controller, timedOut: false }
+
+  const onAbort = () => controller.abort()
+  if (signal) {
+    if (signal.aborted) controller.abort()
+    else signal.addEventListener('abort', onAbort)
+  }
+
+  let timer
+  if (timeout) {
+    timer = setTimeout(() => {
+      state.timedOut = true
+      controller.abort()
+    }, timeout)
+  }
+
+  state.cleanup = ({ keepSignal = false } = {}) => {
+    clearTimeout(timer)
+    if (signal && !keepSignal) signal.removeEventListener('abort', onAbort)
+  }
+
+  return state
+}
+
+// Returns a function to stop forwarding
+function forwardAbort (signal, controller) {
+  if (signal.aborted) {
+    controller.abort()
+    return () => {}
+  }
+  const onAbort = () => controller.abort()
+  signal.addEventListener('abort', onAbort)
+  return () => signal.removeEventListener('abort', onAbort)
+}
+
+function getPath (object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), object)
+}
+
+// A page of a list, either numbered pages of `items`, or a connection with
+// `pageInfo` and a cursor to request the next page `after`
+function readPage (page) {
+  if (!page || typeof page !== 'object' || Array.isArray(page)) return null
+
+  if (page.pageInfo) {
+    const items = page.nodes || (page.edges ? page.edges.map(({ node }) => node) : null)
+    if (!items) return null
+    const { hasNextPage, endCursor } = page.pageInfo
+    return { items, next: hasNextPage && endCursor ? { after: endCursor } : null }
+  }
+
+  if (Array.isArray(page.items) && typeof page.page === 'number') {
+    const hasNextPage = typeof page.pageCount === 'number'
+      ? page.page < page.pageCount
+      : page.items.length > 0 && page.items.length === page.pageSize
+    return { items: page.items, next: hasNextPage ? { page: page.page + 1 } : null }
+  }
+  return null
+}
+
+// The first page anywhere in the response data
+function findPage (data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null
+  if (readPage(data)) return data
+  for (const value of Object.values(data)) {
+    const page = findPage(value)
+    if (page) return page
+  }
+  return null
 }
 
+// Methods that get a span when the client has a tracer or meter, with the
+// attributes to start them with. The generic requests get a span only when
+// called directly, since every other method runs through them.
+const INSTRUMENTED_METHODS = {
+  fillPDF: { attributes: (pdfTemplateID) => ({ 'anvil.template_id': pdfTemplateID }) },
+  fillPDFBatch: { attributes: (pdfTemplateID) => ({ 'anvil.template_id': pdfTemplateID }) },
+  generatePDF: {},
+  listPDFTemplates: {},
+  getPDFTemplate: { attributes: (pdfTemplateID) => ({ 'anvil.template_id': pdfTemplateID }) },
+  validateFillPayload: { attributes: (pdfTemplateID) => ({ 'anvil.template_id': pdfTemplateID }) },
+  createEtchPacket: {},
+  getEtchPacket: {},
+  generateEtchSignUrl: {},
+  updateEtchPacket: {},
+  sendEtchPacket: {},
+  voidDocumentGroup: {},
+  removeEtchPacket: {},
+  notifySigner: {},
+  updateEtchSigner: {},
+  waitForEtchPacket: { attributes: (eid) => ({ 'anvil.etch_packet_eid': eid }) },
+  downloadDocuments: { attributes: (eid) => ({ 'anvil.document_group_eid': eid }) },
+  saveDocuments: { attributes: (eid) => ({ 'anvil.document_group_eid': eid }) },
+  listWelds: {},
+  getWeld: {},
+  forgeSubmit: {},
+  startWeld: {},
+  getWeldData: {},
+  listWeldData: {},
+  getSubmission: {},
+  downloadWeldDataDocuments: { attributes: (eid) => ({ 'anvil.weld_data_eid': eid }) },
+  requestGraphQL: {
+    topLevelOnly: true,
+    attributes: ({ query } = {}) => {
+      const operationName = getOperationName(query)
+      return operationName ? { 'anvil.graphql.operation': operationName } : {}
+    },
+  },
+  requestREST: { topLevelOnly: true, attributes: (url) => ({ 'anvil.path': url }) },
+}
+
+Object.entries(INSTRUMENTED_METHODS).forEach(([name, { attributes, topLevelOnly }]) => {
+  const method = Anvil.prototype[name]
+  Anvil.prototype[name] = function (...args) {
+    const { instrumentation } = this
+    if (!instrumentation || (topLevelOnly && instrumentation.current())) {
+      return method.apply(this, args)
+    }
+    return instrumentation.run(name, attributes ? attributes(...args) : {}, () => method.apply(this, args))
+  }
+})
+
+Anvil.webhooks = webhooks
+// The query modules, for client.paginate
+Anvil.queries = graphql.queries
+Anvil.rateLimiters = rateLimiters
+// For middlewares to respond with
+Anvil.Response = fetch.Response
+Anvil.EtchPacketBuilder = EtchPacketBuilder
+Anvil.OAuth = OAuth
+Anvil.ClientPool = ClientPool
+Anvil.MemoryTokenStore = MemoryTokenStore
+
+Anvil.AnvilError = AnvilError
+Anvil.AnvilValidationError = AnvilValidationError
+Anvil.AnvilAuthError = AnvilAuthError
+Anvil.AnvilRateLimitError = AnvilRateLimitError
+Anvil.AnvilServerError = AnvilServerError
+Anvil.AnvilGraphQLError = AnvilGraphQLError
+Anvil.AnvilAbortError = AnvilAbortError
+Anvil.AnvilTimeoutError = AnvilTimeoutError
+
 module.exports = Anvil
@@ -0,0 +1,107 @@
+const util = require('util')
+
+const LEVELS = ['debug', 'info', 'warn', 'error']
+
+const REDACTED = '[REDACTED]'
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie']
+
+function noop () {}
+
+/**
+ * Whether a DEBUG environment variable (e.g. `anvil*` or `express:*,anvil`)
+ * turns on debug logging, in the style of the `debug` package.
+ *
+ * @param  {string} debugEnv
+ * @return {boolean}
+ */
+function isDebugEnabled (debugEnv = process.env.DEBUG) {
+  if (!debugEnv) return false
+
+  let enabled = false
+  debugEnv.split(/[\s,]+/).filter(Boolean).forEach((pattern) => {
+    const negated = pattern.startsWith('-')
+    const name = negated ? pattern.slice(1) : pattern
+    const regex = new RegExp(`^${name.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`)
+    // 'anvil' and everything under it, e.g. 'anvil:*'
+    if (regex.test('anvil') || regex.test('anvil:')) {
+      enabled = !negated
+    }
+  })
+  return enabled
+}
+
+/**
+ * Writes every level to a stream, one line per entry.
+ *
+ * @param  {stream.Writable} stream - _optional_ Defaults to stderr
+ */
+function createDebugLogger (stream = process.stderr) {
+  return LEVELS.reduce((logger, level) => {
+    logger[level] = (meta, message) => {
+      const details = meta && Object.keys(meta).length
+        ? ` ${util.inspect(meta, { depth: 4, breakLength: Infinity })}`
+        : ''
+      stream.write(`anvil:${level} ${message}${details}\n`)
+    }
+    return logger
+  }, {})
+}
+
+// Only warnings and errors, to the console
+function createDefaultLogger () {
+  const toConsole = (method) => (meta, message) => {
+    const args = meta && Object.keys(meta).length ? [message, meta] : [message]
+    console[method](...args)
+  }
+  return {
+    debug: noop,
+    info: noop,
+    warn: toConsole('warn'),
+    error: toConsole('error'),
+  }
+}
+
+/**
+ * Pick the logger for a client. Loggers are called pino-style, with
+ * `logger[level](meta, message)`.
+ *
+ * @param  {object} options
+ * @param  {object|false} options.logger - Anything with debug, info, warn and
+ *   error methods, or false to log nothing
+ * @param  {boolean} options.debug - Log everything to stderr. Defaults to
+ *   whether DEBUG includes `anvil`.
+ * @return {object}
+ */
+function createLogger ({ logger, debug = isDebugEnabled() } = {}) {
+  if (logger === false) {
+    return LEVELS.reduce((acc, level) => ({ ...acc, [level]: noop }), {})
+  }
+  if (logger) {
+    // Fill in any missing levels, e.g. a logger without debug
+    return LEVELS.reduce((acc, level) => {
+      acc[level] = typeof logger[level] === 'function' ? logger[level].bind(logger) : noop
+      return acc
+    }, {})
+  }
+  return debug ? createDebugLogger() : createDefaultLogger()
+}
+
+/**
+ * Copy headers with any secrets, like the Authorization header, hidden.
+ *
+ * @param  {object} headers
+ * @return {object}
+ */
+function redactHeaders (headers = {}) {
+  return Object.entries(headers).reduce((acc, [key, value]) => {
+    acc[key] = SECRET_HEADERS.includes(key.toLowerCase()) ? REDACTED : value
+    return acc
+  }, {})
+}
+
+module.exports = {
+  createLogger,
+  createDebugLogger,
+  isDebugEnabled,
+  redactHeaders,
+}
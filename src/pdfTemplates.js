@@ -0,0 +1,222 @@
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#'
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$'
+const PHONE_PATTERN = '^\\+?[\\d\\s().-]{7,}$'
+const CURRENCY_PATTERN = '^-?\\$?\\d{1,3}(,?\\d{3})*(\\.\\d+)?$'
+
+const NAME_SCHEMA = {
+  anyOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      properties: {
+        firstName: { type: 'string' },
+        mi: { type: 'string' },
+        lastName: { type: 'string' },
+      },
+      additionalProperties: false,
+    },
+  ],
+}
+
+// The JSON Schema of the data fillPDF takes for each field type. Other types,
+// e.g. shortText, take a string.
+const FIELD_SCHEMAS = {
+  email: { type: 'string', format: 'email' },
+  date: { type: 'string', format: 'date', pattern: DATE_PATTERN },
+  signatureDate: { type: 'string', format: 'date', pattern: DATE_PATTERN },
+  phone: {
+    anyOf: [
+      { type: 'string', pattern: PHONE_PATTERN },
+      {
+        type: 'object',
+        properties: {
+          num: { type: 'string', pattern: PHONE_PATTERN },
+          region: { type: 'string' },
+          baseRegion: { type: 'string' },
+        },
+        required: ['num'],
+        additionalProperties: false,
+      },
+    ],
+  },
+  number: { type: ['number', 'string'], pattern: '^-?\\d+(\\.\\d+)?$' },
+  integer: { type: ['integer', 'string'], pattern: '^-?\\d+$' },
+  percent: { type: ['number', 'string'], pattern: '^-?\\d+(\\.\\d+)?%?$' },
+  dollar: { type: ['number', 'string'], pattern: CURRENCY_PATTERN },
+  currency: { type: ['number', 'string'], pattern: CURRENCY_PATTERN },
+  checkbox: { type: 'boolean' },
+  signature: { type: 'string', minLength: 1 },
+  initial: { type: 'string', minLength: 1 },
+  ssn: { type: 'string', pattern: '^\\d{3}-?\\d{2}-?\\d{4}$' },
+  ein: { type: 'string', pattern: '^\\d{2}-?\\d{7}$' },
+  fullName: NAME_SCHEMA,
+  usAddress: {
+    type: 'object',
+    properties: {
+      street1: { type: 'string' },
+      street2: { type: 'string' },
+      city: { type: 'string' },
+      state: { type: 'string' },
+      zip: { type: 'string' },
+      country: { type: 'string' },
+    },
+    additionalProperties: false,
+  },
+}
+
+const DEFAULT_FIELD_SCHEMA = { type: 'string' }
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Date.parse rolls days over, e.g. 2024-02-31 to March 2nd
+function isValidDate (value) {
+  const time = Date.parse(value)
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value
+}
+
+// Whether a value matches one of the schemas above. Only covers what they use.
+function matchesSchema (schema, value) {
+  if (schema.anyOf) {
+    return schema.anyOf.some((option) => matchesSchema(option, value))
+  }
+
+  const types = [].concat(schema.type)
+  const matchesType = types.some((type) => {
+    switch (type) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value)
+      case 'integer':
+        return Number.isInteger(value)
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value)
+      case 'boolean':
+        return typeof value === 'boolean'
+      default:
+        return typeof value === 'string'
+    }
+  })
+  if (!matchesType) return false
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) return false
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return false
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) return false
+    if (schema.format === 'date' && !isValidDate(value)) return false
+  }
+
+  if (types.includes('object')) {
+    const { properties = {}, required = [], additionalProperties } = schema
+    if (required.some((key) => value[key] == null)) return false
+    return Object.keys(value).every((key) => {
+      if (!properties[key]) return additionalProperties !== false
+      return value[key] == null || matchesSchema(properties[key], value[key])
+    })
+  }
+  return true
+}
+
+/**
+ * The fields of a template, from its `fieldInfo`.
+ *
+ * @param  {object|string} fieldInfo - As the API returns it, `{ fields }`
+ * @return {Array<object>} - `{ id, type, name, page, rect, required }`
+ */
+function normalizeFields (fieldInfo) {
+  if (typeof fieldInfo === 'string') {
+    fieldInfo = JSON.parse(fieldInfo)
+  }
+  const fields = (fieldInfo && fieldInfo.fields) || []
+  return fields.map((field) => ({
+    id: field.id,
+    type: field.type,
+    name: field.name,
+    page: field.pageNum != null ? field.pageNum : field.page,
+    rect: field.rect,
+    required: Boolean(field.required != null ? field.required : field.isRequired),
+  }))
+}
+
+// A Cast from the API, as a template with its fields
+function toPDFTemplate (cast) {
+  if (!cast) return null
+  const { fieldInfo, ...template } = cast
+  return { ...template, fields: normalizeFields(fieldInfo) }
+}
+
+/**
+ * A JSON Schema for the `data` of a fillPDF payload, from a template's fields.
+ * Pass it to any JSON Schema validator, or generate a form from it.
+ *
+ * @param  {object} template - From getPDFTemplate, with `title` and `fields`
+ * @return {object}
+ */
+function pdfTemplateToJSONSchema ({ title, fields = [] }) {
+  const properties = {}
+  const required = []
+  fields.forEach((field) => {
+    properties[field.id] = {
+      ...(FIELD_SCHEMAS[field.type] || DEFAULT_FIELD_SCHEMA),
+      title: field.name || field.id,
+      'x-anvil-type': field.type,
+    }
+    if (field.required) required.push(field.id)
+  })
+
+  const schema = {
+    $schema: JSON_SCHEMA_DRAFT,
+    type: 'object',
+    properties,
+    additionalProperties: false,
+  }
+  if (title) schema.title = title
+  if (required.length) schema.required = required
+  return schema
+}
+
+/**
+ * Check the `data` of a fillPDF payload against a template's fields. Empty
+ * values (null, undefined and '') are left blank when filled, so they are only
+ * a problem for required fields. Only the types in FIELD_SCHEMAS are checked;
+ * the server converts other values to text.
+ *
+ * @param  {Array<object>} fields - From getPDFTemplate
+ * @param  {object} data - The payload's `data`
+ * @return {Array<object>} - `{ field, message }` for every problem
+ */
+function validateFillData (fields, data) {
+  if (data == null) data = {}
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return [{ message: 'data must be an object of field IDs to values' }]
+  }
+
+  const errors = []
+  const fieldsById = {}
+  fields.forEach((field) => { fieldsById[field.id] = field })
+
+  Object.keys(data).forEach((id) => {
+    const field = fieldsById[id]
+    const value = data[id]
+    if (!field) {
+      errors.push({ field: id, message: `Unknown field "${id}"` })
+    } else if (value != null && value !== '' && FIELD_SCHEMAS[field.type] && !matchesSchema(FIELD_SCHEMAS[field.type], value)) {
+      errors.push({ field: id, message: `Field "${id}" is not a valid ${field.type}` })
+    }
+  })
+
+  fields.forEach(({ id, required }) => {
+    if (required && (data[id] == null || data[id] === '')) {
+      errors.push({ field: id, message: `Field "${id}" is required` })
+    }
+  })
+
+  return errors
+}
+
+module.exports = {
+  FIELD_SCHEMAS,
+  normalizeFields,
+  toPDFTemplate,
+  pdfTemplateToJSONSchema,
+  validateFillData,
+}
@@ -0,0 +1,130 @@
+const fs = require('fs')
+const crypto = require('crypto')
+
+const RateLimiter = require('./RateLimiter')
+const { sleep } = require('../utils')
+
+const LOCK_RETRY_MS = 10
+
+/**
+ * Shares a sliding window between processes on one machine through a JSON
+ * state file. Updates are guarded by an exclusive lock file next to it.
+ */
+class FileRateLimiter extends RateLimiter {
+  /**
+   * @param  {object} options - Also those of RateLimiter
+   * @param  {string} options.path - The state file. Every process sharing the
+   *   limit must use the same path.
+   * @param  {number} options.lockTimeoutMS - _optional_ A lock older than this
+   *   is assumed to be left over from a crashed process. Defaults to 5000.
+   */
+  constructor (options = {}) {
+    super(options)
+    if (!options.path) {
+      throw new Error('path is required')
+    }
+    this.path = options.path
+    this.lockPath = `${options.path}.lock`
+    this.lockTimeoutMS = options.lockTimeoutMS || 5000
+  }
+
+  async take () {
+    return this._withState((state) => {
+      const now = Date.now()
+      const windowStart = now - this.intervalMS
+      state.sentAt = state.sentAt.filter(({ at }) => at > windowStart)
+
+      if (state.sentAt.length >= this.limit) {
+        const oldest = state.sentAt[state.sentAt.length - this.limit]
+        return { waitMS: oldest.at - windowStart }
+      }
+
+      const token = crypto.randomBytes(8).toString('hex')
+      state.sentAt.push({ token, at: now })
+      return { token }
+    })
+  }
+
+  async give (token) {
+    return this._withState((state) => {
+      state.sentAt = state.sentAt.filter((entry) => entry.token !== token)
+    })
+  }
+
+  async block (untilMS) {
+    await super.block(untilMS)
+    return this._withState((state) => {
+      state.blockedUntil = Math.max(state.blockedUntil, untilMS)
+    })
+  }
+
+  async getBlockedUntil () {
+    const state = await this._readState()
+    return Math.max(this.blockedUntil, state.blockedUntil)
+  }
+
+  async _readState () {
+    try {
+      const state = JSON.parse(await fs.promises.readFile(this.path, 'utf8'))
+      return { sentAt: state.sentAt || [], blockedUntil: state.blockedUntil || 0 }
+    } catch (e) {
+      // Missing, or caught mid-write by a process that doesn't hold the lock
+      return { sentAt: [], blockedUntil: 0 }
+    }
+  }
+
+  // Read, change and write the state while holding the lock
+  async _withState (fn) {
+    const lockID = await this._lock()
+    try {
+      const state = await this._readState()
+      const result = fn(state)
+      // Write then rename so that readers never see a partial file
+      const tmpPath = `${this.path}.${process.pid}.tmp`
+      await fs.promises.writeFile(tmpPath, JSON.stringify(state))
+      await fs.promises.rename(tmpPath, this.path)
+      return result
+    } finally {
+      await this._unlock(lockID)
+    }
+  }
+
+  // Resolves an ID written into the lock file, to tell that it is still ours
+  async _lock () {
+    const lockID = crypto.randomBytes(8).toString('hex')
+    while (true) {
+      try {
+        await fs.promises.writeFile(this.lockPath, lockID, { flag: 'wx' })
+        return lockID
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err
+      }
+
+      try {
+        const { mtimeMs } = await fs.promises.stat(this.lockPath)
+        if (Date.now() - mtimeMs > this.lockTimeoutMS) {
+          await fs.promises.unlink(this.lockPath)
+          continue
+        }
+      } catch (e) {
+        // The lock was released between open and stat
+        continue
+      }
+      await sleep(LOCK_RETRY_MS)
+    }
+  }
+
+  // A lock held past lockTimeoutMS may have been taken over as stale, and is
+  // then another process's to remove
+  async _unlock (lockID) {
+    try {
+      if (await fs.promises.readFile(this.lockPath, 'utf8') === lockID) {
+        await fs.promises.unlink(this.lockPath)
+      }
+    } catch (e) {
+      // Already gone
+    }
+  }
+}
+
+module.exports = FileRateLimiter
@@ -0,0 +1,37 @@
+const RateLimiter = require('./RateLimiter')
+
+/**
+ * Limits the requests of one process with a sliding window. Share an instance
+ * between clients that share an API key.
+ */
+class MemoryRateLimiter extends RateLimiter {
+  constructor (options) {
+    super(options)
+    // Send times of the requests in the current window, oldest first
+    this.sentAt = []
+  }
+
+  async take () {
+    const now = Date.now()
+    const windowStart = now - this.intervalMS
+    while (this.sentAt.length && this.sentAt[0].at <= windowStart) {
+      this.sentAt.shift()
+    }
+
+    if (this.sentAt.length >= this.limit) {
+      const oldest = this.sentAt[this.sentAt.length - this.limit]
+      return { waitMS: oldest.at - windowStart }
+    }
+
+    const token = { at: now }
+    this.sentAt.push(token)
+    return { token }
+  }
+
+  async give (token) {
+    const index = this.sentAt.indexOf(token)
+    if (index !== -1) this.sentAt.splice(index, 1)
+  }
+}
+
+module.exports = MemoryRateLimiter
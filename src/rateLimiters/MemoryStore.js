@@ -0,0 +1,36 @@
+/**
+ * A StoreRateLimiter store kept in memory. Handy for tests, and as a reference
+ * when writing a store for Redis or similar.
+ */
+class MemoryStore {
+  constructor () {
+    this.windows = new Map()
+    this.blocks = new Map()
+  }
+
+  async increment (key, windowMS) {
+    const now = Date.now()
+    let window = this.windows.get(key)
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMS }
+      this.windows.set(key, window)
+    }
+    window.count++
+    return { count: window.count, resetMS: window.resetAt - now }
+  }
+
+  async decrement (key) {
+    const window = this.windows.get(key)
+    if (window && window.count > 0) window.count--
+  }
+
+  async block (key, untilMS) {
+    this.blocks.set(key, Math.max(this.blocks.get(key) || 0, untilMS))
+  }
+
+  async getBlockedUntil (key) {
+    return this.blocks.get(key) || 0
+  }
+}
+
+module.exports = MemoryStore
@@ -0,0 +1,123 @@
+const { sleep, createAbortedError } = require('../utils')
+
+// Production apiKey rate limits: 200 in 5 seconds
+const DEFAULT_LIMIT = 200
+const DEFAULT_INTERVAL_MS = 5000
+
+// Padding on waits so a slot has surely opened up on the server, too
+const failBufferMS = 50
+
+/**
+ * The base for rate limiting strategies. A strategy decides whether a request
+ * can be sent now via `take`, and the base class handles waiting, aborting and
+ * backing off when the server says to.
+ *
+ * Subclasses implement:
+ * - `async take()` - Resolves `{ token }` when a request can be sent, or
+ *   `{ waitMS }` to try again later
+ * - `async give(token)` - Gives back the slot of a request that was never sent
+ * - `async block(untilMS)` - _optional_ Shares a server-requested pause
+ *   (e.g. `retry-after`) with other clients. Defaults to this instance only.
+ * - `async getBlockedUntil()` - _optional_ The other half of `block`
+ */
+class RateLimiter {
+  /**
+   * @param  {object} options
+   * @param  {number} options.limit - _optional_ Requests per interval. Defaults to 200.
+   * @param  {number} options.intervalMS - _optional_ Defaults to 5000
+   * @param  {boolean} options.adaptive - _optional_ Adopt the limit the server
+   *   reports in its rate limit headers. Defaults to true.
+   */
+  constructor (options = {}) {
+    const {
+      limit = DEFAULT_LIMIT,
+      intervalMS = DEFAULT_INTERVAL_MS,
+      adaptive = true,
+    } = options
+
+    if (!(limit > 0) || !(intervalMS > 0)) {
+      throw new Error('limit and intervalMS must be more than 0')
+    }
+
+    this.limit = limit
+    this.intervalMS = intervalMS
+    this.adaptive = adaptive
+    this.blockedUntil = 0
+  }
+
+  /**
+   * Wait until a request can be sent.
+   *
+   * @param  {object} options
+   * @param  {AbortSignal} options.signal - _optional_ Stop waiting
+   * @return {Promise<any>} - A token to pass to `release` if the request is not sent
+   */
+  async acquire ({ signal } = {}) {
+    while (true) {
+      if (signal && signal.aborted) throw createAbortedError()
+
+      const blockedMS = (await this.getBlockedUntil()) - Date.now()
+      if (blockedMS > 0) {
+        await sleep(blockedMS, signal)
+        continue
+      }
+
+      const { token, waitMS } = await this.take()
+      if (waitMS === undefined) {
+        if (signal && signal.aborted) {
+          await this.give(token)
+          throw createAbortedError()
+        }
+        return token
+      }
+      await sleep(waitMS + failBufferMS, signal)
+    }
+  }
+
+  // Give back the slot of a request that was never sent
+  release (token) {
+    return this.give(token)
+  }
+
+  /**
+   * Learn from a response. The client calls this with every response.
+   *
+   * @param  {object} hints
+   * @param  {number} hints.retryAfterMS - From `retry-after` on a 429
+   * @param  {number} hints.limit - From rate limit headers, e.g. `x-ratelimit-limit`
+   * @param  {number} hints.remaining - e.g. `x-ratelimit-remaining`
+   * @param  {number} hints.resetMS - Milliseconds until the limit resets, e.g.
+   *   from `x-ratelimit-reset`
+   */
+  async update ({ retryAfterMS, limit, remaining, resetMS } = {}) {
+    if (this.adaptive && limit > 0) {
+      this.limit = limit
+    }
+
+    let blockMS = retryAfterMS || 0
+    if (remaining === 0 && resetMS > 0) {
+      blockMS = Math.max(blockMS, resetMS)
+    }
+    if (blockMS > 0) {
+      await this.block(Date.now() + blockMS)
+    }
+  }
+
+  async block (untilMS) {
+    this.blockedUntil = Math.max(this.blockedUntil, untilMS)
+  }
+
+  async getBlockedUntil () {
+    return this.blockedUntil
+  }
+
+  async take () {
+    throw new Error(`${this.constructor.name} must implement take()`)
+  }
+
+  async give () {
+    throw new Error(`${this.constructor.name} must implement give()`)
+  }
+}
+
+module.exports = RateLimiter
@@ -0,0 +1,63 @@
+const RateLimiter = require('./RateLimiter')
+
+/**
+ * Counts requests in fixed windows kept in a shared store, e.g. Redis, so
+ * that any number of machines can share a limit.
+ *
+ * A store implements:
+ * - `async increment(key, windowMS)` - Adds one to the count for the current
+ *   window, starting a new window of `windowMS` if there isn't one. Resolves
+ *   `{ count, resetMS }`, where `resetMS` is how long until the window ends.
+ * - `async decrement(key)` - Takes one from the count
+ * - `async block(key, untilMS)` - _optional_ Shares a server-requested pause
+ * - `async getBlockedUntil(key)` - _optional_ Resolves the timestamp set by `block`
+ */
+class StoreRateLimiter extends RateLimiter {
+  /**
+   * @param  {object} options - Also those of RateLimiter
+   * @param  {object} options.store
+   * @param  {string} options.key - _optional_ Defaults to 'anvil:rate-limit'. Use
+   *   a different key for each API key.
+   */
+  constructor (options = {}) {
+    super(options)
+    const { store, key = 'anvil:rate-limit' } = options
+    if (!store || typeof store.increment !== 'function' || typeof store.decrement !== 'function') {
+      throw new Error('store must implement increment and decrement')
+    }
+    this.store = store
+    this.key = key
+  }
+
+  async take () {
+    const { count, resetMS } = await this.store.increment(this.key, this.intervalMS)
+    if (count > this.limit) {
+      // Not sent, so it shouldn't count against the window
+      await this.store.decrement(this.key)
+      return { waitMS: Math.max(resetMS, 0) }
+    }
+    return { token: { key: this.key, resetAt: Date.now() + resetMS } }
+  }
+
+  // A slot taken in a window that has since ended is no longer counted
+  async give (token) {
+    if (token && token.resetAt > Date.now()) {
+      await this.store.decrement(this.key)
+    }
+  }
+
+  async block (untilMS) {
+    await super.block(untilMS)
+    if (this.store.block) {
+      await this.store.block(`${this.key}:blocked`, untilMS)
+    }
+  }
+
+  async getBlockedUntil () {
+    if (!this.store.getBlockedUntil) return this.blockedUntil
+    const blockedUntil = await this.store.getBlockedUntil(`${this.key}:blocked`)
+    return Math.max(this.blockedUntil, blockedUntil || 0)
+  }
+}
+
+module.exports = StoreRateLimiter
@@ -0,0 +1,28 @@
+const RateLimiter = require('./RateLimiter')
+const MemoryRateLimiter = require('./MemoryRateLimiter')
+const FileRateLimiter = require('./FileRateLimiter')
+const StoreRateLimiter = require('./StoreRateLimiter')
+const MemoryStore = require('./MemoryStore')
+
+/**
+ * Turn the client's `rateLimit` option into a RateLimiter.
+ *
+ * @param  {object|RateLimiter|false} rateLimit - Options for a
+ *   MemoryRateLimiter, any object with `acquire`, `release` and `update`, or
+ *   false for no limiting
+ * @return {RateLimiter|null}
+ */
+function createRateLimiter (rateLimit) {
+  if (rateLimit === false) return null
+  if (rateLimit && typeof rateLimit.acquire === 'function') return rateLimit
+  return new MemoryRateLimiter(rateLimit || {})
+}
+
+module.exports = {
+  RateLimiter,
+  MemoryRateLimiter,
+  FileRateLimiter,
+  StoreRateLimiter,
+  MemoryStore,
+  createRateLimiter,
+}
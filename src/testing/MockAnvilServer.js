@@ -0,0 +1,577 @@
+const http = require('http')
+const crypto = require('crypto')
+
+const { createZip } = require('./zip')
+
+// The smallest PDF most readers will open
+const CANNED_PDF = Buffer.from([
+  '%PDF-1.4',
+  '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+  '2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj',
+  '3 0 obj << /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >> endobj',
+  'trailer << /Root 1 0 R >>',
+  '%%EOF',
+].join('\n'))
+
+const FILL_PATH = /^\/api\/v1\/fill\/([^/]+)\.pdf$/
+const GENERATE_PATH = '/api/v1/generate-pdf'
+const DOWNLOAD_PATH = /^\/api\/document-group\/([^/]+)\.zip$/
+const GRAPHQL_PATH = '/graphql'
+const OAUTH_TOKEN_PATH = '/oauth/token'
+const ACCESS_TOKEN_PREFIX = 'mock-access-'
+
+// e.g. `mutation CreateEtchPacket ($name: String) { createEtchPacket (name: $name) { eid } }`
+const ROOT_FIELD = /^\s*(?:(?:query|mutation)\b[^{]*)?\{\s*(\w+)/
+
+function generateEid () {
+  return crypto.randomBytes(15).toString('base64').replace(/[+/=]/g, '').slice(0, 20)
+}
+
+function readBody (req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+// Just enough multipart/form-data parsing for GraphQL uploads
+function parseMultipart (body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType)
+  if (!match) return {}
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`)
+  const parts = {}
+  let start = body.indexOf(delimiter)
+  while (start !== -1) {
+    const partStart = start + delimiter.length + 2 // Skip the CRLF
+    const end = body.indexOf(delimiter, partStart)
+    if (end === -1) break
+
+    const part = body.slice(partStart, end - 2) // Drop the trailing CRLF
+    const headerEnd = part.indexOf('\r\n\r\n')
+    const headers = part.slice(0, headerEnd).toString('utf8')
+    const name = /name="([^"]*)"/i.exec(headers)
+    if (name) {
+      const filename = /filename="([^"]*)"/i.exec(headers)
+      const mimetype = /content-type:\s*([^\r\n]+)/i.exec(headers)
+      parts[name[1]] = {
+        filename: filename ? filename[1] : undefined,
+        mimetype: mimetype ? mimetype[1].trim() : undefined,
+        data: part.slice(headerEnd + 4),
+      }
+    }
+    start = end
+  }
+  return parts
+}
+
+function setAtPath (obj, path, value) {
+  const keys = path.split('.')
+  const last = keys.pop()
+  const parent = keys.reduce((acc, key) => acc && acc[key], obj)
+  if (parent) parent[last] = value
+}
+
+/**
+ * A plain Node http server that behaves enough like the Anvil API to run the
+ * client against, end to end. Point the client's `baseURL` at `server.url`.
+ */
+class MockAnvilServer {
+  /**
+   * @param  {object} options
+   * @param  {string} options.apiKey - _optional_ When set, requests with any other
+   *   API key get a 401
+   * @param  {number} options.delay - _optional_ Milliseconds to wait before every response
+   * @param  {Buffer} options.pdf - _optional_ The PDF returned by fill and generate
+   * @param  {number} options.accessTokenTTL - _optional_ Seconds until the OAuth
+   *   access tokens it issues expire. Defaults to 3600.
+   */
+  constructor (options = {}) {
+    this.options = options
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch((err) => {
+        this._send(res, 500, { message: err.message })
+      })
+    })
+    this.sockets = new Set()
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket)
+      socket.on('close', () => this.sockets.delete(socket))
+    })
+    this.reset()
+  }
+
+  get url () {
+    const { port } = this.server.address()
+    return `http://127.0.0.1:${port}`
+  }
+
+  listen (port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port, '127.0.0.1', () => {
+        this.server.removeListener('error', reject)
+        resolve(this)
+      })
+    })
+  }
+
+  close () {
+    this.sockets.forEach((socket) => socket.destroy())
+    return new Promise((resolve) => this.server.close(() => resolve()))
+  }
+
+  // Clears all state, recorded requests and faults
+  reset () {
+    this.requests = []
+    this.faults = []
+    this.etchPackets = new Map()
+    // What each packet was created with, to send drafts later
+    this.etchPacketVariables = new Map()
+    this.pdfTemplates = new Map()
+    // OAuth access tokens to when they expire, and the refresh tokens issued
+    this.accessTokens = new Map()
+    this.refreshTokens = new Set()
+  }
+
+  // Make every OAuth access token issued so far get a 401, as if they expired
+  expireAccessTokens () {
+    this.accessTokens.clear()
+  }
+
+  /**
+   * Make matching requests fail or stall. Faults are matched in the order they
+   * were injected.
+   *
+   * @param  {object} fault
+   * @param  {string} fault.method - _optional_ e.g. 'POST'
+   * @param  {string|RegExp} fault.path - _optional_ A path prefix or pattern
+   * @param  {string} fault.operation - _optional_ A GraphQL root field, e.g. 'createEtchPacket'
+   * @param  {number} fault.status - _optional_ The status to respond with, e.g. 429 or 503
+   * @param  {object} fault.headers - _optional_ e.g. { 'retry-after': '1' }
+   * @param  {object|string} fault.body - _optional_ Defaults to an error message
+   * @param  {number} fault.delay - _optional_ Milliseconds to wait before responding
+   * @param  {boolean} fault.reset - _optional_ Destroy the socket, like ECONNRESET
+   * @param  {number} fault.times - _optional_ How many requests to affect. Defaults to 1.
+   */
+  injectFault (fault) {
+    this.faults.push({ times: 1, ...fault })
+    return this
+  }
+
+  /**
+   * Advance a signer to 'completed'. The packet completes with its last signer.
+   *
+   * @param  {string} signerEid
+   */
+  completeSigner (signerEid) {
+    for (const packet of this.etchPackets.values()) {
+      const { documentGroup } = packet
+      const signer = documentGroup && documentGroup.signers.find(({ eid }) => eid === signerEid)
+      if (!signer) continue
+
+      signer.status = 'completed'
+      const done = documentGroup.signers.every(({ status }) => status === 'completed')
+      documentGroup.status = done ? 'completed' : 'partial'
+      return packet
+    }
+    throw new Error(`No signer with eid ${signerEid}`)
+  }
+
+  completeEtchPacket (eid) {
+    const packet = this.etchPackets.get(eid)
+    if (!packet || !packet.documentGroup) {
+      throw new Error(`No sent Etch packet with eid ${eid}`)
+    }
+    packet.documentGroup.signers.forEach((signer) => { signer.status = 'completed' })
+    packet.documentGroup.status = 'completed'
+    return packet
+  }
+
+  /**
+   * Add a PDF template, for getPDFTemplate and listPDFTemplates.
+   *
+   * @param  {object} template
+   * @param  {string} template.eid - _optional_ Generated when not given
+   * @param  {string} template.title - _optional_
+   * @param  {Array<object>} template.fields - _optional_ `{ id, type, name, pageNum, rect, required }`
+   * @return {object} - The template, as the API returns it
+   */
+  addPDFTemplate ({ eid = generateEid(), title = 'Untitled', fields = [] } = {}) {
+    const now = new Date().toISOString()
+    const cast = {
+      eid,
+      title,
+      isTemplate: true,
+      fieldInfo: { fields },
+      createdAt: now,
+      updatedAt: now,
+    }
+    this.pdfTemplates.set(eid, cast)
+    return cast
+  }
+
+  // ****************************************************************************
+  // Request handling
+  // ****************************************************************************
+
+  async _handle (req, res) {
+    const body = await readBody(req)
+    const path = req.url.split('?')[0]
+    const request = {
+      method: req.method,
+      path,
+      headers: req.headers,
+      body,
+    }
+
+    if (path === GRAPHQL_PATH) {
+      request.graphQL = this._parseGraphQL(req, body)
+    } else if ((req.headers['content-type'] || '').includes('application/json')) {
+      try {
+        request.json = JSON.parse(body.toString('utf8'))
+      } catch (e) {
+        request.json = undefined
+      }
+    }
+    this.requests.push(request)
+
+    if (this.options.delay) {
+      await sleep(this.options.delay)
+    }
+
+    const fault = this._takeFault(request)
+    if (fault) {
+      if (fault.delay) await sleep(fault.delay)
+      if (fault.reset) return req.socket.destroy()
+      if (fault.status) {
+        return this._send(res, fault.status, fault.body || { message: `Injected ${fault.status}` }, fault.headers)
+      }
+    }
+
+    if (req.method === 'POST' && path === OAUTH_TOKEN_PATH) {
+      return this._oauthToken(res, request)
+    }
+
+    const { authorization = '' } = req.headers
+    if (authorization.startsWith('Bearer ')) {
+      // Only tokens it issued are checked; any other is let through
+      const accessToken = Buffer.from(authorization.slice(7), 'base64').toString('ascii')
+      const expiresAt = this.accessTokens.get(accessToken)
+      if (accessToken.startsWith(ACCESS_TOKEN_PREFIX) && !(expiresAt > Date.now())) {
+        return this._send(res, 401, { name: 'AuthorizationError', message: 'Not logged in.' })
+      }
+    } else if (this.options.apiKey) {
+      const expected = `Basic ${Buffer.from(`${this.options.apiKey}:`, 'ascii').toString('base64')}`
+      if (req.headers.authorization !== expected) {
+        return this._send(res, 401, { name: 'AuthorizationError', message: 'Not logged in.' })
+      }
+    }
+
+    let match
+    if (req.method === 'POST' && (match = FILL_PATH.exec(path))) {
+      return this._fillPDF(res, request, match[1])
+    }
+    if (req.method === 'POST' && path === GENERATE_PATH) {
+      return this._generatePDF(res, request)
+    }
+    if (req.method === 'GET' && (match = DOWNLOAD_PATH.exec(path))) {
+      return this._downloadDocuments(res, match[1])
+    }
+    if (req.method === 'POST' && path === GRAPHQL_PATH) {
+      return this._graphQL(res, request)
+    }
+
+    return this._send(res, 404, { message: 'Not found' })
+  }
+
+  _takeFault (request) {
+    const index = this.faults.findIndex(({ method, path, operation }) => (
+      (!method || method === request.method) &&
+      (!path || (path instanceof RegExp ? path.test(request.path) : request.path.startsWith(path))) &&
+      (!operation || (request.graphQL && request.graphQL.operation === operation))
+    ))
+    if (index === -1) return
+
+    const fault = this.faults[index]
+    fault.times--
+    if (fault.times <= 0) this.faults.splice(index, 1)
+    return fault
+  }
+
+  _send (res, statusCode, body, headers = {}) {
+    const isBuffer = Buffer.isBuffer(body)
+    const isString = typeof body === 'string'
+    res.writeHead(statusCode, {
+      'Content-Type': isBuffer ? 'application/octet-stream' : isString ? 'text/html' : 'application/json',
+      ...headers,
+    })
+    res.end(isBuffer || isString ? body : JSON.stringify(body))
+  }
+
+  _oauthToken (res, request) {
+    const params = new URLSearchParams(request.body.toString('utf8'))
+    const grantType = params.get('grant_type')
+    const valid = grantType === 'authorization_code'
+      ? Boolean(params.get('code'))
+      : grantType === 'refresh_token' && this.refreshTokens.has(params.get('refresh_token'))
+    if (!valid) {
+      return this._send(res, 400, { error: 'invalid_grant', error_description: 'The grant is invalid or expired' })
+    }
+
+    const { accessTokenTTL = 3600 } = this.options
+    const accessToken = `${ACCESS_TOKEN_PREFIX}${generateEid()}`
+    this.accessTokens.set(accessToken, Date.now() + (accessTokenTTL * 1000))
+    const body = { access_token: accessToken, token_type: 'Bearer', expires_in: accessTokenTTL }
+    if (grantType === 'authorization_code') {
+      body.refresh_token = `mock-refresh-${generateEid()}`
+      this.refreshTokens.add(body.refresh_token)
+    }
+    return this._send(res, 200, body)
+  }
+
+  _fillPDF (res, request) {
+    if (!request.json || typeof request.json.data !== 'object') {
+      return this._send(res, 400, { errors: [{ message: 'data is required', name: 'ValidationError' }] })
+    }
+    return this._send(res, 200, this.options.pdf || CANNED_PDF, { 'Content-Type': 'application/pdf' })
+  }
+
+  _generatePDF (res, request) {
+    if (!request.json || !Array.isArray(request.json.data)) {
+      return this._send(res, 400, { errors: [{ message: 'data must be an array', name: 'ValidationError' }] })
+    }
+    return this._send(res, 200, this.options.pdf || CANNED_PDF, { 'Content-Type': 'application/pdf' })
+  }
+
+  _downloadDocuments (res, documentGroupEid) {
+    const packet = Array.from(this.etchPackets.values())
+      .find(({ documentGroup }) => documentGroup && documentGroup.eid === documentGroupEid)
+    if (!packet) {
+      return this._send(res, 404, { name: 'NotFoundError', message: 'Not found' })
+    }
+
+    const files = packet.documentGroup.files.reduce((acc, { id }) => {
+      acc[`${id}.pdf`] = this.options.pdf || CANNED_PDF
+      return acc
+    }, {})
+    return this._send(res, 200, createZip(files), {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${packet.name || 'documents'}.zip"`,
+    })
+  }
+
+  _parseGraphQL (req, body) {
+    let operation
+    let files = {}
+    const contentType = req.headers['content-type'] || ''
+    try {
+      if (contentType.startsWith('multipart/form-data')) {
+        const parts = parseMultipart(body, contentType)
+        operation = JSON.parse(parts.operations.data.toString('utf8'))
+        const map = JSON.parse(parts.map.data.toString('utf8'))
+        files = Object.entries(map).reduce((acc, [key, paths]) => {
+          const { filename, mimetype, data } = parts[key]
+          paths.forEach((path) => {
+            const upload = { filename, mimetype, size: data.length }
+            setAtPath(operation, path, upload)
+            acc[path] = upload
+          })
+          return acc
+        }, {})
+      } else {
+        operation = JSON.parse(body.toString('utf8'))
+      }
+    } catch (e) {
+      return { error: 'Unable to parse the GraphQL request' }
+    }
+
+    const match = ROOT_FIELD.exec(operation.query || '')
+    return {
+      operation: match && match[1],
+      query: operation.query,
+      variables: operation.variables || {},
+      files,
+    }
+  }
+
+  _graphQL (res, request) {
+    const { error, operation, variables } = request.graphQL
+    if (error) {
+      return this._send(res, 400, { errors: [{ message: error }] })
+    }
+
+    const resolver = this._resolvers()[operation]
+    if (!resolver) {
+      return this._send(res, 400, { errors: [{ message: `Cannot query field "${operation}" on the mock server` }] })
+    }
+
+    try {
+      return this._send(res, 200, { data: { [operation]: resolver(variables) } })
+    } catch (err) {
+      return this._send(res, 200, { data: { [operation]: null }, errors: [{ message: err.message }] })
+    }
+  }
+
+  _resolvers () {
+    return {
+      createEtchPacket: (variables) => {
+        const eid = generateEid()
+        const packet = {
+          id: this.etchPackets.size + 1,
+          eid,
+          name: variables.name,
+          detailsURL: `${this.url}/etch/${eid}`,
+          webhookURL: variables.webhookURL,
+          documentGroup: null,
+        }
+        this.etchPackets.set(eid, packet)
+        this.etchPacketVariables.set(eid, variables)
+        if (!variables.isDraft) this._sendEtchPacket(packet)
+        return packet
+      },
+
+      updateEtchPacket: ({ eid, ...changes }) => {
+        const packet = this._getEtchPacket(eid)
+        const isDraft = !packet.documentGroup
+        if (!isDraft && (changes.files || changes.signers)) {
+          throw new Error('Files and signers can only be changed on a draft packet')
+        }
+        if (changes.name !== undefined) packet.name = changes.name
+        if (changes.webhookURL !== undefined) packet.webhookURL = changes.webhookURL
+        this.etchPacketVariables.set(eid, { ...this.etchPacketVariables.get(eid), ...changes })
+        return packet
+      },
+
+      sendEtchPacket: ({ eid }) => {
+        const packet = this._getEtchPacket(eid)
+        if (packet.documentGroup) throw new Error('Packet has already been sent')
+        return this._sendEtchPacket(packet)
+      },
+
+      voidDocumentGroup: ({ eid }) => {
+        const { documentGroup } = this._getDocumentGroup(eid)
+        if (documentGroup.status === 'completed') throw new Error('Completed packets cannot be voided')
+        documentGroup.status = 'voided'
+        return documentGroup
+      },
+
+      removeEtchPacket: ({ eid }) => {
+        const packet = this._getEtchPacket(eid)
+        if (packet.documentGroup && packet.documentGroup.status !== 'voided') {
+          throw new Error('Only draft and voided packets can be removed')
+        }
+        this.etchPackets.delete(eid)
+        this.etchPacketVariables.delete(eid)
+        return true
+      },
+
+      notifySigner: ({ signerEid }) => {
+        const { documentGroup, signer } = this._getSigner(signerEid)
+        if (documentGroup.status === 'voided' || signer.status === 'completed') {
+          throw new Error('Signer cannot be notified')
+        }
+        return true
+      },
+
+      updateEtchSigner: ({ eid, name, email }) => {
+        const { signer } = this._getSigner(eid)
+        if (signer.status === 'completed') throw new Error('Signer has already signed')
+        if (name) signer.name = name
+        if (email) signer.email = email
+        return signer
+      },
+
+      etchPacket: ({ eid }) => this._getEtchPacket(eid),
+
+      cast: ({ eid }) => {
+        const cast = this.pdfTemplates.get(eid)
+        if (!cast) throw new Error('Not found')
+        return cast
+      },
+
+      organization: ({ organizationSlug, page, pageSize }) => ({
+        eid: 'mock-organization',
+        slug: organizationSlug || 'mock-organization',
+        casts: paginate(Array.from(this.pdfTemplates.values()), page, pageSize),
+      }),
+
+      generateEtchSignURL: ({ signerEid, clientUserId }) => {
+        this._getSigner(signerEid)
+        return `${this.url}/sign/${signerEid}?clientUserId=${encodeURIComponent(clientUserId)}`
+      },
+    }
+  }
+
+  _getEtchPacket (eid) {
+    const packet = this.etchPackets.get(eid)
+    if (!packet) throw new Error('Not found')
+    return packet
+  }
+
+  _getDocumentGroup (documentGroupEid) {
+    for (const packet of this.etchPackets.values()) {
+      if (packet.documentGroup && packet.documentGroup.eid === documentGroupEid) {
+        return packet
+      }
+    }
+    throw new Error('Not found')
+  }
+
+  _getSigner (signerEid) {
+    for (const packet of this.etchPackets.values()) {
+      const { documentGroup } = packet
+      const signer = documentGroup && documentGroup.signers.find(({ eid }) => eid === signerEid)
+      if (signer) return { packet, documentGroup, signer }
+    }
+    throw new Error('Signer not found')
+  }
+
+  _sendEtchPacket (packet) {
+    const variables = this.etchPacketVariables.get(packet.eid)
+    packet.documentGroup = {
+      id: packet.id,
+      eid: generateEid(),
+      status: 'sent',
+      files: (variables.files || []).map(({ id, title, castEid, file }) => ({
+        id,
+        name: title || id,
+        castEid,
+        filename: file && file.filename,
+      })),
+      signers: (variables.signers || []).map((signer, index) => ({
+        id: index + 1,
+        eid: generateEid(),
+        aliasId: signer.id,
+        routingOrder: index + 1,
+        name: signer.name,
+        email: signer.email,
+        status: 'sent',
+        signActionType: signer.signerType === 'embedded' ? 'embedded' : 'email',
+      })),
+    }
+    return packet
+  }
+}
+
+// The API's page shape, with pages starting from 1
+function paginate (items, page = 1, pageSize = 20) {
+  const start = (page - 1) * pageSize
+  return {
+    page,
+    pageSize,
+    pageCount: Math.ceil(items.length / pageSize),
+    rowCount: items.length,
+    items: items.slice(start, start + pageSize),
+  }
+}
+
+function sleep (ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms)
+  })
+}
+
+module.exports = MockAnvilServer
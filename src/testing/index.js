@@ -0,0 +1,19 @@
+const MockAnvilServer = require('./MockAnvilServer')
+const { createZip } = require('./zip')
+
+/**
+ * Start a mock Anvil server on a free port.
+ *
+ * @param  {object} options - See MockAnvilServer
+ * @return {Promise<MockAnvilServer>}
+ */
+function createMockServer (options = {}) {
+  const { port, ...serverOptions } = options
+  return new MockAnvilServer(serverOptions).listen(port)
+}
+
+module.exports = {
+  MockAnvilServer,
+  createMockServer,
+  createZip,
+}
@@ -0,0 +1,249 @@
+const fs = require('fs')
+const path = require('path')
+const { Readable } = require('stream')
+const { URL, fileURLToPath } = require('url')
+
+const fetch = require('node-fetch')
+
+const UploadWithOptions = require('./UploadWithOptions')
+const { AnvilError } = require('./errors')
+
+const DEFAULT_FILENAME = 'upload'
+const DEFAULT_MIMETYPE = 'application/octet-stream'
+
+// Strings that are URLs rather than paths
+const URL_PATTERN = /^(https?|file|data):/i
+const DATA_URL_PATTERN = /^data:([^,]*?)(;base64)?,/i
+
+// The types commonly uploaded, by extension. The first extension for a type
+// is the one given to files without a name.
+const MIMETYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.webp': 'image/webp',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.zip': 'application/zip',
+}
+
+// The leading bytes of the same types, for files without a name
+const SIGNATURES = [
+  { mimetype: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { mimetype: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimetype: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimetype: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { mimetype: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimetype: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mimetype: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] }, // PK, and so also .docx
+]
+
+// A `file:`, `data:` or http(s) URL given as a string, rather than a path
+function isURLString (value) {
+  return typeof value === 'string' && URL_PATTERN.test(value)
+}
+
+function isWebReadableStream (value) {
+  return Boolean(value) && typeof value.getReader === 'function' && typeof value.pipeTo === 'function'
+}
+
+/**
+ * The mimetype of a file, from its name or else its first few bytes.
+ *
+ * @param  {object} file
+ * @param  {string} file.filename - _optional_
+ * @param  {Buffer} file.bytes - _optional_ The start of the file, at least 8 bytes
+ * @return {string|undefined}
+ */
+function getMimetype ({ filename, bytes } = {}) {
+  const fromName = filename && MIMETYPES[path.extname(filename).toLowerCase()]
+  if (fromName || !bytes) return fromName
+
+  const signature = SIGNATURES.find((signature) => (
+    signature.bytes.every((byte, i) => bytes[i] === byte)
+  ))
+  return signature ? signature.mimetype : undefined
+}
+
+function getDefaultFilename (mimetype) {
+  const extension = Object.keys(MIMETYPES).find((extension) => MIMETYPES[extension] === mimetype)
+  return `${DEFAULT_FILENAME}${extension || ''}`
+}
+
+function parseDataURL (url) {
+  const match = DATA_URL_PATTERN.exec(url)
+  if (!match) return
+  const [prefix, type, base64] = match
+  const payload = url.slice(prefix.length)
+  return {
+    mimetype: type.split(';')[0] || undefined,
+    buffer: base64 ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload)),
+  }
+}
+
+function readWebStream (webStream) {
+  if (Readable.fromWeb) {
+    return Readable.fromWeb(webStream, { objectMode: false })
+  }
+  return Readable.from((async function * () {
+    const reader = webStream.getReader()
+    try {
+      while (true) {
+        const { done, value } = await reader.read()
+        if (done) return
+        yield Buffer.from(value)
+      }
+    } finally {
+      reader.releaseLock()
+    }
+  })(), { objectMode: false })
+}
+
+/**
+ * Stream an http(s) URL for an upload. It is fetched only once the stream is
+ * read, so nothing is downloaded for a request that fails before it is sent.
+ *
+ * @param  {URL} url
+ * @param  {object} options
+ * @param  {object|function} options.agent - _optional_ The client's agent, so
+ *   that its proxy and `ca` apply. An agent for the other protocol is left out.
+ * @return {stream.Readable} - Errors with an AnvilError if the fetch fails
+ */
+function fetchStream (url, { agent } = {}) {
+  if (agent && typeof agent !== 'function' && agent.protocol && agent.protocol !== url.protocol) {
+    agent = undefined
+  }
+  return Readable.from((async function * () {
+    const response = await fetch(url.href, { agent })
+    if (!response.ok) {
+      throw new AnvilError(
+        `Failed to fetch ${url.href}: ${response.status} ${response.statusText}`,
+        { statusCode: response.status, path: url.href },
+      )
+    }
+    yield * response.body
+  })(), { objectMode: false })
+}
+
+/**
+ * Wrap a file for a GraphQL upload, as something form-data can send, with
+ * its filename and content type.
+ *
+ * @param  {string|URL|Buffer|Uint8Array|ArrayBuffer|stream.Readable|ReadableStream|UploadWithOptions} file
+ * @param  {object} formDataAppendOptions - _optional_ Passed to form-data's append
+ * @return {UploadWithOptions}
+ */
+function prepareGraphQLFile (file, formDataAppendOptions = {}) {
+  if (file instanceof UploadWithOptions) {
+    return file
+  }
+
+  if (isURLString(file)) {
+    file = new URL(file)
+  }
+
+  let name
+  let mimetype
+  if (typeof file === 'string') {
+    name = file
+    file = fs.createReadStream(file)
+  } else if (file instanceof URL) {
+    if (file.protocol === 'file:') {
+      name = fileURLToPath(file)
+      file = fs.createReadStream(name)
+    } else if (file.protocol === 'data:') {
+      ({ mimetype, buffer: file } = parseDataURL(file.href))
+    } else if (file.protocol === 'http:' || file.protocol === 'https:') {
+      // Left as a URL for the client to fetch through its agent, with fetchStream
+      name = decodeURIComponent(path.posix.basename(file.pathname))
+    } else {
+      throw new Error(`Cannot upload a ${file.protocol} URL`)
+    }
+  } else if (file instanceof ArrayBuffer) {
+    file = Buffer.from(file)
+  } else if (ArrayBuffer.isView(file) && !Buffer.isBuffer(file)) {
+    file = Buffer.from(file.buffer, file.byteOffset, file.byteLength)
+  } else if (isWebReadableStream(file)) {
+    file = readWebStream(file)
+  } else if (file && typeof file.path === 'string') {
+    name = file.path
+  }
+
+  if (!file) {
+    throw new Error('A path, URL, Buffer or stream must be provided for upload')
+  }
+
+  const bytes = Buffer.isBuffer(file) ? file : undefined
+  const filename = formDataAppendOptions.filename || (name && path.basename(name))
+  const contentType = formDataAppendOptions.contentType || mimetype || getMimetype({ filename, bytes })
+
+  const options = {
+    ...formDataAppendOptions,
+    filename: filename || getDefaultFilename(contentType),
+  }
+  // Otherwise form-data looks it up from the filename, or sends it as binary
+  if (contentType) options.contentType = contentType
+  return new UploadWithOptions(file, options)
+}
+
+/**
+ * Prepare a Base64-encoded file for a GraphQL upload.
+ *
+ * @param  {string} data - Base64, or a `data:` URL
+ * @param  {object} options - _optional_
+ * @param  {string} options.filename - _optional_ Defaults to `upload` and an
+ *   extension for the mimetype
+ * @param  {string} options.mimetype - _optional_ Inferred from the filename,
+ *   data URL or contents. Defaults to `application/octet-stream`.
+ * @param  {boolean} options.bufferize - _optional_ Send the file decoded, in a
+ *   multipart upload, rather than as Base64 in the JSON
+ * @return {object|UploadWithOptions} - `{ data, filename, mimetype }`, or a
+ *   file upload when bufferized
+ */
+function prepareGraphQLBase64 (data, options = {}) {
+  if (typeof data !== 'string') {
+    throw new Error('data must be a Base64 string')
+  }
+
+  let mimetype = options.mimetype
+  const dataURL = DATA_URL_PATTERN.exec(data)
+  if (dataURL) {
+    if (!dataURL[2]) {
+      throw new Error('data URLs must be Base64 encoded')
+    }
+    mimetype = mimetype || dataURL[1].split(';')[0]
+    data = data.slice(dataURL[0].length)
+  }
+
+  // 12 bytes is enough to recognize the content
+  const bytes = Buffer.from(data.slice(0, 16), 'base64')
+  mimetype = mimetype || getMimetype({ filename: options.filename, bytes }) || DEFAULT_MIMETYPE
+  const filename = options.filename || getDefaultFilename(mimetype)
+
+  if (options.bufferize) {
+    return prepareGraphQLFile(Buffer.from(data, 'base64'), { filename, contentType: mimetype })
+  }
+
+  return {
+    data,
+    filename,
+    mimetype,
+  }
+}
+
+module.exports = {
+  fetchStream,
+  getMimetype,
+  isURLString,
+  isWebReadableStream,
+  prepareGraphQLFile,
+  prepareGraphQLBase64,
+}
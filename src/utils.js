@@ -0,0 +1,49 @@
+function createAbortedError () {
+  const error = new Error('The operation was aborted.')
+  error.name = 'AbortError'
+  return error
+}
+
+function sleep (ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (!signal) {
+      setTimeout(resolve, ms)
+      return
+    }
+    if (signal.aborted) {
+      reject(createAbortedError())
+      return
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(createAbortedError())
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal.addEventListener('abort', onAbort)
+  })
+}
+
+// Settles with the promise, or rejects as soon as the signal aborts. The
+// promise itself carries on, for anyone else waiting on it.
+function raceAbort (promise, signal) {
+  if (!signal) return promise
+  if (signal.aborted) return Promise.reject(createAbortedError())
+
+  let onAbort
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(createAbortedError())
+    signal.addEventListener('abort', onAbort)
+  })
+  return Promise.race([promise, aborted])
+    .finally(() => signal.removeEventListener('abort', onAbort))
+}
+
+module.exports = {
+  sleep,
+  raceAbort,
+  createAbortedError,
+}
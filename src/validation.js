@@ -1,14 +1,27 @@
-const fs = require('fs')
+const { Readable } = require('stream')
+const { URL } = require('url')
 
 const UploadWithOptions = require('./UploadWithOptions')
+const { isWebReadableStream } = require('./uploads')
 
+// URLs that Anvil.prepareGraphQLFile can upload from
+const UPLOAD_URL_PROTOCOLS = ['http:', 'https:', 'file:', 'data:']
+
+// Anything Anvil.prepareGraphQLFile accepts, other than paths and URL strings
 // https://www.npmjs.com/package/extract-files/v/6.0.0#type-extractablefilematcher
 function isFile (value) {
-  return value instanceof UploadWithOptions || value instanceof fs.ReadStream || value instanceof Buffer
+  return (
+    value instanceof UploadWithOptions ||
+    (value instanceof URL && UPLOAD_URL_PROTOCOLS.includes(value.protocol)) ||
+    value instanceof Readable ||
+    value instanceof Uint8Array ||
+    value instanceof ArrayBuffer ||
+    isWebReadableStream(value)
+  )
 }
 
 function graphQLUploadSchemaIsValid (schema, parent, key) {
-  if (typeof schema === 'undefined') {
+  if (typeof schema === 'undefined' || schema === null) {
     return true
   }
 
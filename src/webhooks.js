@@ -0,0 +1,222 @@
+const crypto = require('crypto')
+
+const { AnvilError } = require('./errors')
+
+// Actions Anvil will send to a webhookURL. See https://www.useanvil.com/docs/api/webhooks
+const WEBHOOK_ACTIONS = {
+  WEBHOOK_TEST: 'webhookTest',
+  WELD_CREATE: 'weldCreate',
+  FORGE_COMPLETE: 'forgeComplete',
+  WELD_COMPLETE: 'weldComplete',
+  DOCUMENT_GROUP_CREATE: 'documentGroupCreate',
+  SIGNER_UPDATE_STATUS: 'signerUpdateStatus',
+  SIGNER_COMPLETE: 'signerComplete',
+  ETCH_PACKET_COMPLETE: 'etchPacketComplete',
+  ETCH_PACKET_VOIDED: 'etchPacketVoided',
+}
+
+const KNOWN_ACTIONS = Object.values(WEBHOOK_ACTIONS)
+
+class WebhookEvent {
+  constructor ({ action, token, data, encrypted = false }) {
+    this.action = action
+    this.token = token
+    this.data = data
+    this.encrypted = encrypted
+  }
+
+  get isKnownAction () {
+    return KNOWN_ACTIONS.includes(this.action)
+  }
+
+  get isTest () {
+    return this.action === WEBHOOK_ACTIONS.WEBHOOK_TEST
+  }
+}
+
+/**
+ * Compare the token sent in a webhook payload with the token from your
+ * organization's API settings, in constant time.
+ *
+ * @param  {string} receivedToken - The `token` from the webhook payload
+ * @param  {string} expectedToken - Your organization's webhook token
+ * @return {boolean}
+ */
+function verifyWebhookToken (receivedToken, expectedToken) {
+  if (typeof receivedToken !== 'string' || typeof expectedToken !== 'string') {
+    return false
+  }
+
+  const received = Buffer.from(receivedToken)
+  const expected = Buffer.from(expectedToken)
+  if (received.length !== expected.length) {
+    return false
+  }
+
+  return crypto.timingSafeEqual(received, expected)
+}
+
+/**
+ * Decrypt the `data` of a webhook sent with encryption enabled. The message is
+ * in the form `<RSA encrypted AES key>:<AES IV>:<AES encrypted data>`.
+ *
+ * @param  {string} encryptedData - The encrypted `data` string from the webhook payload
+ * @param  {string|crypto.KeyObject} privateKey - The RSA private key matching the
+ *   public key in your organization's webhook settings
+ * @return {string} - The decrypted data
+ */
+function decryptWebhookData (encryptedData, privateKey) {
+  const parts = typeof encryptedData === 'string' ? encryptedData.split(':') : []
+  if (parts.length !== 3) {
+    throw new Error('Encrypted webhook data is malformed')
+  }
+
+  const [encryptedAESKey, aesIV, encryptedMessage] = parts
+  const aesKey = crypto.privateDecrypt(privateKey, Buffer.from(encryptedAESKey, 'base64'))
+  const decipher = crypto.createDecipheriv('aes-256-cbc', aesKey, Buffer.from(aesIV, 'hex'))
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encryptedMessage, 'hex')),
+    decipher.final(),
+  ]).toString('utf8')
+}
+
+/**
+ * Parse, verify and (if necessary) decrypt a webhook payload.
+ *
+ * @param  {string|Buffer|object} body - The raw request body or an already-parsed JSON object
+ * @param  {object} options
+ * @param  {string} options.token - _optional_ Your organization's webhook token. When
+ *   provided, payloads with a different token are rejected.
+ * @param  {string|crypto.KeyObject} options.privateKey - _optional_ RSA private key used
+ *   to decrypt encrypted payloads. Required if encryption is enabled.
+ * @return {WebhookEvent}
+ */
+function parseWebhook (body, options = {}) {
+  const { token, privateKey } = options
+
+  let payload = body
+  if (Buffer.isBuffer(payload)) {
+    payload = payload.toString('utf8')
+  }
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload)
+    } catch (e) {
+      throw new WebhookError('Webhook payload is not valid JSON', 400)
+    }
+  }
+
+  if (!payload || typeof payload !== 'object' || typeof payload.action !== 'string') {
+    throw new WebhookError('Webhook payload must contain an action', 400)
+  }
+
+  if (token != null && !verifyWebhookToken(payload.token, token)) {
+    throw new WebhookError('Webhook token is invalid', 401)
+  }
+
+  let { data } = payload
+  let encrypted = false
+  if (typeof data === 'string') {
+    if (!privateKey) {
+      throw new WebhookError('options.privateKey must be provided to decrypt webhook data', 400)
+    }
+    try {
+      data = JSON.parse(decryptWebhookData(data, privateKey))
+    } catch (e) {
+      throw new WebhookError(`Unable to decrypt webhook data: ${e.message}`, 400)
+    }
+    encrypted = true
+  }
+
+  return new WebhookEvent({
+    action: payload.action,
+    token: payload.token,
+    data,
+    encrypted,
+  })
+}
+
+/**
+ * Create a request handler that can be mounted in Express (or anything with a
+ * similar `(req, res, next)` signature) or passed to `http.createServer`.
+ *
+ * @param  {object} options - Everything `parseWebhook` accepts, plus:
+ * @param  {function} options.onEvent - Called with the `WebhookEvent`. May return a Promise.
+ * @param  {function} options.onError - _optional_ Called with any error and the request.
+ * @param  {boolean} options.verify - _optional_ `false` to accept payloads without
+ *   checking their token. Otherwise `token` is required.
+ * @return {function} - `(req, res, next) => Promise`
+ */
+function createWebhookHandler (options = {}) {
+  const { onEvent, onError, token, verify = true } = options
+  if (typeof onEvent !== 'function') {
+    throw new Error('options.onEvent must be a function')
+  }
+  // e.g. `token: process.env.ANVIL_WEBHOOK_TOKEN` with the variable unset
+  // would otherwise accept forged payloads
+  if (verify && !token) {
+    throw new Error('options.token is required to verify webhooks. Pass verify: false to accept them without it.')
+  }
+  const parseOptions = verify ? options : { ...options, token: undefined }
+
+  return async function anvilWebhookHandler (req, res, next) {
+    let event
+    try {
+      event = parseWebhook(await readBody(req), parseOptions)
+    } catch (err) {
+      if (onError) onError(err, req)
+      return respond(res, err.responseStatus || 400, err.message)
+    }
+
+    try {
+      await onEvent(event, req)
+    } catch (err) {
+      if (onError) onError(err, req)
+      if (typeof next === 'function') return next(err)
+      return respond(res, 500, 'Webhook handler failed')
+    }
+
+    return respond(res, 200, 'OK')
+  }
+}
+
+// responseStatus is the status to respond to Anvil with. It is not a
+// statusCode, which on an AnvilError is that of an Anvil API response.
+class WebhookError extends AnvilError {
+  constructor (message, responseStatus) {
+    super(message)
+    this.responseStatus = responseStatus
+  }
+}
+
+// Body-parsing middleware may have already consumed the stream
+function readBody (req) {
+  if (req.body !== undefined) {
+    return Promise.resolve(req.body)
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(Buffer.from(chunk)))
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+function respond (res, statusCode, message) {
+  if (res.headersSent) return
+  res.statusCode = statusCode
+  res.setHeader('Content-Type', 'text/plain')
+  res.end(message)
+}
+
+module.exports = {
+  WEBHOOK_ACTIONS,
+  WebhookEvent,
+  WebhookError,
+  verifyWebhookToken,
+  decryptWebhookData,
+  parseWebhook,
+  createWebhookHandler,
+}
@@ -0,0 +1,170 @@
+const fs = require('fs')
+const path = require('path')
+
+const yauzl = require('yauzl')
+
+function openZip (buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (err, zipfile) => {
+      if (err) return reject(err)
+      resolve(zipfile)
+    })
+  })
+}
+
+function readNextEntry (zipfile) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      zipfile.removeListener('entry', onEntry)
+      zipfile.removeListener('end', onEnd)
+      zipfile.removeListener('error', onError)
+    }
+    const onEntry = (entry) => {
+      cleanup()
+      resolve(entry)
+    }
+    const onEnd = () => {
+      cleanup()
+      resolve(null)
+    }
+    const onError = (err) => {
+      cleanup()
+      reject(err)
+    }
+
+    zipfile.on('entry', onEntry)
+    zipfile.on('end', onEnd)
+    zipfile.on('error', onError)
+    zipfile.readEntry()
+  })
+}
+
+function openReadStream (zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (err, stream) => {
+      if (err) return reject(err)
+      resolve(stream)
+    })
+  })
+}
+
+/**
+ * Iterate over the files in a zip. Directories are skipped.
+ *
+ * @param  {Buffer} buffer - The zip file data
+ * @return {AsyncIterator<{ filename: string, size: number, stream: stream.Readable }>}
+ */
+async function * readZipEntries (buffer) {
+  const zipfile = await openZip(buffer)
+  try {
+    let entry
+    while ((entry = await readNextEntry(zipfile))) {
+      if (entry.fileName.endsWith('/')) continue
+      yield {
+        filename: entry.fileName,
+        size: entry.uncompressedSize,
+        stream: await openReadStream(zipfile, entry),
+      }
+    }
+  } finally {
+    zipfile.close()
+  }
+}
+
+function readStreamToBuffer (stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    stream.on('data', (chunk) => chunks.push(chunk))
+    stream.on('end', () => resolve(Buffer.concat(chunks)))
+    stream.on('error', reject)
+  })
+}
+
+/**
+ * Read every file in a zip into memory.
+ *
+ * @param  {Buffer} buffer - The zip file data
+ * @return {Promise<Array<{ filename: string, size: number, buffer: Buffer }>>}
+ */
+async function readZipBuffers (buffer) {
+  const files = []
+  for await (const { filename, size, stream } of readZipEntries(buffer)) {
+    files.push({ filename, size, buffer: await readStreamToBuffer(stream) })
+  }
+  return files
+}
+
+/**
+ * Get the file name from a Content-Disposition header, e.g.
+ * `attachment; filename="documents.zip"`
+ *
+ * @param  {string} header
+ * @return {string|undefined}
+ */
+function getContentDispositionFilename (header) {
+  if (!header) return
+
+  const encoded = /filename\*\s*=\s*utf-8''([^;]+)/i.exec(header)
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim())
+    } catch (e) {}
+  }
+
+  const match = /filename\s*=\s*(?:"([^"]*)"|([^;]+))/i.exec(header)
+  if (match) return (match[1] || match[2]).trim()
+}
+
+/**
+ * Resolve a file name from a zip or a response header inside a directory,
+ * refusing anything that would land outside of it (e.g. `../../etc/passwd`).
+ *
+ * @param  {string} dir
+ * @param  {string} filename
+ * @return {string} - The absolute path
+ */
+function resolveSafePath (dir, filename) {
+  const root = path.resolve(dir)
+  const resolved = path.resolve(root, filename)
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(`Refusing to write "${filename}" outside of ${root}`)
+  }
+  return resolved
+}
+
+function writeStream (stream, filePath) {
+  return new Promise((resolve, reject) => {
+    const writeStream = fs.createWriteStream(filePath)
+    stream.on('error', reject)
+    writeStream.on('error', reject)
+    writeStream.on('finish', resolve)
+    stream.pipe(writeStream)
+  })
+}
+
+/**
+ * Write every file in a zip into a directory.
+ *
+ * @param  {Buffer} buffer - The zip file data
+ * @param  {string} dir - The directory to write into. Created if it does not exist.
+ * @return {Promise<Array<string>>} - The paths of the files written
+ */
+async function extractZip (buffer, dir) {
+  const written = []
+  for await (const { filename, stream } of readZipEntries(buffer)) {
+    const filePath = resolveSafePath(dir, filename)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    await writeStream(stream, filePath)
+    written.push(filePath)
+  }
+  return written
+}
+
+module.exports = {
+  readZipEntries,
+  readZipBuffers,
+  getContentDispositionFilename,
+  resolveSafePath,
+  writeStream,
+  extractZip,
+}
@@ -0,0 +1,182 @@
+const Anvil = require('../src/index')
+const { createMockServer } = require('../src/testing')
+
+describe('ClientPool', function () {
+  let server
+
+  def('resolveCredentials', () => sinon.spy(async (key) => ({ apiKey: `key-${key}` })))
+  def('options', () => ({
+    resolveCredentials: $.resolveCredentials,
+    clientOptions: { baseURL: server.url },
+  }))
+  def('pool', () => Anvil.pool($.options))
+
+  before(async function () {
+    server = await createMockServer()
+  })
+
+  afterEach(function () {
+    $.pool.close()
+    server.reset()
+    sinon.restore()
+  })
+
+  after(async function () {
+    await server.close()
+  })
+
+  it('requires resolveCredentials', function () {
+    expect(() => Anvil.pool({})).to.throw('resolveCredentials must be a function')
+  })
+
+  it('creates a client per organization, once', async function () {
+    const [a, a2, b] = await Promise.all([
+      $.pool.forOrganization('a'),
+      $.pool.forOrganization('a'),
+      $.pool.forOrganization('b'),
+    ])
+
+    expect(a).to.be.an.instanceof(Anvil)
+    expect(a).to.equal(a2)
+    expect(a).to.not.equal(b)
+    expect(a.rateLimiter).to.not.equal(b.rateLimiter)
+    expect(a.options.baseURL).to.eql(server.url)
+    expect($.resolveCredentials).to.have.been.calledTwice
+    expect($.pool.size).to.eql(2)
+  })
+
+  it('sends each organization\'s credentials over shared connections', async function () {
+    const onConnection = sinon.spy()
+    server.server.on('connection', onConnection)
+    const a = await $.pool.forOrganization('a')
+    const b = await $.pool.forOrganization('b')
+
+    await a.fillPDF('cast123', { data: {} })
+    await b.fillPDF('cast123', { data: {} })
+
+    const [first, second] = server.requests
+    expect(first.headers.authorization).to.eql(`Basic ${Buffer.from('key-a:').toString('base64')}`)
+    expect(second.headers.authorization).to.eql(`Basic ${Buffer.from('key-b:').toString('base64')}`)
+    expect(first.headers.connection).to.eql('keep-alive')
+    expect(a.agent).to.equal(b.agent)
+    expect(onConnection).to.have.been.calledOnce
+    server.server.removeListener('connection', onConnection)
+  })
+
+  it('uses a given agent', async function () {
+    const agent = sinon.spy(() => undefined)
+    const pool = Anvil.pool({ ...$.options, clientOptions: { baseURL: server.url, agent } })
+
+    const client = await pool.forOrganization('a')
+    await client.fillPDF('cast123', { data: {} })
+
+    expect(agent).to.have.been.calledOnce
+    expect(pool.agent).to.be.null
+    pool.close()
+  })
+
+  it('refuses a shared rate limiter', function () {
+    const rateLimit = new Anvil.rateLimiters.MemoryRateLimiter()
+
+    expect(() => Anvil.pool({ ...$.options, clientOptions: { rateLimit } }))
+      .to.throw('clientOptions.rateLimit must be options, not a rate limiter, so each client gets its own')
+  })
+
+  it('gives a client with its own agent options its own agent', async function () {
+    const pool = Anvil.pool({
+      resolveCredentials: async (key) => ({ apiKey: `key-${key}`, proxy: key === 'b' ? 'http://proxy.example.com:3128' : undefined }),
+      clientOptions: { baseURL: server.url, proxy: false },
+    })
+
+    const a = await pool.forOrganization('a')
+    const b = await pool.forOrganization('b')
+
+    expect(a.agent).to.equal(pool.agent)
+    expect(b.agent).to.not.equal(pool.agent)
+    b.agent(new URL('https://app.useanvil.com/'))
+    expect(Array.from(b.agent.agents.keys())).to.eql(['proxy:http://proxy.example.com:3128'])
+    sinon.spy(b.agent, 'destroy')
+    pool.close()
+    expect(b.agent.destroy).to.have.been.calledOnce
+  })
+
+  it('closes the agent of an evicted client', async function () {
+    const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] })
+    const pool = Anvil.pool({
+      resolveCredentials: async (key) => ({ apiKey: `key-${key}`, ca: 'CERT' }),
+      clientOptions: { baseURL: server.url },
+      idleTimeoutMS: 1000,
+      maxClients: 2,
+    })
+    const destroyed = []
+    const forOrganization = async (key) => {
+      const client = await pool.forOrganization(key)
+      sinon.stub(client.agent, 'destroy').callsFake(() => destroyed.push(key))
+      return client
+    }
+
+    await forOrganization('a')
+    await forOrganization('b')
+    await forOrganization('c')
+    expect(destroyed).to.eql(['a'])
+
+    pool.evict('b')
+    expect(destroyed).to.eql(['a', 'b'])
+
+    clock.tick(1001)
+    await forOrganization('d')
+    expect(destroyed).to.eql(['a', 'b', 'c'])
+
+    pool.close()
+    expect(destroyed).to.eql(['a', 'b', 'c', 'd'])
+  })
+
+  it('evicts idle clients', async function () {
+    const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] })
+    const pool = Anvil.pool({ ...$.options, idleTimeoutMS: 1000 })
+
+    const a = await pool.forOrganization('a')
+    await pool.forOrganization('b')
+    clock.tick(600)
+    await pool.forOrganization('b')
+    clock.tick(600)
+
+    expect(await pool.forOrganization('b')).to.equal(await pool.forOrganization('b'))
+    expect(await pool.forOrganization('a')).to.not.equal(a)
+    expect($.resolveCredentials).to.have.been.calledThrice
+    pool.close()
+  })
+
+  it('evicts the least recently used beyond maxClients', async function () {
+    const pool = Anvil.pool({ ...$.options, maxClients: 2 })
+
+    const a = await pool.forOrganization('a')
+    await pool.forOrganization('b')
+    await pool.forOrganization('a')
+    await pool.forOrganization('c')
+
+    expect(Array.from(pool.entries.keys())).to.eql(['a', 'c'])
+    expect(await pool.forOrganization('a')).to.equal(a)
+    pool.close()
+  })
+
+  it('evicts on request', async function () {
+    const a = await $.pool.forOrganization('a')
+
+    expect($.pool.evict('a')).to.eql(true)
+    expect(await $.pool.forOrganization('a')).to.not.equal(a)
+  })
+
+  it('does not cache failures', async function () {
+    const resolveCredentials = sinon.stub()
+    resolveCredentials.onFirstCall().rejects(new Error('Database down'))
+    resolveCredentials.onSecondCall().resolves(null)
+    resolveCredentials.onThirdCall().resolves({ apiKey: 'abc123' })
+    const pool = Anvil.pool({ resolveCredentials })
+
+    await expect(pool.forOrganization('a')).to.be.rejectedWith('Database down')
+    await expect(pool.forOrganization('a')).to.be.rejectedWith('No credentials for a')
+    expect(await pool.forOrganization('a')).to.be.an.instanceof(Anvil)
+    pool.close()
+  })
+})
@@ -0,0 +1,121 @@
+const path = require('path')
+
+const Anvil = require('../src/index')
+
+const { EtchPacketBuilder, AnvilValidationError } = Anvil
+
+const dummyPDFPath = path.join(__dirname, 'assets', 'dummy.pdf')
+const rect = { x: 10, y: 20, width: 100, height: 20 }
+
+describe('EtchPacketBuilder', function () {
+  def('builder', () => new EtchPacketBuilder({ name: 'Packet', isTest: true })
+    .addTemplateFile('castEid', { id: 'template' })
+    .uploadFile(dummyPDFPath, [
+      { id: 'name', type: 'fullName', rect, pageNum: 0 },
+      { type: 'signature', rect, pageNum: 0 },
+    ])
+    .addField({ type: 'signature', rect, pageNum: 1 })
+    .fill('template', { data: { name: 'Sally' } })
+    .addSigner({ name: 'Sally', email: 'sally@example.com' })
+    .signs('template', 'employeeSignature')
+    .signs('dummy', 'signature1')
+    .addSigner({ id: 'bill', name: 'Bill', email: 'bill@example.com' })
+    .signs('dummy', 'signature2')
+    .routingOrder(2))
+
+  function expectInvalid (builder, message) {
+    let error
+    try {
+      builder.build()
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.an.instanceof(AnvilValidationError)
+    expect(error.errors.map(({ message }) => message)).to.include(message)
+  }
+
+  it('builds the createEtchPacket variables', function () {
+    const variables = $.builder.build()
+    const [templateFile, uploadFile] = variables.files
+
+    expect(variables).to.include({ name: 'Packet', isTest: true })
+    expect(templateFile).to.eql({ id: 'template', castEid: 'castEid' })
+    expect(uploadFile).to.include({ id: 'dummy', title: 'dummy' })
+    expect(uploadFile.file.file.path).to.eql(dummyPDFPath)
+    uploadFile.file.file.destroy()
+    expect(uploadFile.fields.map(({ id }) => id)).to.eql(['name', 'signature1', 'signature2'])
+    expect(variables.data).to.eql({ payloads: { template: { data: { name: 'Sally' } } } })
+    expect(variables.signers).to.eql([
+      {
+        id: 'signer1',
+        name: 'Sally',
+        email: 'sally@example.com',
+        fields: [
+          { fileId: 'template', fieldId: 'employeeSignature' },
+          { fileId: 'dummy', fieldId: 'signature1' },
+        ],
+      },
+      {
+        id: 'bill',
+        name: 'Bill',
+        email: 'bill@example.com',
+        routingOrder: 2,
+        fields: [{ fileId: 'dummy', fieldId: 'signature2' }],
+      },
+    ])
+  })
+
+  it('rejects duplicate ids', function () {
+    const builder = $.builder
+      .addTemplateFile('otherCastEid', { id: 'template' })
+      .addSigner({ id: 'bill', name: 'Bill', email: 'bill@example.com' })
+      .signs('template', 'signature')
+
+    expectInvalid(builder, 'Duplicate file id "template"')
+    expectInvalid(builder, 'Duplicate signer id "bill"')
+    expectInvalid(
+      new EtchPacketBuilder().uploadFile(Buffer.from('PDF'), [
+        { id: 'one', type: 'signature', rect, pageNum: 0 },
+        { id: 'one', type: 'signature', rect, pageNum: 0 },
+      ], { id: 'file' }),
+      'Duplicate field id "one" in file "file"',
+    )
+  })
+
+  it('rejects unknown references', function () {
+    const builder = $.builder
+      .fill('nope', { data: {} })
+      .addSigner({ name: 'Jo', email: 'jo@example.com' })
+      .signs('nope', 'signature')
+      .signs('dummy', 'nope')
+
+    expectInvalid(builder, 'Signer "signer3" references unknown file "nope"')
+    expectInvalid(builder, 'Signer "signer3" references unknown field "nope" in file "dummy"')
+    expectInvalid(builder, 'Data is filled for unknown file "nope"')
+  })
+
+  it('rejects signers without signature fields', function () {
+    const builder = $.builder
+      .addSigner({ name: 'Jo', email: 'jo@example.com' })
+      .signs('dummy', 'name')
+
+    expectInvalid(builder, 'Signer "signer3" has no signature fields')
+  })
+
+  it('rejects bad rects and pages', function () {
+    const builder = new EtchPacketBuilder()
+      .uploadFile(Buffer.from('PDF'), [], { id: 'file' })
+      .addField({ id: 'negative', type: 'signature', rect: { ...rect, x: -1 }, pageNum: 0 })
+      .addField({ id: 'empty', type: 'signature', rect: { ...rect, width: 0 }, pageNum: 0 })
+      .addField({ id: 'page', type: 'signature', rect, pageNum: 1.5 })
+
+    expectInvalid(builder, 'Field "negative" in file "file" has an invalid rect. x and y must be 0 or more, and width and height more than 0')
+    expectInvalid(builder, 'Field "empty" in file "file" has an invalid rect. x and y must be 0 or more, and width and height more than 0')
+    expectInvalid(builder, 'Field "page" in file "file" needs a pageNum of 0 or more')
+  })
+
+  it('requires a file before adding fields', function () {
+    expect(() => new EtchPacketBuilder().addTemplateFile('castEid').addField({ type: 'signature', rect, pageNum: 0 }))
+      .to.throw(AnvilValidationError, 'Fields can only be added after uploading a file')
+  })
+})
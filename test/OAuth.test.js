@@ -0,0 +1,213 @@
+const Anvil = require('../src/index')
+const { OAuth, MemoryTokenStore } = require('../src/OAuth')
+const { createMockServer } = require('../src/testing')
+const { createAgent } = require('../src/agents')
+
+describe('OAuth', function () {
+  let server
+
+  def('store', () => new MemoryTokenStore())
+  def('oauth', () => new OAuth({
+    clientId: 'client123',
+    clientSecret: 'secret456',
+    redirectURI: 'https://example.com/callback',
+    baseURL: server.url,
+    store: $.store,
+  }))
+
+  before(async function () {
+    server = await createMockServer()
+  })
+
+  afterEach(function () {
+    server.reset()
+  })
+
+  after(async function () {
+    await server.close()
+  })
+
+  it('requires client credentials', function () {
+    expect(() => new OAuth({ clientId: 'client123' })).to.throw('clientId and clientSecret are required')
+  })
+
+  describe('getAuthorizationURL', function () {
+    it('builds the URL to send users to', function () {
+      const url = new URL($.oauth.getAuthorizationURL({ state: 'xyz', scope: ['read', 'write'] }))
+
+      expect(`${url.origin}${url.pathname}`).to.eql(`${server.url}/oauth/authorize`)
+      expect(Object.fromEntries(url.searchParams)).to.eql({
+        response_type: 'code',
+        client_id: 'client123',
+        redirect_uri: 'https://example.com/callback',
+        scope: 'read write',
+        state: 'xyz',
+      })
+    })
+  })
+
+  describe('exchangeCode', function () {
+    it('saves the tokens', async function () {
+      const tokens = await $.oauth.exchangeCode('code789', { key: 'org1' })
+
+      expect(tokens.accessToken).to.be.a('string')
+      expect(tokens.refreshToken).to.be.a('string')
+      expect(tokens.expiresAt).to.be.above(Date.now())
+      expect(await $.store.get('org1')).to.eql(tokens)
+
+      const params = new URLSearchParams(server.requests[0].body.toString())
+      expect(Object.fromEntries(params)).to.eql({
+        grant_type: 'authorization_code',
+        code: 'code789',
+        redirect_uri: 'https://example.com/callback',
+        client_id: 'client123',
+        client_secret: 'secret456',
+      })
+    })
+
+    it('requests tokens through the agent option', async function () {
+      const agent = sinon.spy(createAgent())
+      const oauth = new OAuth({ clientId: 'client123', clientSecret: 'secret456', baseURL: server.url, agent })
+
+      await oauth.exchangeCode('code789')
+
+      expect(agent).to.have.been.calledOnce
+      expect(agent.firstCall.args[0].pathname).to.eql('/oauth/token')
+      agent.destroy()
+    })
+
+    it('rejects with an AnvilAuthError', async function () {
+      server.injectFault({ path: '/oauth/token', status: 400, body: { error: 'invalid_grant' } })
+
+      const err = await $.oauth.exchangeCode('used', { key: 'org1' }).catch((err) => err)
+
+      expect(err).to.be.an.instanceof(Anvil.AnvilAuthError)
+      expect(err.message).to.eql('OAuth token request failed: invalid_grant')
+      expect(err.statusCode).to.eql(400)
+      expect(await $.store.get('org1')).to.be.undefined
+    })
+  })
+
+  describe('getAccessToken', function () {
+    it('returns the saved token', async function () {
+      const { accessToken } = await $.oauth.exchangeCode('code789')
+
+      expect(await $.oauth.getAccessToken()).to.eql(accessToken)
+      expect(server.requests).to.have.length(1)
+    })
+
+    it('refreshes tokens about to expire', async function () {
+      const tokens = await $.oauth.exchangeCode('code789', { key: 'org1' })
+      await $.store.set('org1', { ...tokens, expiresAt: Date.now() + 1000 })
+
+      const accessToken = await $.oauth.getAccessToken('org1')
+
+      expect(accessToken).to.not.eql(tokens.accessToken)
+      expect(await $.store.get('org1')).to.include({ accessToken, refreshToken: tokens.refreshToken })
+    })
+
+    it('rejects without tokens', async function () {
+      await expect($.oauth.getAccessToken('nobody')).to.be.rejectedWith(Anvil.AnvilAuthError, 'No OAuth tokens saved for nobody')
+    })
+  })
+
+  describe('refreshAccessToken', function () {
+    it('shares a refresh between concurrent callers', async function () {
+      const { accessToken } = await $.oauth.exchangeCode('code789')
+
+      const refreshed = await Promise.all([
+        $.oauth.refreshAccessToken('default', { staleAccessToken: accessToken }),
+        $.oauth.refreshAccessToken('default', { staleAccessToken: accessToken }),
+      ])
+
+      expect(refreshed[0]).to.eql(refreshed[1])
+      expect(server.requests.filter(({ path }) => path === '/oauth/token')).to.have.length(2)
+    })
+
+    it('skips the refresh if the stale token was already replaced', async function () {
+      const { accessToken } = await $.oauth.exchangeCode('code789')
+      const refreshed = await $.oauth.refreshAccessToken('default', { staleAccessToken: accessToken })
+
+      expect(await $.oauth.refreshAccessToken('default', { staleAccessToken: accessToken })).to.eql(refreshed)
+      expect(server.requests).to.have.length(2)
+    })
+  })
+
+  describe('with a client', function () {
+    def('client', () => new Anvil({ oauth: $.oauth, oauthKey: 'org1', baseURL: server.url }))
+
+    beforeEach(async function () {
+      await $.oauth.exchangeCode('code789', { key: 'org1' })
+    })
+
+    it('sends the access token', async function () {
+      const { accessToken } = await $.store.get('org1')
+
+      const { statusCode } = await $.client.fillPDF('cast123', { data: {} })
+
+      expect(statusCode).to.eql(200)
+      const { headers } = server.requests[server.requests.length - 1]
+      expect(headers.authorization).to.eql(`Bearer ${Buffer.from(accessToken).toString('base64')}`)
+    })
+
+    it('refreshes the token after a 401 and retries once', async function () {
+      const { accessToken } = await $.store.get('org1')
+      server.expireAccessTokens()
+
+      const { statusCode } = await $.client.fillPDF('cast123', { data: {} })
+
+      expect(statusCode).to.eql(200)
+      expect(server.requests.map(({ path }) => path)).to.eql([
+        '/oauth/token',
+        '/api/v1/fill/cast123.pdf',
+        '/oauth/token',
+        '/api/v1/fill/cast123.pdf',
+      ])
+      expect((await $.store.get('org1')).accessToken).to.not.eql(accessToken)
+    })
+
+    it('resolves a second 401', async function () {
+      server.injectFault({ path: '/api/v1/fill', status: 401, times: 2 })
+
+      const { statusCode } = await $.client.fillPDF('cast123', { data: {} })
+
+      expect(statusCode).to.eql(401)
+      expect(server.requests.filter(({ path }) => path === '/api/v1/fill/cast123.pdf')).to.have.length(2)
+    })
+
+    it('refreshes through the client\'s agent', async function () {
+      const agent = sinon.spy(createAgent())
+      const client = new Anvil({ oauth: $.oauth, oauthKey: 'org1', baseURL: server.url, agent })
+      server.expireAccessTokens()
+
+      await client.fillPDF('cast123', { data: {} })
+
+      const urls = agent.args.map(([url]) => url.pathname)
+      expect(urls).to.eql(['/api/v1/fill/cast123.pdf', '/oauth/token', '/api/v1/fill/cast123.pdf'])
+      agent.destroy()
+    })
+
+    it('rejects when the token cannot be refreshed', async function () {
+      server.expireAccessTokens()
+      server.refreshTokens.clear()
+
+      await expect($.client.fillPDF('cast123', { data: {} })).to.be.rejectedWith(
+        Anvil.AnvilAuthError,
+        'OAuth token request failed: The grant is invalid or expired',
+      )
+    })
+
+    it('does not resend uploads', async function () {
+      server.expireAccessTokens()
+      const file = Anvil.prepareGraphQLFile(Buffer.from('PDF'), { filename: 'upload.pdf' })
+
+      const { statusCode } = await $.client.createEtchPacket({ variables: { files: [{ id: 'upload', file }] } })
+
+      expect(statusCode).to.eql(401)
+      expect(server.requests.filter(({ path }) => path === '/graphql')).to.have.length(1)
+
+      const { statusCode: nextStatusCode } = await $.client.getEtchPacket({ variables: { eid: 'abc' } })
+      expect(nextStatusCode).to.eql(200)
+    })
+  })
+})
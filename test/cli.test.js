@@ -0,0 +1,242 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { PassThrough } = require('stream')
+
+const Anvil = require('../src/index')
+const { run, resolveClientOptions } = require('../src/cli')
+const { createZip } = require('../src/testing/zip')
+
+function captureStream () {
+  const stream = new PassThrough()
+  stream.output = ''
+  stream.on('data', (chunk) => { stream.output += chunk.toString() })
+  return stream
+}
+
+describe('CLI', function () {
+  let tmpDir
+
+  def('client', () => ({
+    fillPDF: sinon.stub().resolves({ statusCode: 200, data: Buffer.from('PDF data') }),
+    generatePDF: sinon.stub().resolves({ statusCode: 200, data: Buffer.from('PDF data') }),
+    createEtchPacket: sinon.stub().resolves({
+      statusCode: 200,
+      data: { data: { createEtchPacket: { eid: 'packetEid', detailsURL: 'https://example.com/packet' } } },
+    }),
+    getEtchPacket: sinon.stub().resolves({
+      statusCode: 200,
+      data: { data: { etchPacket: { eid: 'packetEid', name: 'Packet', documentGroup: { status: 'sent', signers: [] } } } },
+    }),
+    generateEtchSignUrl: sinon.stub().resolves({ statusCode: 200, url: 'https://example.com/sign' }),
+    downloadDocuments: sinon.stub().resolves({
+      statusCode: 200,
+      data: createZip({ 'one.pdf': 'first', 'two.pdf': 'second' }),
+    }),
+    requestGraphQL: sinon.stub().resolves({ statusCode: 200, data: { data: { currentUser: { eid: 'me' } } } }),
+  }))
+
+  def('io', () => ({
+    stdout: captureStream(),
+    stderr: captureStream(),
+    env: { ANVIL_API_KEY: 'envKey', ANVIL_CONFIG: path.join(tmpDir, 'missing') },
+    createClient: sinon.stub().returns($.client),
+  }))
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anvil-cli-'))
+  })
+
+  afterEach(function () {
+    fs.rmdirSync(tmpDir, { recursive: true })
+  })
+
+  describe('resolveClientOptions', function () {
+    it('prefers flags, then env, then the config file', function () {
+      const configPath = path.join(tmpDir, 'anvilrc')
+      fs.writeFileSync(configPath, JSON.stringify({ apiKey: 'configKey', baseURL: 'http://config' }))
+
+      expect(resolveClientOptions({ config: configPath }, {})).to.eql({
+        apiKey: 'configKey',
+        baseURL: 'http://config',
+        throwOnError: true,
+      })
+      expect(resolveClientOptions({ config: configPath }, { ANVIL_API_KEY: 'envKey' }).apiKey).to.eql('envKey')
+      expect(resolveClientOptions({ config: configPath, apiKey: 'flagKey' }, { ANVIL_API_KEY: 'envKey' }).apiKey).to.eql('flagKey')
+    })
+
+    it('requires an API key', function () {
+      expect(() => resolveClientOptions({}, { ANVIL_CONFIG: path.join(tmpDir, 'missing') })).to.throw('An API key is required')
+    })
+  })
+
+  describe('fill-pdf', function () {
+    it('fills the PDF and writes it to a file', async function () {
+      const dataPath = path.join(tmpDir, 'data.json')
+      const outputPath = path.join(tmpDir, 'out.pdf')
+      fs.writeFileSync(dataPath, JSON.stringify({ data: { name: 'Sally' } }))
+
+      const exitCode = await run(['fill-pdf', 'cast123', '--data', dataPath, '-o', outputPath], $.io)
+
+      expect(exitCode).to.eql(0)
+      expect($.io.createClient).to.have.been.calledWith({ apiKey: 'envKey', throwOnError: true })
+      expect($.client.fillPDF).to.have.been.calledWith('cast123', { data: { name: 'Sally' } })
+      expect(fs.readFileSync(outputPath, 'utf8')).to.eql('PDF data')
+    })
+
+    it('writes to stdout without an output file', async function () {
+      const exitCode = await run(['fill-pdf', 'cast123', '--data', '{"data":{}}'], $.io)
+
+      expect(exitCode).to.eql(0)
+      expect($.io.stdout.output).to.eql('PDF data')
+    })
+
+    it('exits non-zero on an API error', async function () {
+      $.client.fillPDF.rejects(new Anvil.AnvilValidationError('bad data', { statusCode: 400 }))
+
+      const exitCode = await run(['fill-pdf', 'cast123', '--data', '{}', '-o', path.join(tmpDir, 'out.pdf'), '--json'], $.io)
+
+      expect(exitCode).to.eql(1)
+      expect(JSON.parse($.io.stderr.output).error).to.include({
+        name: 'AnvilValidationError',
+        message: 'bad data',
+        statusCode: 400,
+      })
+    })
+
+    it('prints where it wrote the PDF as JSON', async function () {
+      const outputPath = path.join(tmpDir, 'out.pdf')
+
+      const exitCode = await run(['fill-pdf', 'cast123', '--data', '{}', '-o', outputPath, '--json'], $.io)
+
+      expect(exitCode).to.eql(0)
+      expect(JSON.parse($.io.stdout.output)).to.eql({ statusCode: 200, output: outputPath, message: `Wrote ${outputPath}` })
+    })
+
+    it('needs an output file with --json', async function () {
+      const exitCode = await run(['fill-pdf', 'cast123', '--data', '{}', '--json'], $.io)
+
+      expect(exitCode).to.eql(1)
+      expect($.client.fillPDF).not.to.have.been.called
+      expect($.io.stdout.output).to.eql('')
+      expect(JSON.parse($.io.stderr.output).error.message).to.eql('--json needs an --output file to write to, rather than stdout')
+    })
+
+    it('exits non-zero on missing arguments', async function () {
+      const exitCode = await run(['fill-pdf', 'cast123'], $.io)
+
+      expect(exitCode).to.eql(1)
+      expect($.client.fillPDF).not.to.have.been.called
+    })
+  })
+
+  describe('create-etch-packet', function () {
+    it('uploads files relative to the spec', async function () {
+      const specPath = path.join(tmpDir, 'packet.json')
+      fs.writeFileSync(path.join(tmpDir, 'nda.pdf'), 'PDF')
+      fs.writeFileSync(specPath, JSON.stringify({ files: [{ id: 'nda', file: 'nda.pdf' }] }))
+
+      const exitCode = await run(['create-etch-packet', '--spec', specPath, '--json'], $.io)
+
+      expect(exitCode).to.eql(0)
+      const [{ variables }] = $.client.createEtchPacket.lastCall.args
+      expect(variables.files[0].file.file.path).to.eql(path.join(tmpDir, 'nda.pdf'))
+      variables.files[0].file.file.destroy()
+      expect(JSON.parse($.io.stdout.output).data.eid).to.eql('packetEid')
+    })
+
+    it('leaves URLs in the spec as they are', async function () {
+      const specPath = path.join(tmpDir, 'packet.json')
+      fs.writeFileSync(specPath, JSON.stringify({
+        files: [
+          { id: 'remote', file: 'https://example.com/files/nda.pdf' },
+          { id: 'inline', file: 'data:text/plain;base64,SGVsbG8=' },
+        ],
+      }))
+
+      const exitCode = await run(['create-etch-packet', '--spec', specPath, '--json'], $.io)
+
+      expect(exitCode).to.eql(0)
+      const [{ variables }] = $.client.createEtchPacket.lastCall.args
+      expect(variables.files[0].file.file.href).to.eql('https://example.com/files/nda.pdf')
+      expect(variables.files[0].file.options).to.eql({ filename: 'nda.pdf', contentType: 'application/pdf' })
+      expect(variables.files[1].file.file.toString()).to.eql('Hello')
+    })
+  })
+
+  describe('get-etch-packet', function () {
+    it('prints the packet and its signers', async function () {
+      $.client.getEtchPacket.resolves({
+        statusCode: 200,
+        data: {
+          data: {
+            etchPacket: {
+              eid: 'packetEid',
+              name: 'Packet',
+              documentGroup: { status: 'sent', signers: [{ name: 'Sally', email: 'sally@example.com', status: 'sent' }] },
+            },
+          },
+        },
+      })
+
+      const exitCode = await run(['get-etch-packet', 'packetEid'], $.io)
+
+      expect(exitCode).to.eql(0)
+      expect($.client.getEtchPacket).to.have.been.calledWith({ variables: { eid: 'packetEid' } })
+      expect($.io.stdout.output).to.eql('Packet (packetEid)\nStatus: sent\n  Sally <sally@example.com>: sent\n')
+    })
+
+    it('says when there is no packet', async function () {
+      $.client.getEtchPacket.resolves({ statusCode: 200, data: { data: { etchPacket: null } } })
+
+      const exitCode = await run(['get-etch-packet', 'nope'], $.io)
+
+      expect(exitCode).to.eql(1)
+      expect($.io.stderr.output).to.eql('Error: No Etch packet found with eid nope\n')
+    })
+
+    it('leaves the status out of GraphQL errors', async function () {
+      $.client.getEtchPacket.rejects(new Anvil.AnvilGraphQLError('Not found', { statusCode: 200 }))
+
+      const exitCode = await run(['get-etch-packet', 'nope'], $.io)
+
+      expect(exitCode).to.eql(1)
+      expect($.io.stderr.output).to.eql('Error: Not found\n')
+    })
+  })
+
+  describe('sign-url', function () {
+    it('prints the URL', async function () {
+      const exitCode = await run(['sign-url', 'signerEid', 'userId'], $.io)
+
+      expect(exitCode).to.eql(0)
+      expect($.client.generateEtchSignUrl).to.have.been.calledWith({ variables: { signerEid: 'signerEid', clientUserId: 'userId' } })
+      expect($.io.stdout.output).to.eql('https://example.com/sign\n')
+    })
+  })
+
+  describe('download', function () {
+    it('extracts the documents', async function () {
+      const extractDir = path.join(tmpDir, 'docs')
+      const exitCode = await run(['download', 'docGroupEid', '--extract', extractDir, '--json'], $.io)
+
+      expect(exitCode).to.eql(0)
+      expect(fs.readFileSync(path.join(extractDir, 'one.pdf'), 'utf8')).to.eql('first')
+      expect(fs.readFileSync(path.join(extractDir, 'two.pdf'), 'utf8')).to.eql('second')
+      expect(JSON.parse($.io.stdout.output).files).to.have.length(2)
+    })
+  })
+
+  describe('graphql', function () {
+    it('runs the query with variables', async function () {
+      const exitCode = await run(['graphql', 'query { currentUser { eid } }', '-v', '{"a":1}', '--json'], $.io)
+
+      expect(exitCode).to.eql(0)
+      expect($.client.requestGraphQL).to.have.been.calledWith(
+        { query: 'query { currentUser { eid } }', variables: { a: 1 } },
+        { dataType: 'json' },
+      )
+      expect(JSON.parse($.io.stdout.output).data).to.eql({ currentUser: { eid: 'me' } })
+    })
+  })
+})
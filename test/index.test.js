@@ -1,9 +1,13 @@
 const fs = require('fs')
+const os = require('os')
 const path = require('path')
+const { Readable } = require('stream')
 
 const FormData = require('form-data')
-const AbortSignal = require('abort-controller').AbortSignal
+const { AbortController, AbortSignal } = require('abort-controller')
 const Anvil = require('../src/index')
+const { createZip } = require('../src/testing/zip')
+const { createMockServer } = require('../src/testing')
 
 const assetsDir = path.join(__dirname, 'assets')
 
@@ -11,6 +15,7 @@ function mockNodeFetchResponse (options = {}) {
   const {
     status,
     json,
+    text,
     buffer,
     headers,
     body,
@@ -24,6 +29,10 @@ function mockNodeFetchResponse (options = {}) {
     mock.json = () => json
   }
 
+  if (json || text) {
+    mock.text = () => text || JSON.stringify(json)
+  }
+
   if (buffer) {
     mock.buffer = () => buffer
   }
@@ -140,6 +149,271 @@ describe('Anvil API Client', function () {
         expect(result.statusCode).to.eql(200)
         expect(result.data).to.eql(data)
       })
+
+      describe('retry policy', function () {
+        const networkError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+        const okResponse = () => Promise.resolve(mockNodeFetchResponse({ status: 200, json: { result: 'ok' } }))
+        const unavailableResponse = () => Promise.resolve(mockNodeFetchResponse({ status: 503, json: { message: 'unavailable' } }))
+
+        beforeEach(function () {
+          client.options.retry = { baseMS: 1, jitter: false }
+        })
+
+        it('retries network errors with backoff', async function () {
+          const onRetry = sinon.spy()
+          client.options.retry.onRetry = onRetry
+          client._request.onCall(0).callsFake(() => Promise.reject(networkError()))
+          client._request.onCall(1).callsFake(okResponse)
+
+          result = await client.requestREST('/test', { method: 'GET' }, { dataType: 'json' })
+
+          expect(client._request).to.have.been.calledTwice
+          expect(result.statusCode).to.eql(200)
+          expect(onRetry).to.have.been.calledOnce
+          const [{ attempt, error, delayMS, method, path }] = onRetry.lastCall.args
+          expect(attempt).to.eql(2)
+          expect(error.code).to.eql('ECONNRESET')
+          expect(delayMS).to.eql(1)
+          expect(method).to.eql('GET')
+          expect(path).to.eql('/test')
+        })
+
+        it('retries retryable status codes up to maxAttempts', async function () {
+          client._request.callsFake(unavailableResponse)
+
+          result = await client.requestREST('/test', { method: 'GET' }, { dataType: 'json' })
+
+          expect(client._request).to.have.been.calledThrice
+          expect(result.statusCode).to.eql(503)
+          expect(result.errors).to.eql([{ message: 'unavailable' }])
+        })
+
+        it('does not retry other errors', async function () {
+          client._request.callsFake(() => Promise.reject(new Error('problem')))
+
+          await expect(client.requestREST('/test', { method: 'GET' })).to.eventually.be.rejectedWith('problem')
+          expect(client._request).to.have.been.calledOnce
+        })
+
+        it('does not retry non-idempotent requests', async function () {
+          client._request.callsFake(unavailableResponse)
+
+          result = await client.requestREST('/test', { method: 'POST' }, { dataType: 'json' })
+          expect(client._request).to.have.been.calledOnce
+        })
+
+        it('retries non-idempotent requests when allowed', async function () {
+          client._request.onCall(0).callsFake(unavailableResponse)
+          client._request.onCall(1).callsFake(okResponse)
+
+          result = await client.requestREST('/test', { method: 'POST' }, { dataType: 'json', idempotent: true })
+          expect(client._request).to.have.been.calledTwice
+          expect(result.statusCode).to.eql(200)
+        })
+
+        it('retries fillPDF', async function () {
+          client._request.onCall(0).callsFake(() => Promise.reject(networkError()))
+          client._request.onCall(1).callsFake(() => Promise.resolve(mockNodeFetchResponse({ status: 200, buffer: 'PDF' })))
+
+          result = await client.fillPDF('cast123', {})
+          expect(client._request).to.have.been.calledTwice
+          expect(result.data).to.eql('PDF')
+        })
+
+        it('gives up on a 429 that never clears after maxAttempts', async function () {
+          const rateLimited = () => Promise.resolve(mockNodeFetchResponse({
+            status: 429,
+            json: { message: 'Too many requests' },
+            headers: { 'retry-after': '0' },
+          }))
+          client._request.callsFake(rateLimited)
+
+          result = await client.requestREST('/test', { method: 'POST' }, { dataType: 'json' })
+          expect(client._request).to.have.been.calledThrice
+          expect(result.statusCode).to.eql(429)
+          expect(result.errors).to.eql([{ message: 'Too many requests' }])
+
+          client._request.resetHistory()
+          await expect(client.requestREST('/test', { method: 'POST' }, { dataType: 'json', throwOnError: true }))
+            .to.be.rejectedWith(Anvil.AnvilRateLimitError, 'Too many requests')
+          expect(client._request).to.have.been.calledThrice
+        })
+
+        it('can be disabled', async function () {
+          client.options.retry = false
+          client._request.callsFake(unavailableResponse)
+
+          result = await client.requestREST('/test', { method: 'GET' }, { dataType: 'json' })
+          expect(client._request).to.have.been.calledOnce
+        })
+
+        it('can be overridden per request', async function () {
+          client._request.callsFake(unavailableResponse)
+
+          result = await client.requestREST('/test', { method: 'GET' }, { dataType: 'json', retry: { maxAttempts: 2 } })
+          expect(client._request).to.have.been.calledTwice
+        })
+      })
+
+      describe('timeouts and aborts', function () {
+        // Behaves like node-fetch: never resolves, but rejects when the signal aborts
+        const hangingRequest = (url, options) => new Promise((resolve, reject) => {
+          options.signal.addEventListener('abort', () => {
+            const error = new Error('The user aborted a request.')
+            error.name = 'AbortError'
+            reject(error)
+          })
+        })
+
+        it('does not add a signal by default', async function () {
+          client._request.callsFake(() => Promise.resolve(mockNodeFetchResponse({ status: 200, json: {} })))
+
+          await client.requestREST('/test', { method: 'GET' }, { dataType: 'json' })
+          const [, options] = client._request.lastCall.args
+          expect(options).to.eql({ method: 'GET' })
+        })
+
+        it('rejects with AnvilTimeoutError after the timeout', async function () {
+          client._request.callsFake(hangingRequest)
+
+          const error = await client.requestREST('/test', { method: 'GET' }, { timeout: 10 }).catch((e) => e)
+          expect(error).to.be.an.instanceof(Anvil.AnvilTimeoutError)
+          expect(error).to.be.an.instanceof(Anvil.AnvilAbortError)
+          expect(error.message).to.eql('Request to /test timed out after 10ms')
+        })
+
+        it('uses the client timeout option', async function () {
+          client.options.timeout = 10
+          client._request.callsFake(hangingRequest)
+
+          await expect(client.fillPDF('cast123', {})).to.eventually.be.rejectedWith(Anvil.AnvilTimeoutError)
+        })
+
+        it('rejects with AnvilAbortError when the signal aborts', async function () {
+          const controller = new AbortController()
+          client._request.callsFake(hangingRequest)
+
+          const promise = client.requestREST('/test', { method: 'GET' }, { signal: controller.signal })
+          controller.abort()
+
+          const error = await promise.catch((e) => e)
+          expect(error).to.be.an.instanceof(Anvil.AnvilAbortError)
+          expect(error).not.to.be.an.instanceof(Anvil.AnvilTimeoutError)
+        })
+
+        it('does not make a request when the signal is already aborted', async function () {
+          const controller = new AbortController()
+          controller.abort()
+
+          await expect(client.downloadDocuments('docGroupEid123', { signal: controller.signal }))
+            .to.eventually.be.rejectedWith(Anvil.AnvilAbortError)
+          expect(client._request).not.to.have.been.called
+        })
+
+        it('stops waiting on the rate limiter without taking a slot', async function () {
+          client.rateLimiter = new Anvil.rateLimiters.MemoryRateLimiter({ limit: 1, intervalMS: 60000 })
+          await client.rateLimiter.acquire()
+          client._request.callsFake(hangingRequest)
+
+          const error = await client.requestREST('/test', { method: 'GET' }, { timeout: 10 }).catch((e) => e)
+          expect(error).to.be.an.instanceof(Anvil.AnvilTimeoutError)
+          expect(client._request).not.to.have.been.called
+          expect(client.rateLimiter.sentAt).to.have.length(1)
+        })
+
+        it('passes the signal to GraphQL requests', async function () {
+          client._request.callsFake(hangingRequest)
+
+          await expect(client.getEtchPacket({ variables: { eid: 'abc' } }, { timeout: 10 }))
+            .to.eventually.be.rejectedWith(Anvil.AnvilTimeoutError)
+        })
+      })
+
+      it('handles a non-JSON error response', async function () {
+        options = { method: 'POST' }
+
+        client._request.callsFake((url, options) => {
+          return Promise.resolve(
+            mockNodeFetchResponse({
+              status: 502,
+              text: '<html>Bad Gateway</html>',
+            }),
+          )
+        })
+
+        result = await client.requestREST('/test', options)
+
+        expect(result.statusCode).to.eql(502)
+        expect(result.errors).to.eql([{ message: 'Received a non-JSON response with status 502' }])
+      })
+
+      context('throwOnError is set', function () {
+        beforeEach(function () {
+          client.options.throwOnError = true
+        })
+
+        def('errorResponse', () => mockNodeFetchResponse({
+          status: $.statusCode,
+          json: $.json,
+          text: $.text,
+        }))
+
+        beforeEach(function () {
+          client._request.callsFake(() => Promise.resolve($.errorResponse))
+        })
+
+        const cases = [
+          [400, Anvil.AnvilValidationError],
+          [422, Anvil.AnvilValidationError],
+          [401, Anvil.AnvilAuthError],
+          [403, Anvil.AnvilAuthError],
+          [404, Anvil.AnvilError],
+          [500, Anvil.AnvilServerError],
+        ]
+
+        cases.forEach(([statusCode, ErrorClass]) => {
+          context(`server responds with ${statusCode}`, function () {
+            def('statusCode', statusCode)
+            def('json', { errors: [{ message: 'problem' }] })
+
+            it(`rejects with ${ErrorClass.name}`, async function () {
+              const error = await client.requestREST('/test', { method: 'POST' }, { dataType: 'json' })
+                .catch((e) => e)
+
+              expect(error).to.be.an.instanceof(ErrorClass)
+              expect(error).to.be.an.instanceof(Anvil.AnvilError)
+              expect(error.message).to.eql('problem')
+              expect(error.statusCode).to.eql(statusCode)
+              expect(error.path).to.eql('/test')
+              expect(error.errors).to.eql([{ message: 'problem' }])
+              expect(error.body).to.eql($.json)
+            })
+          })
+        })
+
+        context('server responds with HTML', function () {
+          def('statusCode', 502)
+          def('text', '<html>Bad Gateway</html>')
+
+          it('rejects with the raw body', async function () {
+            const error = await client.requestREST('/test', { method: 'POST' }).catch((e) => e)
+
+            expect(error).to.be.an.instanceof(Anvil.AnvilServerError)
+            expect(error.body).to.eql('<html>Bad Gateway</html>')
+          })
+        })
+
+        context('throwOnError is overridden per request', function () {
+          def('statusCode', 400)
+          def('json', { errors: [{ message: 'problem' }] })
+
+          it('resolves with the errors', async function () {
+            const result = await client.requestREST('/test', { method: 'POST' }, { throwOnError: false })
+            expect(result.statusCode).to.eql(400)
+            expect(result.errors).to.eql([{ message: 'problem' }])
+          })
+        })
+      })
     })
 
     describe('fillPDF', function () {
@@ -292,6 +566,115 @@ describe('Anvil API Client', function () {
       })
     })
 
+    describe('fillPDFBatch', function () {
+      let tmpDir
+      let inFlight
+      let maxInFlight
+
+      def('fillPDF', () => async (pdfTemplateID, payload, { dataType }) => {
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        await new Promise((resolve) => setTimeout(resolve, 5))
+        inFlight--
+        if (payload.fail) {
+          return { statusCode: 400, errors: [{ message: 'bad payload' }] }
+        }
+        const pdf = `PDF ${payload.data.n}`
+        return { statusCode: 200, data: dataType === 'stream' ? Readable.from([pdf]) : Buffer.from(pdf) }
+      })
+
+      beforeEach(function () {
+        inFlight = 0
+        maxInFlight = 0
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anvil-batch-'))
+        sinon.stub(client, 'fillPDF').callsFake($.fillPDF)
+      })
+
+      afterEach(function () {
+        fs.rmdirSync(tmpDir, { recursive: true })
+      })
+
+      function payloads (count) {
+        return Array.from({ length: count }, (_, n) => ({ data: { n } }))
+      }
+
+      it('fills each payload with limited concurrency', async function () {
+        const onProgress = sinon.spy()
+        const { succeeded, failed, stopped, results } = await client.fillPDFBatch('cast123', payloads(7), { concurrency: 3, onProgress })
+
+        expect({ succeeded, failed, stopped }).to.eql({ succeeded: 7, failed: 0, stopped: false })
+        expect(maxInFlight).to.eql(3)
+        expect(results.map(({ index, data }) => [index, data.toString()])).to.eql(
+          payloads(7).map((payload, index) => [index, `PDF ${index}`]),
+        )
+        expect(client.fillPDF).to.have.been.calledWith('cast123', { data: { n: 0 } }, { dataType: 'buffer' })
+        expect(onProgress).to.have.callCount(7)
+        expect(onProgress.lastCall.args[0]).to.include({ completed: 7, succeeded: 7, failed: 0, total: 7 })
+      })
+
+      it('accepts async iterables', async function () {
+        async function * generate () {
+          for (const payload of payloads(4)) yield payload
+        }
+
+        const { succeeded, results } = await client.fillPDFBatch('cast123', generate(), { concurrency: 2 })
+
+        expect(succeeded).to.eql(4)
+        expect(results.map(({ index }) => index)).to.eql([0, 1, 2, 3])
+      })
+
+      it('writes to an output directory', async function () {
+        const output = path.join(tmpDir, 'pdfs')
+        const { results } = await client.fillPDFBatch('cast123', payloads(2), {
+          output,
+          filename: (payload) => `filled-${payload.data.n}.pdf`,
+        })
+
+        expect(results.map(({ path }) => path)).to.eql([path.join(output, 'filled-0.pdf'), path.join(output, 'filled-1.pdf')])
+        expect(fs.readFileSync(path.join(output, 'filled-1.pdf'), 'utf8')).to.eql('PDF 1')
+        expect(client.fillPDF.firstCall.args[2]).to.eql({ dataType: 'stream' })
+      })
+
+      it('passes streams to an output callback', async function () {
+        const written = []
+        const output = async (stream, { index }) => {
+          for await (const chunk of stream) written[index] = chunk.toString()
+        }
+
+        await client.fillPDFBatch('cast123', payloads(2), { output })
+
+        expect(written).to.eql(['PDF 0', 'PDF 1'])
+      })
+
+      it('records failures', async function () {
+        const items = payloads(3)
+        items[1].fail = true
+        client.fillPDF.withArgs('cast123', items[2]).rejects(new Anvil.AnvilServerError('down', { statusCode: 503 }))
+
+        const { succeeded, failed, results } = await client.fillPDFBatch('cast123', items)
+
+        expect({ succeeded, failed }).to.eql({ succeeded: 1, failed: 2 })
+        expect(results[1]).to.eql({ index: 1, ok: false, statusCode: 400, errors: [{ message: 'bad payload' }] })
+        expect(results[2]).to.include({ index: 2, ok: false, statusCode: 503 })
+        expect(results[2].error).to.be.an.instanceof(Anvil.AnvilServerError)
+      })
+
+      it('stops starting fills after an error with stopOnError', async function () {
+        const items = payloads(10)
+        items[1].fail = true
+
+        const { failed, stopped, results } = await client.fillPDFBatch('cast123', items, { concurrency: 2, stopOnError: true })
+
+        expect(failed).to.eql(1)
+        expect(stopped).to.eql(true)
+        expect(results.length).to.be.below(10)
+      })
+
+      it('requires a valid concurrency', async function () {
+        await expect(client.fillPDFBatch('cast123', [], { concurrency: 0 })).to.be.rejectedWith('concurrency must be an integer of 1 or more')
+      })
+    })
+
     describe('downloadDocuments', function () {
       def('statusCode', 200)
       def('buffer', 'This would be Zip file data buffer...')
@@ -327,6 +710,29 @@ describe('Anvil API Client', function () {
         })
       })
 
+      context('extract is set', function () {
+        def('buffer', () => createZip({ 'one.pdf': 'first', 'two.pdf': 'second' }))
+
+        it('returns the files as buffers', async function () {
+          const { statusCode, data } = await client.downloadDocuments('docGroupEid123', { extract: true })
+          expect(statusCode).to.eql(200)
+          expect(data.map(({ filename, size, buffer }) => [filename, size, buffer.toString()])).to.eql([
+            ['one.pdf', 5, 'first'],
+            ['two.pdf', 6, 'second'],
+          ])
+        })
+
+        it('returns the files as streams', async function () {
+          const { data } = await client.downloadDocuments('docGroupEid123', { extract: true, dataType: 'stream' })
+          const filenames = []
+          for await (const { filename, stream } of data) {
+            filenames.push(filename)
+            stream.resume()
+          }
+          expect(filenames).to.eql(['one.pdf', 'two.pdf'])
+        })
+      })
+
       context('unsupported options', function () {
         it('raises appropriate error', async function () {
           try {
@@ -365,6 +771,76 @@ describe('Anvil API Client', function () {
         })
       })
     })
+    describe('saveDocuments', function () {
+      let tmpDir
+
+      def('statusCode', 200)
+      def('headers', { 'content-disposition': 'attachment; filename="../Packet Name.zip"' })
+      def('zip', () => createZip({ 'one.pdf': 'first', 'two.pdf': 'second' }))
+      def('nodeFetchResponse', () => mockNodeFetchResponse({
+        status: $.statusCode,
+        buffer: $.zip,
+        body: Readable.from([$.zip]),
+        headers: $.headers,
+        json: $.json,
+      }))
+
+      beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anvil-save-'))
+        client._request.callsFake(() => Promise.resolve($.nodeFetchResponse))
+      })
+
+      afterEach(function () {
+        fs.rmdirSync(tmpDir, { recursive: true })
+      })
+
+      it('writes each file', async function () {
+        const { statusCode, files } = await client.saveDocuments('docGroupEid123', tmpDir)
+
+        expect(statusCode).to.eql(200)
+        expect(files).to.eql([path.join(tmpDir, 'one.pdf'), path.join(tmpDir, 'two.pdf')])
+        expect(fs.readFileSync(files[1], 'utf8')).to.eql('second')
+      })
+
+      context('a file is outside the directory', function () {
+        def('zip', () => createZip({ '../evil.pdf': 'evil' }))
+
+        it('refuses to write it', async function () {
+          await expect(client.saveDocuments('docGroupEid123', tmpDir)).to.be.rejected
+          expect(fs.existsSync(path.join(tmpDir, '..', 'evil.pdf'))).to.eql(false)
+        })
+      })
+
+      it('writes the zip named from the content-disposition', async function () {
+        const { files } = await client.saveDocuments('docGroupEid123', tmpDir, { extract: false })
+
+        expect(files).to.eql([path.join(tmpDir, 'Packet Name.zip')])
+        expect(fs.readFileSync(files[0])).to.eql($.zip)
+      })
+
+      context('without a content-disposition', function () {
+        def('headers', {})
+
+        it('names the zip from the eid', async function () {
+          const { files } = await client.saveDocuments('docGroupEid123', tmpDir, { extract: false })
+
+          expect(files).to.eql([path.join(tmpDir, 'docGroupEid123.zip')])
+        })
+      })
+
+      context('server 404s', function () {
+        def('statusCode', 404)
+        def('json', { message: 'Not found' })
+
+        it('returns the errors', async function () {
+          const { statusCode, errors, files } = await client.saveDocuments('docGroupEid123', tmpDir)
+
+          expect(statusCode).to.eql(404)
+          expect(errors).to.eql([{ message: 'Not found' }])
+          expect(files).to.be.undefined
+        })
+      })
+    })
   })
 
   describe('GraphQL', function () {
@@ -524,6 +1000,90 @@ describe('Anvil API Client', function () {
       })
     })
 
+    describe('requestGraphQL errors', function () {
+      beforeEach(function () {
+        sinon.stub(client, '_request')
+        client._request.callsFake(() => Promise.resolve($.nodeFetchResponse))
+      })
+
+      afterEach(function () {
+        client._request.restore()
+      })
+
+      const query = 'query { foo }'
+      const errors = [{ message: 'Cannot query field "foo"' }]
+
+      context('response is a 200 with errors', function () {
+        def('nodeFetchResponse', () => mockNodeFetchResponse({
+          status: 200,
+          json: { data: null, errors },
+        }))
+
+        it('resolves with the errors in data by default', async function () {
+          const { statusCode, data } = await client.requestGraphQL({ query }, { dataType: 'json' })
+          expect(statusCode).to.eql(200)
+          expect(data.errors).to.eql(errors)
+        })
+
+        it('rejects with an AnvilGraphQLError when throwOnError', async function () {
+          const error = await client.requestGraphQL({ query }, { dataType: 'json', throwOnError: true })
+            .catch((e) => e)
+
+          expect(error).to.be.an.instanceof(Anvil.AnvilGraphQLError)
+          expect(error.message).to.eql(errors[0].message)
+          expect(error.path).to.eql('/graphql')
+          expect(error.errors).to.eql(errors)
+        })
+      })
+
+      context('response is a 400 with errors', function () {
+        def('nodeFetchResponse', () => mockNodeFetchResponse({
+          status: 400,
+          json: { errors },
+        }))
+
+        it('rejects with an AnvilGraphQLError when throwOnError', async function () {
+          const error = await client.requestGraphQL({ query }, { dataType: 'json', throwOnError: true })
+            .catch((e) => e)
+
+          expect(error).to.be.an.instanceof(Anvil.AnvilGraphQLError)
+          expect(error.statusCode).to.eql(400)
+        })
+      })
+    })
+
+    describe('GraphQL retries', function () {
+      beforeEach(function () {
+        sinon.stub(client, '_request')
+        client._request.onCall(0).callsFake(() => Promise.resolve(mockNodeFetchResponse({ status: 502, text: 'Bad Gateway' })))
+        client._request.onCall(1).callsFake(() => Promise.resolve(mockNodeFetchResponse({ status: 200, json: { data: {} } })))
+        client.options.retry = { baseMS: 1 }
+      })
+
+      afterEach(function () {
+        client._request.restore()
+        client.options.retry = {}
+      })
+
+      it('retries queries', async function () {
+        const { statusCode } = await client.requestGraphQL({ query: 'query { foo }' }, { dataType: 'json' })
+        expect(client._request).to.have.been.calledTwice
+        expect(statusCode).to.eql(200)
+      })
+
+      it('does not retry mutations', async function () {
+        const { statusCode } = await client.createEtchPacket({ variables: {} })
+        expect(client._request).to.have.been.calledOnce
+        expect(statusCode).to.eql(502)
+      })
+
+      it('retries mutations when allowed', async function () {
+        const { statusCode } = await client.createEtchPacket({ variables: {} }, { idempotent: true })
+        expect(client._request).to.have.been.calledTwice
+        expect(statusCode).to.eql(200)
+      })
+    })
+
     describe('createEtchPacket', function () {
       beforeEach(function () {
         sinon.stub(client, 'requestGraphQL')
@@ -694,5 +1254,900 @@ describe('Anvil API Client', function () {
         })
       })
     })
+
+    describe('Etch packet lifecycle', function () {
+      beforeEach(function () {
+        sinon.stub(client, 'requestGraphQL')
+      })
+
+      afterEach(function () {
+        client.requestGraphQL.restore()
+      })
+
+      const methods = {
+        updateEtchPacket: { variables: { eid: 'packet123', name: 'Renamed' }, defaultField: 'documentGroup {' },
+        sendEtchPacket: { variables: { eid: 'packet123' }, defaultField: 'documentGroup {' },
+        voidDocumentGroup: { variables: { eid: 'group123' }, defaultField: 'signers {' },
+        removeEtchPacket: { variables: { eid: 'packet123' } },
+        notifySigner: { variables: { signerEid: 'signer123' } },
+        updateEtchSigner: { variables: { eid: 'signer123', email: 'sally@example.com' }, defaultField: 'signActionType' },
+      }
+
+      Object.entries(methods).forEach(([method, { variables, defaultField }]) => {
+        describe(method, function () {
+          it('calls requestGraphQL with the mutation', function () {
+            client[method]({ variables })
+
+            expect(client.requestGraphQL).to.have.been.calledOnce
+            const [options, clientOptions] = client.requestGraphQL.lastCall.args
+            expect(options.variables).to.eql(variables)
+            expect(options.query).to.match(new RegExp(`^\\s*mutation [^{]*\\{\\s*${method} \\(`))
+            if (defaultField) expect(options.query).to.include(defaultField)
+            expect(clientOptions).to.eql({ dataType: 'json' })
+          })
+
+          if (!defaultField) return
+
+          it('calls requestGraphQL with an overridden responseQuery', function () {
+            const responseQuery = 'myCustomResponseQuery'
+            client[method]({ variables, responseQuery }, { idempotent: true })
+
+            const [options, clientOptions] = client.requestGraphQL.lastCall.args
+            expect(options.query).to.include(responseQuery)
+            expect(options.query).to.not.include(defaultField)
+            expect(clientOptions).to.eql({ idempotent: true, dataType: 'json' })
+          })
+        })
+      })
+
+      describe('updateEtchPacket', function () {
+        it('calls requestGraphQL with an overridden mutation', function () {
+          const mutation = 'updateEtchPacketOverride()'
+          client.updateEtchPacket({ variables: { eid: 'packet123' }, mutation })
+
+          expect(client.requestGraphQL.lastCall.args[0].query).to.eql(mutation)
+        })
+      })
+    })
+
+    describe('waitForEtchPacket', function () {
+      function packetResult (status, signerStatuses = []) {
+        const documentGroup = status === 'draft' ? null : {
+          eid: 'docGroupEid',
+          status,
+          signers: signerStatuses.map((signerStatus, index) => ({
+            eid: `signer${index + 1}Eid`,
+            aliasId: `signer${index + 1}`,
+            status: signerStatus,
+          })),
+        }
+        return { statusCode: 200, data: { data: { etchPacket: { eid: 'packetEid', documentGroup } } } }
+      }
+
+      beforeEach(function () {
+        sinon.stub(client, 'getEtchPacket')
+        sinon.stub(client, 'downloadDocuments').resolves({ statusCode: 200, data: Buffer.from('zip') })
+      })
+
+      afterEach(function () {
+        client.getEtchPacket.restore()
+        client.downloadDocuments.restore()
+      })
+
+      it('polls until the packet completes', async function () {
+        client.getEtchPacket.onCall(0).resolves(packetResult('draft'))
+        client.getEtchPacket.onCall(1).resolves(packetResult('sent', ['sent', 'sent']))
+        client.getEtchPacket.onCall(2).resolves(packetResult('partial', ['completed', 'sent']))
+        client.getEtchPacket.onCall(3).resolves(packetResult('completed', ['completed', 'completed']))
+        const onProgress = sinon.spy()
+
+        const packet = await client.waitForEtchPacket('packetEid', { interval: 1, onProgress })
+
+        expect(packet.documentGroup.status).to.eql('completed')
+        expect(client.getEtchPacket).to.have.callCount(4)
+        expect(client.getEtchPacket.firstCall.args).to.eql([
+          { variables: { eid: 'packetEid' }, responseQuery: undefined },
+          { throwOnError: true },
+        ])
+        expect(onProgress.args.map(([{ signer, status, previousStatus }]) => [signer && signer.eid, status, previousStatus])).to.eql([
+          [undefined, 'draft', undefined],
+          [undefined, 'sent', 'draft'],
+          ['signer1Eid', 'sent', undefined],
+          ['signer2Eid', 'sent', undefined],
+          [undefined, 'partial', 'sent'],
+          ['signer1Eid', 'completed', 'sent'],
+          [undefined, 'completed', 'partial'],
+          ['signer2Eid', 'completed', 'sent'],
+        ])
+      })
+
+      it('waits on a signer by eid or aliasId', async function () {
+        client.getEtchPacket.onCall(0).resolves(packetResult('sent', ['sent', 'sent']))
+        client.getEtchPacket.resolves(packetResult('partial', ['completed', 'sent']))
+
+        await client.waitForEtchPacket('packetEid', { interval: 1, until: 'signer1' })
+        expect(client.getEtchPacket).to.have.been.calledTwice
+
+        await client.waitForEtchPacket('packetEid', { interval: 1, until: 'signer1Eid' })
+        expect(client.getEtchPacket).to.have.been.calledThrice
+
+        await expect(client.waitForEtchPacket('packetEid', { interval: 1, until: 'nope' }))
+          .to.be.rejectedWith(Anvil.AnvilError, 'Etch packet packetEid has no signer nope')
+      })
+
+      it('backs off while nothing changes', async function () {
+        const clock = sinon.useFakeTimers()
+        try {
+          client.getEtchPacket.resolves(packetResult('sent'))
+          const promise = client.waitForEtchPacket('packetEid', { interval: 100, maxInterval: 200, timeout: 1000 })
+          const rejected = expect(promise).to.be.rejectedWith(Anvil.AnvilTimeoutError, 'Timed out after 1000ms waiting for Etch packet packetEid')
+
+          // Polls at 0, 100, 250, 450, 650, 850
+          await clock.tickAsync(1000)
+          await rejected
+          expect(client.getEtchPacket).to.have.callCount(6)
+        } finally {
+          clock.restore()
+        }
+      })
+
+      it('stops when aborted', async function () {
+        client.getEtchPacket.resolves(packetResult('sent'))
+        const controller = new AbortController()
+        const promise = client.waitForEtchPacket('packetEid', { interval: 1000, signal: controller.signal })
+        setTimeout(() => controller.abort(), 10)
+
+        await expect(promise).to.be.rejectedWith(Anvil.AnvilAbortError, 'Stopped waiting for Etch packet packetEid')
+        expect(client.getEtchPacket.firstCall.args[1].signal.aborted).to.eql(true)
+      })
+
+      it('rejects when the packet is voided', async function () {
+        client.getEtchPacket.resolves(packetResult('voided'))
+
+        await expect(client.waitForEtchPacket('packetEid')).to.be.rejectedWith(Anvil.AnvilError, 'Etch packet packetEid was voided')
+      })
+
+      it('downloads the documents', async function () {
+        client.getEtchPacket.resolves(packetResult('completed'))
+
+        const { packet, documents } = await client.waitForEtchPacket('packetEid', { download: true })
+
+        expect(packet.eid).to.eql('packetEid')
+        expect(documents.toString()).to.eql('zip')
+        expect(client.downloadDocuments).to.have.been.calledWith('docGroupEid', { throwOnError: true })
+      })
+    })
+
+    describe('workflows', function () {
+      beforeEach(function () {
+        sinon.stub(client, 'requestGraphQL')
+      })
+
+      afterEach(function () {
+        client.requestGraphQL.restore()
+      })
+
+      const methods = {
+        getWeld: { variables: { slug: 'onboarding', organizationSlug: 'acme' }, defaultField: 'forges {' },
+        forgeSubmit: { variables: { forgeEid: 'forge123', weldDataEid: 'wd123', payload: {} }, defaultField: 'weldData {' },
+        getWeldData: { variables: { eid: 'wd123' }, defaultField: 'submissions {' },
+        listWeldData: { variables: { weldEid: 'weld123', page: 2 }, defaultField: 'pageCount' },
+        getSubmission: { variables: { eid: 'sub123' }, defaultField: 'payloadValue' },
+      }
+
+      Object.entries(methods).forEach(([method, { variables, defaultField }]) => {
+        describe(method, function () {
+          it('calls requestGraphQL with the default responseQuery', function () {
+            client[method]({ variables })
+
+            expect(client.requestGraphQL).to.have.been.calledOnce
+            const [options, clientOptions] = client.requestGraphQL.lastCall.args
+            expect(options.variables).to.eql(variables)
+            expect(options.query).to.include(defaultField)
+            expect(clientOptions).to.eql({ dataType: 'json' })
+          })
+
+          it('calls requestGraphQL with an overridden responseQuery', function () {
+            const responseQuery = 'myCustomResponseQuery'
+            client[method]({ variables, responseQuery }, { retry: false })
+
+            const [options, clientOptions] = client.requestGraphQL.lastCall.args
+            expect(options.query).to.include(responseQuery)
+            expect(options.query).to.not.include(defaultField)
+            expect(clientOptions).to.eql({ retry: false, dataType: 'json' })
+          })
+        })
+      })
+
+      describe('listWelds', function () {
+        it('queries the organizations of the current user', function () {
+          client.listWelds()
+
+          const [options, clientOptions] = client.requestGraphQL.lastCall.args
+          expect(options.query).to.include('currentUser {')
+          expect(options.query).to.include('welds {')
+          expect(clientOptions).to.eql({ dataType: 'json' })
+        })
+      })
+
+      describe('forgeSubmit', function () {
+        it('calls requestGraphQL with an overridden mutation', function () {
+          const mutation = 'forgeSubmitOverride()'
+          client.forgeSubmit({ variables: {}, mutation })
+
+          expect(client.requestGraphQL.lastCall.args[0].query).to.eql(mutation)
+        })
+      })
+
+      describe('startWeld', function () {
+        it('submits to the first step without weld data', function () {
+          const variables = { forgeEid: 'forge123', payload: { name: 'Sally' }, isTest: true }
+          client.startWeld({ variables, responseQuery: '{ eid }' })
+
+          const [options] = client.requestGraphQL.lastCall.args
+          expect(options.query).to.include('forgeSubmit (')
+          expect(options.query).to.include('{ eid }')
+          expect(options.variables).to.eql(variables)
+        })
+
+        it('refuses to continue a submission', function () {
+          expect(() => client.startWeld({ variables: { forgeEid: 'forge123', weldDataEid: 'wd123' } }))
+            .to.throw('use forgeSubmit to continue one')
+        })
+      })
+
+      describe('downloadWeldDataDocuments', function () {
+        def('weldData', { eid: 'wd123', documentGroup: { eid: 'dg123', status: 'completed' } })
+
+        beforeEach(function () {
+          client.requestGraphQL.resolves({ statusCode: 200, data: { data: { weldData: $.weldData } } })
+          sinon.stub(client, 'downloadDocuments').resolves({ statusCode: 200, data: Buffer.from('zip') })
+        })
+
+        afterEach(function () {
+          client.downloadDocuments.restore()
+        })
+
+        it('downloads the document group of the weld data', async function () {
+          const { data } = await client.downloadWeldDataDocuments('wd123', { dataType: 'stream', retry: false })
+
+          const [options, clientOptions] = client.requestGraphQL.lastCall.args
+          expect(options.variables).to.eql({ eid: 'wd123' })
+          expect(clientOptions).to.eql({ retry: false, throwOnError: true, dataType: 'json' })
+          expect(client.downloadDocuments).to.have.been.calledWith('dg123', { dataType: 'stream', retry: false })
+          expect(data.toString()).to.eql('zip')
+        })
+
+        context('nothing has been filled yet', function () {
+          def('weldData', { eid: 'wd123', documentGroup: null })
+
+          it('rejects', async function () {
+            await expect(client.downloadWeldDataDocuments('wd123')).to.be.rejectedWith('Weld data wd123 has no documents yet')
+            expect(client.downloadDocuments).to.not.have.been.called
+          })
+        })
+
+        context('the weld data does not exist', function () {
+          def('weldData', null)
+
+          it('rejects', async function () {
+            await expect(client.downloadWeldDataDocuments('wd123')).to.be.rejectedWith('Weld data wd123 was not found')
+          })
+        })
+      })
+    })
+
+    describe('paginate', function () {
+      const numberedPage = (page, pageCount, items) => ({
+        statusCode: 200,
+        data: { data: { weld: { eid: 'weld123', weldDatas: { page, pageSize: 2, pageCount, items } } } },
+      })
+
+      async function collect (iterable) {
+        const items = []
+        for await (const item of iterable) items.push(item)
+        return items
+      }
+
+      beforeEach(function () {
+        sinon.stub(client, 'requestGraphQL')
+      })
+
+      afterEach(function () {
+        client.requestGraphQL.restore()
+      })
+
+      it('requests each numbered page in turn', async function () {
+        client.requestGraphQL
+          .onCall(0).resolves(numberedPage(1, 3, [{ eid: 'a' }, { eid: 'b' }]))
+          .onCall(1).resolves(numberedPage(2, 3, [{ eid: 'c' }, { eid: 'd' }]))
+          .onCall(2).resolves(numberedPage(3, 3, [{ eid: 'e' }]))
+
+        const items = await collect(client.paginate(Anvil.queries.weldDatas, { weldEid: 'weld123', pageSize: 2 }, {}, { retry: false }))
+
+        expect(items.map(({ eid }) => eid)).to.eql(['a', 'b', 'c', 'd', 'e'])
+        expect(client.requestGraphQL).to.have.been.calledThrice
+        const [options, clientOptions] = client.requestGraphQL.firstCall.args
+        expect(options.query).to.include('weldDatas (')
+        expect(options.variables).to.eql({ weldEid: 'weld123', pageSize: 2 })
+        expect(clientOptions).to.eql({ retry: false, dataType: 'json', throwOnError: true })
+        expect(client.requestGraphQL.secondCall.args[0].variables).to.eql({ weldEid: 'weld123', pageSize: 2, page: 2 })
+        expect(client.requestGraphQL.thirdCall.args[0].variables).to.eql({ weldEid: 'weld123', pageSize: 2, page: 3 })
+      })
+
+      it('stops at the limit without requesting more pages', async function () {
+        client.requestGraphQL
+          .onCall(0).resolves(numberedPage(1, 3, [{ eid: 'a' }, { eid: 'b' }]))
+          .onCall(1).resolves(numberedPage(2, 3, [{ eid: 'c' }, { eid: 'd' }]))
+
+        const items = await collect(client.paginate(Anvil.queries.weldDatas, { weldEid: 'weld123' }, { limit: 3 }))
+
+        expect(items.map(({ eid }) => eid)).to.eql(['a', 'b', 'c'])
+        expect(client.requestGraphQL).to.have.been.calledTwice
+
+        expect(await collect(client.paginate(Anvil.queries.weldDatas, {}, { limit: 0 }))).to.eql([])
+        expect(client.requestGraphQL).to.have.been.calledTwice
+      })
+
+      it('stops requesting pages on break', async function () {
+        client.requestGraphQL.resolves(numberedPage(1, 3, [{ eid: 'a' }, { eid: 'b' }]))
+
+        for await (const item of client.paginate(Anvil.queries.weldDatas, { weldEid: 'weld123' })) {
+          expect(item.eid).to.eql('a')
+          break
+        }
+        expect(client.requestGraphQL).to.have.been.calledOnce
+      })
+
+      it('follows a cursor in a query string', async function () {
+        const query = 'query Packets ($after: String) { etchPackets (after: $after) { nodes { eid } pageInfo { hasNextPage endCursor } } }'
+        const connection = (nodes, hasNextPage, endCursor) => ({
+          statusCode: 200,
+          data: { data: { etchPackets: { nodes, pageInfo: { hasNextPage, endCursor } } } },
+        })
+        client.requestGraphQL
+          .onCall(0).resolves(connection([{ eid: 'a' }], true, 'cursor1'))
+          .onCall(1).resolves(connection([{ eid: 'b' }], false, null))
+
+        const items = await collect(client.paginate(query))
+
+        expect(items.map(({ eid }) => eid)).to.eql(['a', 'b'])
+        expect(client.requestGraphQL.firstCall.args[0]).to.eql({ query, variables: {} })
+        expect(client.requestGraphQL.secondCall.args[0]).to.eql({ query, variables: { after: 'cursor1' } })
+      })
+
+      it('finds edges at a given path', async function () {
+        client.requestGraphQL.resolves({
+          statusCode: 200,
+          data: { data: { a: { page: 1, items: [] }, b: { edges: [{ node: { eid: 'a' } }], pageInfo: { hasNextPage: false } } } },
+        })
+
+        const items = await collect(client.paginate('query { a b }', {}, { path: 'b' }))
+
+        expect(items).to.eql([{ eid: 'a' }])
+      })
+
+      it('yields nothing when the list does not exist', async function () {
+        client.requestGraphQL.resolves({ statusCode: 200, data: { data: { weld: null } } })
+
+        expect(await collect(client.paginate(Anvil.queries.weldDatas, { weldEid: 'nope' }))).to.eql([])
+      })
+
+      it('rejects when the response has no page', async function () {
+        client.requestGraphQL.resolves({ statusCode: 200, data: { data: { weld: { eid: 'weld123' } } } })
+
+        await expect(collect(client.paginate('query { weld { eid } }'))).to.be.rejectedWith(
+          Anvil.AnvilError,
+          'The response has no page of items. Select page and items, or pageInfo and nodes.',
+        )
+
+        client.requestGraphQL.resolves({ statusCode: 200, data: { data: { weld: { eid: 'weld123', weldDatas: { items: [] } } } } })
+        await expect(collect(client.paginate(Anvil.queries.weldDatas, {}, { responseQuery: '{ items { eid } }' }))).to.be.rejectedWith(
+          'The response has no page of items at weld.weldDatas',
+        )
+      })
+
+      it('rejects a negative limit', async function () {
+        await expect(collect(client.paginate(Anvil.queries.weldDatas, {}, { limit: -1 }))).to.be.rejectedWith('limit must be 0 or more')
+      })
+    })
+  })
+
+  describe('middlewares', function () {
+    let server
+
+    def('client', () => new Anvil({ apiKey: 'abc123', baseURL: server.url, retry: { baseMS: 1 } }))
+
+    before(async function () {
+      server = await createMockServer()
+    })
+
+    afterEach(function () {
+      server.reset()
+    })
+
+    after(async function () {
+      await server.close()
+    })
+
+    it('runs around REST requests in order', async function () {
+      const calls = []
+      const client = $.client
+        .use(async (req, next) => {
+          calls.push(`first ${req.method} ${req.url}`)
+          const response = await next()
+          calls.push(`first ${response.status}`)
+          return response
+        })
+        .use(async (req, next) => {
+          calls.push(`second ${JSON.parse(req.body).data.name}`)
+          req.headers['X-Trace-ID'] = 'trace123'
+          return next(req)
+        })
+
+      const { statusCode } = await client.fillPDF('cast123', { data: { name: 'Sally' } })
+
+      expect(statusCode).to.eql(200)
+      expect(calls).to.eql([
+        `first POST ${server.url}/api/v1/fill/cast123.pdf`,
+        'second Sally',
+        'first 200',
+      ])
+      expect(server.requests[0].headers['x-trace-id']).to.eql('trace123')
+    })
+
+    it('sees GraphQL operations without their files', async function () {
+      let seen
+      $.client.use(async (req, next) => {
+        seen = { ...req }
+        req.body = 'ignored'
+        return next(req)
+      })
+
+      const file = Anvil.prepareGraphQLFile(Buffer.from('PDF'), { filename: 'upload.pdf' })
+      const { statusCode } = await $.client.createEtchPacket({ variables: { name: 'Packet', files: [{ id: 'upload', file }] } })
+
+      expect(statusCode).to.eql(200)
+      expect(seen.graphQL.query).to.include('createEtchPacket')
+      expect(seen.graphQL.variables).to.eql({ name: 'Packet', files: [{ id: 'upload', file: null }] })
+      expect(JSON.parse(seen.body)).to.eql(seen.graphQL)
+      expect(server.requests[0].graphQL.variables.files[0].file).to.include({ filename: 'upload.pdf', size: 3 })
+    })
+
+    it('runs for each retry', async function () {
+      server.injectFault({ path: '/api/v1/fill', status: 503 })
+      const statuses = []
+      $.client.use(async (req, next) => {
+        const response = await next()
+        statuses.push(response.status)
+        return response
+      })
+
+      await $.client.fillPDF('cast123', { data: {} })
+
+      expect(statuses).to.eql([503, 200])
+    })
+
+    it('can respond without sending the request', async function () {
+      $.client.use(async () => new Anvil.Response(JSON.stringify({ data: { etchPacket: { eid: 'cached' } } }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+      }))
+
+      const { data } = await $.client.getEtchPacket({ variables: { eid: 'cached' } })
+
+      expect(data.data.etchPacket.eid).to.eql('cached')
+      expect(server.requests).to.have.length(0)
+    })
+
+    it('requires a response', async function () {
+      $.client.use(async () => {})
+
+      await expect($.client.fillPDF('cast123', { data: {} })).to.be.rejectedWith('Middleware must return a response')
+    })
+
+    it('requires a function', function () {
+      expect(() => $.client.use({})).to.throw('middleware must be a function')
+    })
+  })
+
+  describe('abort listeners', function () {
+    let server
+
+    // Every listener added to a signal is removed again
+    const expectNoListenersLeft = () => {
+      const listeners = (spy) => spy.getCalls()
+        .filter(({ args }) => args[0] === 'abort')
+        .map(({ args }) => args[1])
+      expect(listeners(AbortSignal.prototype.removeEventListener))
+        .to.have.members(listeners(AbortSignal.prototype.addEventListener))
+    }
+
+    def('client', () => new Anvil({ apiKey: 'abc123', baseURL: server.url }))
+
+    before(async function () {
+      server = await createMockServer()
+    })
+
+    beforeEach(function () {
+      sinon.spy(AbortSignal.prototype, 'addEventListener')
+      sinon.spy(AbortSignal.prototype, 'removeEventListener')
+    })
+
+    afterEach(function () {
+      sinon.restore()
+      server.reset()
+    })
+
+    after(async function () {
+      await server.close()
+    })
+
+    it('removes them from the caller\'s signal once a stream ends', async function () {
+      const { signal } = new AbortController()
+
+      const { data } = await $.client.fillPDF('cast123', { data: {} }, { dataType: 'stream', signal })
+      expect(signal.addEventListener).to.have.been.calledOn(signal)
+      expect(signal.removeEventListener).not.to.have.been.calledOn(signal)
+
+      await new Promise((resolve) => data.on('end', resolve).resume())
+      await new Promise((resolve) => setImmediate(resolve))
+      expectNoListenersLeft()
+    })
+
+    it('removes them after an upload', async function () {
+      const { signal } = new AbortController()
+      const file = Anvil.prepareGraphQLFile(Buffer.from('PDF'), { filename: 'upload.pdf' })
+
+      await $.client.createEtchPacket({ variables: { name: 'Packet', files: [{ id: 'upload', file }] } }, { signal })
+
+      expectNoListenersLeft()
+    })
+  })
+
+  describe('logging', function () {
+    let server
+
+    def('logger', () => ({
+      debug: sinon.spy(),
+      info: sinon.spy(),
+      warn: sinon.spy(),
+      error: sinon.spy(),
+    }))
+    def('client', () => new Anvil({ apiKey: 'abc123', baseURL: server.url, logger: $.logger, retry: { baseMS: 1 } }))
+
+    before(async function () {
+      server = await createMockServer()
+    })
+
+    afterEach(function () {
+      server.reset()
+    })
+
+    after(async function () {
+      await server.close()
+    })
+
+    it('logs the start and end of requests', async function () {
+      await $.client.fillPDF('cast123', { data: { ssn: '123-45-6789' } })
+
+      const url = `${server.url}/api/v1/fill/cast123.pdf`
+      expect($.logger.debug).to.have.been.calledWith(sinon.match({ method: 'POST', url }), 'Request started')
+      expect($.logger.debug).to.have.been.calledWith(
+        sinon.match({ method: 'POST', url, status: 200, durationMS: sinon.match.number }),
+        'Request finished',
+      )
+    })
+
+    it('never logs the Authorization value or the payload', async function () {
+      await $.client.fillPDF('cast123', { data: { ssn: '123-45-6789' } })
+
+      const [meta] = $.logger.debug.getCalls().find((call) => call.args[1] === 'Request started').args
+      expect(meta.headers.Authorization).to.eql('[REDACTED]')
+      expect(meta.headers['User-Agent']).to.include('Anvil')
+
+      const logged = JSON.stringify($.logger.debug.args.concat($.logger.info.args))
+      expect(logged).to.not.include($.client.authHeader)
+      expect(logged).to.not.include('123-45-6789')
+    })
+
+    it('logs failed requests', async function () {
+      const client = new Anvil({ apiKey: 'abc123', baseURL: 'http://127.0.0.1:1', logger: $.logger, retry: false })
+
+      await expect(client.fillPDF('cast123', { data: {} })).to.be.rejected
+
+      expect($.logger.debug).to.have.been.calledWith(sinon.match({ code: 'ECONNREFUSED' }), 'Request failed')
+    })
+
+    it('logs retries', async function () {
+      server.injectFault({ path: '/api/v1/fill', status: 503 })
+
+      await $.client.fillPDF('cast123', { data: {} })
+
+      expect($.logger.info).to.have.been.calledWith(
+        sinon.match({ attempt: 2, statusCode: 503, method: 'POST', path: '/api/v1/fill/cast123.pdf' }),
+        'Retrying request',
+      )
+    })
+
+    it('logs waits on the rate limiter', async function () {
+      const client = new Anvil({
+        apiKey: 'abc123',
+        baseURL: server.url,
+        logger: $.logger,
+        rateLimit: { limit: 1, intervalMS: 20 },
+      })
+
+      await client.fillPDF('cast123', { data: {} })
+      await client.fillPDF('cast123', { data: {} })
+
+      expect($.logger.debug).to.have.been.calledWith(sinon.match({ waitMS: sinon.match.number }), 'Waited on the rate limiter')
+    })
+
+    it('warns through the logger', async function () {
+      sinon.stub($.client, '_request').callsFake(() => Promise.resolve(mockNodeFetchResponse({ status: 200, json: {} })))
+
+      await $.client.requestREST('/some-path', {})
+
+      expect($.logger.warn).to.have.been.calledWith(sinon.match.object, sinon.match(/default response dataType/))
+    })
+
+    it('fills in levels the logger lacks', async function () {
+      const client = new Anvil({ apiKey: 'abc123', baseURL: server.url, logger: { warn: sinon.spy() } })
+
+      const { statusCode } = await client.fillPDF('cast123', { data: {} })
+
+      expect(statusCode).to.eql(200)
+    })
+  })
+
+  describe('instrumentation', function () {
+    let server
+
+    function createTracer ({ active = true } = {}) {
+      const spans = []
+      const startSpan = (name, { attributes }) => {
+        const span = {
+          name,
+          attributes: { ...attributes },
+          ended: false,
+          setAttributes (attributes) { Object.assign(this.attributes, attributes) },
+          recordException (err) { this.exception = err },
+          setStatus (status) { this.status = status },
+          end () { this.ended = true },
+        }
+        spans.push(span)
+        return span
+      }
+      const tracer = active
+        ? { startActiveSpan: (name, options, fn) => fn(startSpan(name, options)) }
+        : { startSpan }
+      return { tracer, spans }
+    }
+
+    function createMeter () {
+      const recorded = {}
+      const instrument = (name) => {
+        recorded[name] = []
+        const record = (value, attributes) => recorded[name].push({ value, attributes })
+        return { add: record, record }
+      }
+      return {
+        meter: { createCounter: instrument, createHistogram: instrument },
+        recorded,
+      }
+    }
+
+    def('tracing', () => createTracer())
+    def('client', () => new Anvil({
+      apiKey: 'abc123',
+      baseURL: server.url,
+      tracer: $.tracing.tracer,
+      retry: { baseMS: 1 },
+    }))
+
+    before(async function () {
+      server = await createMockServer()
+    })
+
+    afterEach(function () {
+      server.reset()
+    })
+
+    after(async function () {
+      await server.close()
+    })
+
+    it('adds a span for each method', async function () {
+      await $.client.fillPDF('cast123', { data: { name: 'Sally' } })
+
+      expect($.tracing.spans).to.have.length(1)
+      const [span] = $.tracing.spans
+      expect(span.name).to.eql('anvil.fillPDF')
+      expect(span.ended).to.eql(true)
+      expect(span.status).to.be.undefined
+      expect(span.attributes).to.include({
+        'anvil.operation': 'fillPDF',
+        'anvil.template_id': 'cast123',
+        'http.status_code': 200,
+        'anvil.retry_count': 0,
+        'anvil.bytes_sent': JSON.stringify({ data: { name: 'Sally' } }).length,
+      })
+      expect(span.attributes['anvil.bytes_received']).to.be.above(0)
+      expect(span.attributes['anvil.throttle_wait_ms']).to.be.a('number')
+    })
+
+    it('counts retries', async function () {
+      server.injectFault({ path: '/api/v1/fill', status: 503 })
+
+      await $.client.fillPDF('cast123', { data: {} })
+
+      expect($.tracing.spans[0].attributes).to.include({ 'anvil.retry_count': 1, 'http.status_code': 200 })
+    })
+
+    it('does not add spans for the requests a method makes', async function () {
+      await $.client.createEtchPacket({ variables: { name: 'Packet' } })
+
+      expect($.tracing.spans.map(({ name }) => name)).to.eql(['anvil.createEtchPacket'])
+      expect($.tracing.spans[0].attributes['http.status_code']).to.eql(200)
+    })
+
+    it('adds spans for methods called by other methods', async function () {
+      await $.client.fillPDFBatch('cast123', [{ data: {} }, { data: {} }])
+
+      expect($.tracing.spans.map(({ name }) => name)).to.have.members([
+        'anvil.fillPDFBatch',
+        'anvil.fillPDF',
+        'anvil.fillPDF',
+      ])
+      const batchSpan = $.tracing.spans.find(({ name }) => name === 'anvil.fillPDFBatch')
+      const fillSpan = $.tracing.spans.find(({ name }) => name === 'anvil.fillPDF')
+      expect(batchSpan.attributes['anvil.bytes_received']).to.eql(fillSpan.attributes['anvil.bytes_received'] * 2)
+    })
+
+    it('names direct GraphQL operations', async function () {
+      await $.client.requestGraphQL({ query: 'query etchPacket ($eid: String!) { etchPacket (eid: $eid) { eid } }', variables: { eid: 'abc' } }, { dataType: 'json' })
+
+      expect($.tracing.spans[0].name).to.eql('anvil.requestGraphQL')
+      expect($.tracing.spans[0].attributes['anvil.graphql.operation']).to.eql('etchPacket')
+    })
+
+    it('marks spans of error responses', async function () {
+      server.injectFault({ path: '/api/v1/fill', status: 404 })
+
+      const { statusCode } = await $.client.fillPDF('cast123', { data: {} })
+
+      expect(statusCode).to.eql(404)
+      expect($.tracing.spans[0].status).to.eql({ code: 2, message: 'Anvil responded with 404' })
+    })
+
+    it('records errors', async function () {
+      server.injectFault({ path: '/api/v1/fill', status: 400 })
+
+      await expect($.client.fillPDF('cast123', { data: {} }, { throwOnError: true })).to.be.rejectedWith(Anvil.AnvilValidationError)
+
+      const [span] = $.tracing.spans
+      expect(span.exception).to.be.an.instanceof(Anvil.AnvilValidationError)
+      expect(span.status.code).to.eql(2)
+      expect(span.ended).to.eql(true)
+    })
+
+    it('still throws synchronously', function () {
+      expect(() => $.client.fillPDF('cast123', {}, { dataType: 'json' })).to.throw('dataType must be one of')
+      expect($.tracing.spans[0].ended).to.eql(true)
+    })
+
+    context('with a tracer without startActiveSpan', function () {
+      def('tracing', () => createTracer({ active: false }))
+
+      it('starts spans', async function () {
+        await $.client.generatePDF({ title: 'Hello', data: [] })
+
+        expect($.tracing.spans[0].name).to.eql('anvil.generatePDF')
+        expect($.tracing.spans[0].ended).to.eql(true)
+      })
+    })
+
+    it('records metrics', async function () {
+      const { meter, recorded } = createMeter()
+      const client = new Anvil({ apiKey: 'abc123', baseURL: server.url, meter, retry: { baseMS: 1 } })
+      server.injectFault({ path: '/api/v1/fill', status: 503 })
+
+      await client.fillPDF('cast123', { data: {} })
+
+      const attributes = { 'anvil.operation': 'fillPDF' }
+      expect(recorded['anvil.client.operations']).to.eql([
+        { value: 1, attributes: { ...attributes, 'anvil.error': false, 'http.status_code': 200 } },
+      ])
+      expect(recorded['anvil.client.operation.duration']).to.have.length(1)
+      expect(recorded['anvil.client.retries']).to.eql([
+        { value: 1, attributes: { ...attributes, 'http.status_code': 503 } },
+      ])
+      expect(recorded['anvil.client.throttle.wait']).to.have.length(2)
+      expect(recorded['anvil.client.bytes'].map(({ attributes }) => attributes['anvil.direction'])).to.include('received')
+    })
+  })
+
+  describe('progress', function () {
+    let server
+
+    def('client', () => new Anvil({ apiKey: 'abc123', baseURL: server.url }))
+    def('onProgress', () => sinon.spy())
+
+    before(async function () {
+      server = await createMockServer({ pdf: Buffer.alloc(200000, 'a') })
+    })
+
+    afterEach(function () {
+      server.reset()
+    })
+
+    after(async function () {
+      await server.close()
+    })
+
+    function lastProgress (spy) {
+      return spy.lastCall.args[0]
+    }
+
+    it('reports download progress', async function () {
+      const { data } = await $.client.fillPDF('cast123', { data: {} }, { onDownloadProgress: $.onProgress })
+
+      expect($.onProgress.callCount).to.be.above(1)
+      expect(lastProgress($.onProgress)).to.eql({ loaded: data.length, total: undefined })
+      const loaded = $.onProgress.args.map(([{ loaded }]) => loaded)
+      expect(loaded).to.eql([...loaded].sort((a, b) => a - b))
+    })
+
+    it('reports download progress of streams as they are read', async function () {
+      const { data: stream } = await $.client.fillPDF('cast123', { data: {} }, {
+        dataType: 'stream',
+        onDownloadProgress: $.onProgress,
+      })
+
+      const chunks = []
+      for await (const chunk of stream) chunks.push(chunk)
+
+      expect(Buffer.concat(chunks)).to.have.length(200000)
+      expect(lastProgress($.onProgress).loaded).to.eql(200000)
+    })
+
+    it('reports the total when it is known', async function () {
+      $.client.use(async () => new Anvil.Response(Readable.from([Buffer.from('abc'), Buffer.from('def')]), {
+        status: 200,
+        headers: { 'Content-Length': '6' },
+      }))
+
+      await $.client.fillPDF('cast123', { data: {} }, { onDownloadProgress: $.onProgress })
+
+      expect($.onProgress.args.map(([progress]) => progress)).to.eql([
+        { loaded: 3, total: 6 },
+        { loaded: 6, total: 6 },
+      ])
+    })
+
+    it('reports upload progress of files', async function () {
+      const file = Anvil.prepareGraphQLFile(path.join(assetsDir, 'dummy.pdf'))
+
+      await $.client.createEtchPacket({ variables: { files: [{ id: 'upload', file }] } }, {
+        onUploadProgress: $.onProgress,
+      })
+
+      const { total, loaded } = lastProgress($.onProgress)
+      expect(total).to.eql(server.requests[0].body.length)
+      expect(loaded).to.eql(total)
+    })
+
+    it('reports upload progress of streams of unknown length', async function () {
+      const file = Anvil.prepareGraphQLFile(Readable.from([Buffer.from('PDF')]), { filename: 'upload.pdf' })
+
+      await $.client.createEtchPacket({ variables: { files: [{ id: 'upload', file }] } }, {
+        onUploadProgress: $.onProgress,
+      })
+
+      const { total, loaded } = lastProgress($.onProgress)
+      expect(total).to.be.undefined
+      expect(loaded).to.be.above(0)
+    })
   })
 })
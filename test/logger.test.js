@@ -0,0 +1,90 @@
+const { PassThrough } = require('stream')
+
+const { createLogger, createDebugLogger, isDebugEnabled, redactHeaders } = require('../src/logger')
+
+describe('logger', function () {
+  describe('isDebugEnabled', function () {
+    it('matches DEBUG patterns like the debug package', function () {
+      expect(isDebugEnabled('anvil')).to.eql(true)
+      expect(isDebugEnabled('anvil*')).to.eql(true)
+      expect(isDebugEnabled('anvil:*')).to.eql(true)
+      expect(isDebugEnabled('express:*, anvil*')).to.eql(true)
+      expect(isDebugEnabled('*')).to.eql(true)
+      expect(isDebugEnabled('*,-anvil*')).to.eql(false)
+      expect(isDebugEnabled('express:*')).to.eql(false)
+      expect(isDebugEnabled('')).to.eql(false)
+      expect(isDebugEnabled(undefined)).to.eql(false)
+    })
+  })
+
+  describe('createLogger', function () {
+    afterEach(function () {
+      sinon.restore()
+    })
+
+    it('only warns to the console by default', function () {
+      const warn = sinon.stub(console, 'warn')
+      const logger = createLogger({ debug: false })
+
+      logger.debug({ a: 1 }, 'debugging')
+      logger.info({ a: 1 }, 'informing')
+      logger.warn({}, 'warning')
+
+      expect(warn).to.have.been.calledOnceWithExactly('warning')
+    })
+
+    it('logs nothing when false', function () {
+      const warn = sinon.stub(console, 'warn')
+
+      createLogger({ logger: false }).warn({}, 'warning')
+
+      expect(warn).to.not.have.been.called
+    })
+
+    it('calls the given logger with its own this', function () {
+      const logger = {
+        calls: [],
+        info (meta, message) { this.calls.push([meta, message]) },
+      }
+
+      const wrapped = createLogger({ logger })
+      wrapped.info({ a: 1 }, 'informing')
+      wrapped.debug({ a: 1 }, 'ignored')
+
+      expect(logger.calls).to.eql([[{ a: 1 }, 'informing']])
+    })
+  })
+
+  describe('createDebugLogger', function () {
+    it('writes every level as a line', function () {
+      const stream = new PassThrough()
+      const logger = createDebugLogger(stream)
+
+      logger.debug({ status: 200 }, 'Request finished')
+      logger.info({}, 'Retrying request')
+
+      expect(stream.read().toString()).to.eql(
+        'anvil:debug Request finished { status: 200 }\nanvil:info Retrying request\n',
+      )
+    })
+  })
+
+  describe('redactHeaders', function () {
+    it('hides secrets whatever their case', function () {
+      const headers = {
+        Authorization: 'Basic abc',
+        cookie: 'session=123',
+        'Proxy-Authorization': 'Basic def',
+        'User-Agent': 'Anvil',
+      }
+
+      expect(redactHeaders(headers)).to.eql({
+        Authorization: '[REDACTED]',
+        cookie: '[REDACTED]',
+        'Proxy-Authorization': '[REDACTED]',
+        'User-Agent': 'Anvil',
+      })
+      expect(headers.Authorization).to.eql('Basic abc')
+    })
+  })
+})
@@ -0,0 +1,254 @@
+const { AbortController } = require('abort-controller')
+const Anvil = require('../src/index')
+const { createMockServer } = require('../src/testing')
+const { normalizeFields, pdfTemplateToJSONSchema, validateFillData } = require('../src/pdfTemplates')
+
+const rect = { x: 10, y: 20, width: 100, height: 12 }
+const fields = [
+  { id: 'name', type: 'fullName', name: 'Name', pageNum: 0, rect, required: true },
+  { id: 'startDate', type: 'date', name: 'Start Date', pageNum: 0, rect, isRequired: true },
+  { id: 'salary', type: 'dollar', name: 'Salary', pageNum: 1, rect },
+  { id: 'agree', type: 'checkbox', pageNum: 1, rect },
+  { id: 'notes', type: 'longText', name: 'Notes', pageNum: 1, rect },
+]
+
+describe('pdfTemplates', function () {
+  describe('normalizeFields', function () {
+    it('reads the fieldInfo of a template', function () {
+      expect(normalizeFields({ fields })).to.eql([
+        { id: 'name', type: 'fullName', name: 'Name', page: 0, rect, required: true },
+        { id: 'startDate', type: 'date', name: 'Start Date', page: 0, rect, required: true },
+        { id: 'salary', type: 'dollar', name: 'Salary', page: 1, rect, required: false },
+        { id: 'agree', type: 'checkbox', name: undefined, page: 1, rect, required: false },
+        { id: 'notes', type: 'longText', name: 'Notes', page: 1, rect, required: false },
+      ])
+    })
+
+    it('parses fieldInfo JSON, and handles none', function () {
+      expect(normalizeFields(JSON.stringify({ fields: fields.slice(0, 1) }))).to.have.length(1)
+      expect(normalizeFields(null)).to.eql([])
+      expect(normalizeFields({})).to.eql([])
+    })
+  })
+
+  describe('pdfTemplateToJSONSchema', function () {
+    it('describes the data of a fill', function () {
+      const schema = Anvil.pdfTemplateToJSONSchema({ title: 'Offer Letter', fields: normalizeFields({ fields }) })
+
+      expect(schema).to.include({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'Offer Letter',
+        type: 'object',
+        additionalProperties: false,
+      })
+      expect(schema.required).to.eql(['name', 'startDate'])
+      expect(Object.keys(schema.properties)).to.eql(['name', 'startDate', 'salary', 'agree', 'notes'])
+      expect(schema.properties.startDate).to.include({ type: 'string', format: 'date', title: 'Start Date', 'x-anvil-type': 'date' })
+      expect(schema.properties.salary.type).to.eql(['number', 'string'])
+      expect(schema.properties.agree).to.include({ type: 'boolean', title: 'agree' })
+      expect(schema.properties.notes).to.include({ type: 'string', title: 'Notes' })
+      expect(schema.properties.name.anyOf).to.have.length(2)
+    })
+
+    it('leaves out required when nothing is', function () {
+      expect(pdfTemplateToJSONSchema({ fields: [] })).to.eql({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        properties: {},
+        additionalProperties: false,
+      })
+    })
+  })
+
+  describe('validateFillData', function () {
+    const typed = (type) => normalizeFields({ fields: [{ id: 'value', type, pageNum: 0, rect }] })
+
+    it('passes data that fits the fields', function () {
+      expect(validateFillData(normalizeFields({ fields }), {
+        name: { firstName: 'Sally', lastName: 'Jones' },
+        startDate: '2024-02-29',
+        salary: '$85,000.00',
+        agree: true,
+        notes: 'None',
+      })).to.eql([])
+    })
+
+    it('reports unknown and missing required fields', function () {
+      expect(validateFillData(normalizeFields({ fields }), { nmae: 'Sally', startDate: '' })).to.eql([
+        { field: 'nmae', message: 'Unknown field "nmae"' },
+        { field: 'name', message: 'Field "name" is required' },
+        { field: 'startDate', message: 'Field "startDate" is required' },
+      ])
+    })
+
+    const cases = [
+      ['date', ['2024-01-31'], ['01/31/2024', '2024-02-31', 20240131]],
+      ['phone', ['(555) 555-1234', '+1 555 555 1234', { num: '5555551234', region: 'US' }], ['call me', 5555551234, { region: 'US' }]],
+      ['dollar', [85000, '85000', '$85,000.50', '-12.5'], ['85k', '$', true]],
+      ['checkbox', [true, false], ['true', 1]],
+      ['signature', ['Sally Jones'], [true, {}]],
+      ['email', ['sally@example.com'], ['sally', 'sally@example']],
+      ['integer', [3, '3'], [3.5, '3.5']],
+    ]
+    cases.forEach(([type, valid, invalid]) => {
+      it(`checks ${type} values`, function () {
+        valid.forEach((value) => {
+          expect(validateFillData(typed(type), { value }), JSON.stringify(value)).to.eql([])
+        })
+        invalid.forEach((value) => {
+          expect(validateFillData(typed(type), { value }), JSON.stringify(value)).to.eql([
+            { field: 'value', message: `Field "value" is not a valid ${type}` },
+          ])
+        })
+      })
+    })
+
+    it('leaves other types and empty values to the server', function () {
+      expect(validateFillData(typed('shortText'), { value: 42 })).to.eql([])
+      expect(validateFillData(typed('date'), { value: null })).to.eql([])
+      expect(validateFillData(typed('date'), undefined)).to.eql([])
+      expect(validateFillData(typed('date'), ['2024-01-31'])).to.eql([
+        { message: 'data must be an object of field IDs to values' },
+      ])
+    })
+  })
+
+  describe('with a client', function () {
+    let server
+
+    def('client', () => new Anvil({ apiKey: 'abc123', baseURL: server.url }))
+
+    before(async function () {
+      server = await createMockServer()
+    })
+
+    afterEach(function () {
+      server.reset()
+    })
+
+    after(async function () {
+      await server.close()
+    })
+
+    it('gets a template and its fields', async function () {
+      server.addPDFTemplate({ eid: 'cast123', title: 'Offer Letter', fields })
+
+      const { statusCode, template, errors } = await $.client.getPDFTemplate('cast123')
+
+      expect(statusCode).to.eql(200)
+      expect(errors).to.be.undefined
+      expect(template).to.include({ eid: 'cast123', title: 'Offer Letter', isTemplate: true })
+      expect(template.fields).to.eql(normalizeFields({ fields }))
+      expect(server.requests[0].graphQL.variables).to.eql({ eid: 'cast123' })
+    })
+
+    it('resolves a null template when there is none', async function () {
+      const { statusCode, template, errors } = await $.client.getPDFTemplate('nope')
+
+      expect(statusCode).to.eql(200)
+      expect(template).to.be.null
+      expect(errors).to.eql([{ message: 'Not found' }])
+    })
+
+    it('lists templates a page at a time', async function () {
+      ['One', 'Two', 'Three'].forEach((title) => server.addPDFTemplate({ title, fields }))
+
+      const { templates, pagination } = await $.client.listPDFTemplates({ page: 2, pageSize: 2 })
+
+      expect(templates.map(({ title }) => title)).to.eql(['Three'])
+      expect(templates[0].fields).to.have.length(fields.length)
+      expect(pagination).to.eql({ page: 2, pageSize: 2, pageCount: 2, rowCount: 3 })
+      expect(server.requests[0].graphQL.variables).to.eql({ page: 2, pageSize: 2 })
+    })
+
+    it('lists the templates of the organization asked for', async function () {
+      const query = Anvil.queries.casts.generateQuery()
+
+      const { data } = await $.client.requestGraphQL({ query, variables: { organizationSlug: 'acme' } }, { dataType: 'json' })
+      const { data: defaultData } = await $.client.requestGraphQL({ query, variables: {} }, { dataType: 'json' })
+
+      expect(data.data.organization.slug).to.eql('acme')
+      expect(defaultData.data.organization.slug).to.eql('mock-organization')
+    })
+
+    it('pages through every template, through the rate limiter', async function () {
+      ['One', 'Two', 'Three', 'Four', 'Five'].forEach((title) => server.addPDFTemplate({ title, fields }))
+      sinon.spy($.client.rateLimiter, 'acquire')
+
+      const titles = []
+      for await (const { title } of $.client.paginate(Anvil.queries.casts, { pageSize: 2 })) {
+        titles.push(title)
+      }
+
+      expect(titles).to.eql(['One', 'Two', 'Three', 'Four', 'Five'])
+      expect(server.requests.map(({ graphQL }) => graphQL.variables.page)).to.eql([undefined, 2, 3])
+      expect($.client.rateLimiter.acquire).to.have.been.calledThrice
+    })
+
+    describe('validating fills', function () {
+      beforeEach(function () {
+        server.addPDFTemplate({ eid: 'cast123', title: 'Offer Letter', fields })
+      })
+
+      it('reports the problems with a payload', async function () {
+        const errors = await $.client.validateFillPayload('cast123', { data: { nmae: 'Sally', startDate: 'tomorrow' } })
+
+        expect(errors).to.eql([
+          { field: 'nmae', message: 'Unknown field "nmae"' },
+          { field: 'startDate', message: 'Field "startDate" is not a valid date' },
+          { field: 'name', message: 'Field "name" is required' },
+        ])
+      })
+
+      it('refuses to fill with an invalid payload', async function () {
+        const error = await $.client.fillPDF('cast123', { data: { name: 'Sally' } }, { validate: true })
+          .then(() => null, (err) => err)
+
+        expect(error).to.be.an.instanceOf(Anvil.AnvilValidationError)
+        expect(error.message).to.eql('Invalid fillPDF payload: Field "startDate" is required')
+        expect(error.errors).to.eql([{ field: 'startDate', message: 'Field "startDate" is required' }])
+        expect(server.requests.map(({ path }) => path)).to.eql(['/graphql'])
+      })
+
+      it('fills with a valid payload, loading the template once', async function () {
+        const payload = { data: { name: 'Sally', startDate: '2024-01-31' } }
+
+        const results = await Promise.all([
+          $.client.fillPDF('cast123', payload, { validate: true }),
+          $.client.fillPDF('cast123', payload, { validate: true }),
+        ])
+        await $.client.fillPDF('cast123', payload, { validate: true })
+
+        results.forEach(({ statusCode }) => expect(statusCode).to.eql(200))
+        expect(server.requests.filter(({ path }) => path === '/graphql')).to.have.length(1)
+        expect(server.requests.filter(({ path }) => path === '/api/v1/fill/cast123.pdf')).to.have.length(3)
+      })
+
+      it('lets a fill stop waiting for the template without stopping the others', async function () {
+        server.injectFault({ operation: 'cast', delay: 50 })
+        const payload = { data: { name: 'Sally', startDate: '2024-01-31' } }
+        const controller = new AbortController()
+
+        const aborted = $.client.fillPDF('cast123', payload, { validate: true, signal: controller.signal })
+        const filled = $.client.fillPDF('cast123', payload, { validate: true })
+        controller.abort()
+
+        await expect(aborted).to.be.rejectedWith(Anvil.AnvilAbortError, 'Stopped loading PDF template cast123')
+        const { statusCode } = await filled
+        expect(statusCode).to.eql(200)
+        expect(server.requests.map(({ path }) => path)).to.eql(['/graphql', '/api/v1/fill/cast123.pdf'])
+
+        // Still cached for the next fill
+        await $.client.fillPDF('cast123', payload, { validate: true, signal: new AbortController().signal })
+        expect(server.requests.filter(({ path }) => path === '/graphql')).to.have.length(1)
+      })
+
+      it('rejects when the template cannot be loaded, and tries again next time', async function () {
+        await expect($.client.validateFillPayload('nope', { data: {} })).to.be.rejectedWith(Anvil.AnvilGraphQLError, 'Not found')
+
+        server.addPDFTemplate({ eid: 'nope', fields })
+        await expect($.client.validateFillPayload('nope', { data: {} })).to.eventually.have.length(2)
+      })
+    })
+  })
+})
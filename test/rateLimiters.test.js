@@ -0,0 +1,286 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { AbortController } = require('abort-controller')
+
+const Anvil = require('../src/index')
+const { createMockServer } = require('../src/testing')
+
+const {
+  RateLimiter,
+  MemoryRateLimiter,
+  FileRateLimiter,
+  StoreRateLimiter,
+  MemoryStore,
+  createRateLimiter,
+} = Anvil.rateLimiters
+
+describe('rateLimiters', function () {
+  describe('MemoryRateLimiter', function () {
+    let clock
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers()
+    })
+
+    afterEach(function () {
+      clock.restore()
+    })
+
+    def('limiter', () => new MemoryRateLimiter({ limit: 2, intervalMS: 1000 }))
+
+    it('waits for a slot in the window', async function () {
+      await $.limiter.acquire()
+      await clock.tickAsync(400)
+      await $.limiter.acquire()
+
+      const acquired = sinon.spy()
+      $.limiter.acquire().then(acquired)
+      await clock.tickAsync(600)
+      expect(acquired).not.to.have.been.called
+      await clock.tickAsync(50)
+      expect(acquired).to.have.been.calledOnce
+    })
+
+    it('gives back released slots', async function () {
+      await $.limiter.acquire()
+      const token = await $.limiter.acquire()
+      await $.limiter.release(token)
+
+      const acquired = sinon.spy()
+      await $.limiter.acquire().then(acquired)
+      expect(acquired).to.have.been.calledOnce
+    })
+
+    it('stops waiting when aborted', async function () {
+      await $.limiter.acquire()
+      await $.limiter.acquire()
+      const controller = new AbortController()
+
+      const promise = $.limiter.acquire({ signal: controller.signal })
+      controller.abort()
+
+      await expect(promise).to.be.rejectedWith('The operation was aborted.')
+      expect($.limiter.sentAt).to.have.length(2)
+    })
+
+    it('blocks on retry-after and when nothing remains', async function () {
+      await $.limiter.update({ retryAfterMS: 300 })
+      expect($.limiter.blockedUntil).to.eql(300)
+
+      await $.limiter.update({ remaining: 0, resetMS: 500 })
+      expect($.limiter.blockedUntil).to.eql(500)
+
+      const acquired = sinon.spy()
+      $.limiter.acquire().then(acquired)
+      await clock.tickAsync(499)
+      expect(acquired).not.to.have.been.called
+      await clock.tickAsync(1)
+      expect(acquired).to.have.been.calledOnce
+    })
+
+    it('adopts the server limit unless adaptive is false', async function () {
+      await $.limiter.update({ limit: 10 })
+      expect($.limiter.limit).to.eql(10)
+
+      const fixed = new MemoryRateLimiter({ limit: 2, adaptive: false })
+      await fixed.update({ limit: 10 })
+      expect(fixed.limit).to.eql(2)
+    })
+  })
+
+  describe('FileRateLimiter', function () {
+    let tmpDir
+
+    def('options', () => ({ path: path.join(tmpDir, 'limit.json'), limit: 2, intervalMS: 60000 }))
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anvil-limit-'))
+    })
+
+    afterEach(function () {
+      fs.rmdirSync(tmpDir, { recursive: true })
+    })
+
+    it('shares the limit between instances', async function () {
+      const one = new FileRateLimiter($.options)
+      const two = new FileRateLimiter($.options)
+
+      await Promise.all([one.take(), two.take()])
+      const { token, waitMS } = await one.take()
+
+      expect(token).to.be.undefined
+      expect(waitMS).to.be.within(59000, 60000)
+      expect(fs.existsSync(`${$.options.path}.lock`)).to.eql(false)
+    })
+
+    it('gives back released slots', async function () {
+      const one = new FileRateLimiter($.options)
+      const two = new FileRateLimiter($.options)
+
+      await one.take()
+      const { token } = await two.take()
+      await two.release(token)
+
+      expect((await one.take()).token).to.be.a('string')
+    })
+
+    it('shares blocks', async function () {
+      const one = new FileRateLimiter($.options)
+      const two = new FileRateLimiter($.options)
+      const until = Date.now() + 1000
+
+      await one.block(until)
+
+      expect(await two.getBlockedUntil()).to.eql(until)
+    })
+
+    it('takes over a stale lock', async function () {
+      const lockPath = `${$.options.path}.lock`
+      fs.writeFileSync(lockPath, '')
+      const stale = new Date(Date.now() - 10000)
+      fs.utimesSync(lockPath, stale, stale)
+
+      const { token } = await new FileRateLimiter($.options).take()
+      expect(token).to.be.a('string')
+    })
+
+    it('leaves a lock that was taken over while it was held', async function () {
+      const lockPath = `${$.options.path}.lock`
+
+      await new FileRateLimiter($.options)._withState(() => {
+        fs.writeFileSync(lockPath, 'other')
+      })
+
+      expect(fs.readFileSync(lockPath, 'utf8')).to.eql('other')
+    })
+  })
+
+  describe('StoreRateLimiter', function () {
+    def('store', () => new MemoryStore())
+    def('options', () => ({ store: $.store, limit: 2, intervalMS: 60000 }))
+
+    it('shares the limit through the store', async function () {
+      const one = new StoreRateLimiter($.options)
+      const two = new StoreRateLimiter($.options)
+
+      await one.take()
+      const { token } = await two.take()
+      expect(token.key).to.eql('anvil:rate-limit')
+
+      const { waitMS } = await one.take()
+      expect(waitMS).to.be.within(59000, 60000)
+      expect((await one.take()).waitMS).to.be.within(59000, 60000)
+      expect($.store.windows.get('anvil:rate-limit').count).to.eql(2)
+
+      await two.release(token)
+      expect((await one.take()).token.key).to.eql('anvil:rate-limit')
+    })
+
+    it('only gives back slots of the current window', async function () {
+      const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] })
+      const limiter = new StoreRateLimiter($.options)
+
+      const { token } = await limiter.take()
+      clock.tick(60000)
+      await limiter.take()
+      await limiter.release(token)
+
+      expect($.store.windows.get('anvil:rate-limit').count).to.eql(1)
+      clock.restore()
+    })
+
+    it('shares blocks through the store', async function () {
+      const until = Date.now() + 1000
+      await new StoreRateLimiter($.options).update({ retryAfterMS: 1000 })
+
+      expect(await new StoreRateLimiter($.options).getBlockedUntil()).to.be.at.least(until)
+    })
+
+    it('requires a store', function () {
+      expect(() => new StoreRateLimiter({ store: {} })).to.throw('store must implement increment and decrement')
+    })
+  })
+
+  describe('createRateLimiter', function () {
+    it('creates a MemoryRateLimiter from options', function () {
+      const limiter = createRateLimiter({ limit: 5 })
+      expect(limiter).to.be.an.instanceof(MemoryRateLimiter)
+      expect(limiter).to.include({ limit: 5, intervalMS: 5000 })
+    })
+
+    it('passes limiters through, and disables with false', function () {
+      const limiter = new StoreRateLimiter({ store: new MemoryStore() })
+      expect(createRateLimiter(limiter)).to.equal(limiter)
+      expect(createRateLimiter(false)).to.be.null
+    })
+
+    it('requires take and give from subclasses', async function () {
+      await expect(new RateLimiter().take()).to.be.rejectedWith('RateLimiter must implement take()')
+    })
+  })
+
+  describe('the client', function () {
+    let server
+
+    before(async function () {
+      server = await createMockServer()
+    })
+
+    after(async function () {
+      await server.close()
+    })
+
+    it('learns from the rate limit headers', async function () {
+      const rateLimiter = new MemoryRateLimiter()
+      const client = new Anvil({ apiKey: 'abc123', baseURL: server.url, rateLimit: rateLimiter })
+      server.injectFault({
+        status: 429,
+        headers: { 'retry-after': '0.1', 'x-ratelimit-limit': '20', 'x-ratelimit-remaining': '0' },
+      })
+
+      const start = Date.now()
+      const { statusCode } = await client.fillPDF('cast123', { data: {} })
+
+      expect(statusCode).to.eql(200)
+      expect(rateLimiter.limit).to.eql(20)
+      expect(rateLimiter.blockedUntil).to.be.within(start + 100, start + 300)
+    })
+
+    it('gives back the slot when the OAuth token cannot be had', async function () {
+      const rateLimiter = new MemoryRateLimiter({ limit: 1, intervalMS: 60000 })
+      const client = new Anvil({ apiKey: 'abc123', baseURL: server.url, rateLimit: rateLimiter })
+      client.oauth = { getAccessToken: sinon.stub().rejects(new Error('Token endpoint down')) }
+
+      await expect(client.fillPDF('cast123', { data: {} })).to.be.rejectedWith('Token endpoint down')
+      expect(rateLimiter.sentAt).to.have.length(0)
+    })
+
+    it('gives back the slot when aborted before sending', async function () {
+      const controller = new AbortController()
+      const rateLimiter = {
+        acquire: sinon.spy(async () => {
+          controller.abort()
+          return 'token'
+        }),
+        release: sinon.spy(),
+        update: sinon.spy(),
+      }
+      const client = new Anvil({ apiKey: 'abc123', baseURL: server.url, rateLimit: rateLimiter })
+      server.reset()
+
+      await expect(client.fillPDF('cast123', { data: {} }, { signal: controller.signal }))
+        .to.be.rejectedWith(Anvil.AnvilAbortError)
+      expect(rateLimiter.release).to.have.been.calledOnceWith('token')
+      expect(server.requests).to.have.length(0)
+    })
+
+    it('can be turned off', async function () {
+      const client = new Anvil({ apiKey: 'abc123', baseURL: server.url, rateLimit: false })
+
+      expect(client.rateLimiter).to.be.null
+      expect((await client.fillPDF('cast123', { data: {} })).statusCode).to.eql(200)
+    })
+  })
+})
@@ -0,0 +1,240 @@
+const { Readable } = require('stream')
+
+const Anvil = require('../src/index')
+const { createMockServer } = require('../src/testing')
+const { readZipEntries } = require('../src/zip')
+
+describe('MockAnvilServer', function () {
+  let server
+
+  def('clientOptions', () => ({}))
+  def('client', () => new Anvil({
+    apiKey: 'abc123',
+    baseURL: server.url,
+    retry: { baseMS: 1, jitter: false },
+    ...$.clientOptions,
+  }))
+
+  before(async function () {
+    server = await createMockServer({ apiKey: 'abc123' })
+  })
+
+  afterEach(function () {
+    server.reset()
+  })
+
+  after(async function () {
+    await server.close()
+  })
+
+  describe('REST', function () {
+    it('fills a PDF', async function () {
+      const { statusCode, data } = await $.client.fillPDF('cast123', { data: { name: 'Sally' } })
+
+      expect(statusCode).to.eql(200)
+      expect(data.toString('utf8')).to.match(/^%PDF-/)
+      expect(server.requests[0]).to.include({ method: 'POST', path: '/api/v1/fill/cast123.pdf' })
+      expect(server.requests[0].json).to.eql({ data: { name: 'Sally' } })
+    })
+
+    it('generates a PDF', async function () {
+      const { statusCode, data } = await $.client.generatePDF({ data: [{ label: 'Name', content: 'Sally' }] })
+
+      expect(statusCode).to.eql(200)
+      expect(data.toString('utf8')).to.match(/^%PDF-/)
+    })
+
+    it('validates the payload', async function () {
+      const { statusCode, errors } = await $.client.generatePDF({ data: {} })
+
+      expect(statusCode).to.eql(400)
+      expect(errors).to.eql([{ message: 'data must be an array', name: 'ValidationError' }])
+    })
+
+    context('with the wrong API key', function () {
+      def('clientOptions', () => ({ apiKey: 'wrong', throwOnError: true }))
+
+      it('rejects with an AnvilAuthError', async function () {
+        await expect($.client.fillPDF('cast123', { data: {} })).to.be.rejectedWith(Anvil.AnvilAuthError)
+      })
+    })
+  })
+
+  describe('Etch', function () {
+    const variables = {
+      name: 'Packet',
+      files: [{ id: 'nda', castEid: 'cast123' }],
+      signers: [
+        { id: 'one', name: 'One', email: 'one@example.com', signerType: 'embedded', fields: [] },
+        { id: 'two', name: 'Two', email: 'two@example.com', fields: [] },
+      ],
+    }
+
+    it('creates, signs and downloads a packet', async function () {
+      const created = await $.client.createEtchPacket({ variables })
+      const packet = created.data.data.createEtchPacket
+      const [signerOne, signerTwo] = packet.documentGroup.signers
+
+      expect(packet.documentGroup.status).to.eql('sent')
+      expect(signerOne).to.include({ aliasId: 'one', signActionType: 'embedded' })
+
+      const { url } = await $.client.generateEtchSignUrl({ variables: { signerEid: signerOne.eid, clientUserId: 'user1' } })
+      expect(url).to.eql(`${server.url}/sign/${signerOne.eid}?clientUserId=user1`)
+
+      server.completeSigner(signerOne.eid)
+      let fetched = await $.client.getEtchPacket({ variables: { eid: packet.eid } })
+      expect(fetched.data.data.etchPacket.documentGroup.status).to.eql('partial')
+
+      server.completeSigner(signerTwo.eid)
+      fetched = await $.client.getEtchPacket({ variables: { eid: packet.eid } })
+      expect(fetched.data.data.etchPacket.documentGroup.status).to.eql('completed')
+
+      const { data } = await $.client.downloadDocuments(packet.documentGroup.eid)
+      const filenames = []
+      for await (const { filename, stream } of readZipEntries(data)) {
+        filenames.push(filename)
+        stream.resume()
+      }
+      expect(filenames).to.eql(['nda.pdf'])
+    })
+
+    it('receives uploaded files', async function () {
+      const file = Anvil.prepareGraphQLFile(Buffer.from('PDF'), { filename: 'upload.pdf' })
+      await $.client.createEtchPacket({
+        variables: { ...variables, files: [{ id: 'upload', title: 'Upload', file }] },
+      })
+
+      const { graphQL } = server.requests[0]
+      expect(graphQL.operation).to.eql('createEtchPacket')
+      expect(graphQL.variables.files[0].file).to.include({ filename: 'upload.pdf', size: 3 })
+    })
+
+    it('updates and sends a draft packet', async function () {
+      const created = await $.client.createEtchPacket({ variables: { ...variables, isDraft: true } })
+      const { eid } = created.data.data.createEtchPacket
+      expect(created.data.data.createEtchPacket.documentGroup).to.be.null
+
+      const updated = await $.client.updateEtchPacket({
+        variables: { eid, name: 'Renamed', signers: [variables.signers[1]] },
+      })
+      expect(updated.data.data.updateEtchPacket.name).to.eql('Renamed')
+
+      const sent = await $.client.sendEtchPacket({ variables: { eid } })
+      const { documentGroup } = sent.data.data.sendEtchPacket
+      expect(documentGroup.status).to.eql('sent')
+      expect(documentGroup.signers.map(({ aliasId }) => aliasId)).to.eql(['two'])
+
+      const { data } = await $.client.sendEtchPacket({ variables: { eid } })
+      expect(data.errors).to.eql([{ message: 'Packet has already been sent' }])
+    })
+
+    it('resends and corrects signer emails', async function () {
+      const created = await $.client.createEtchPacket({ variables })
+      const [signer] = created.data.data.createEtchPacket.documentGroup.signers
+
+      const notified = await $.client.notifySigner({ variables: { signerEid: signer.eid } })
+      expect(notified.data.data.notifySigner).to.eql(true)
+
+      const updated = await $.client.updateEtchSigner({
+        variables: { eid: signer.eid, email: 'one@example.org', notify: true },
+      })
+      expect(updated.data.data.updateEtchSigner).to.include({ eid: signer.eid, email: 'one@example.org' })
+    })
+
+    it('voids and removes a packet', async function () {
+      const created = await $.client.createEtchPacket({ variables })
+      const { eid, documentGroup } = created.data.data.createEtchPacket
+
+      let removed = await $.client.removeEtchPacket({ variables: { eid } })
+      expect(removed.data.errors).to.eql([{ message: 'Only draft and voided packets can be removed' }])
+
+      const voided = await $.client.voidDocumentGroup({ variables: { eid: documentGroup.eid } })
+      expect(voided.data.data.voidDocumentGroup.status).to.eql('voided')
+      await expect($.client.waitForEtchPacket(eid, { interval: 1 })).to.be.rejectedWith(`Etch packet ${eid} was voided`)
+
+      removed = await $.client.removeEtchPacket({ variables: { eid } })
+      expect(removed.data.data.removeEtchPacket).to.eql(true)
+      expect(server.etchPackets.has(eid)).to.eql(false)
+    })
+
+    it('returns GraphQL errors for unknown packets', async function () {
+      const { statusCode, data } = await $.client.getEtchPacket({ variables: { eid: 'nope' } })
+
+      expect(statusCode).to.eql(200)
+      expect(data.errors).to.eql([{ message: 'Not found' }])
+    })
+  })
+
+  describe('injectFault', function () {
+    it('retries after a 429', async function () {
+      server.injectFault({ path: '/api/v1/fill', status: 429, headers: { 'retry-after': '0' } })
+
+      const { statusCode } = await $.client.fillPDF('cast123', { data: {} })
+
+      expect(statusCode).to.eql(200)
+      expect(server.requests).to.have.length(2)
+    })
+
+    it('does not resend an upload after a 429', async function () {
+      server.injectFault({ operation: 'createEtchPacket', status: 429, headers: { 'retry-after': '0' } })
+      const file = Anvil.prepareGraphQLFile(Readable.from([Buffer.from('PDF')]), { filename: 'upload.pdf' })
+
+      await expect($.client.createEtchPacket(
+        { variables: { name: 'Packet', files: [{ id: 'upload', title: 'Upload', file }] } },
+        { throwOnError: true },
+      )).to.be.rejectedWith(Anvil.AnvilRateLimitError)
+      expect(server.requests).to.have.length(1)
+    })
+
+    it('retries 429s within a batch', async function () {
+      server.injectFault({ path: '/api/v1/fill', status: 429, headers: { 'retry-after': '0' }, times: 2 })
+
+      const payloads = Array.from({ length: 4 }, () => ({ data: {} }))
+      const { succeeded, failed } = await $.client.fillPDFBatch('cast123', payloads, { concurrency: 2 })
+
+      expect({ succeeded, failed }).to.eql({ succeeded: 4, failed: 0 })
+      expect(server.requests).to.have.length(6)
+    })
+
+    it('retries idempotent requests after a 503', async function () {
+      server.injectFault({ operation: 'etchPacket', status: 503, times: 2 })
+      const onRetry = sinon.spy()
+      const created = await $.client.createEtchPacket({ variables: { name: 'Packet' } })
+      const { eid } = created.data.data.createEtchPacket
+
+      const { statusCode } = await $.client.getEtchPacket({ variables: { eid } }, { retry: { onRetry } })
+
+      expect(statusCode).to.eql(200)
+      expect(onRetry).to.have.been.calledTwice
+      expect(onRetry.firstCall.args[0]).to.include({ attempt: 2, statusCode: 503 })
+    })
+
+    it('does not retry mutations after a 503', async function () {
+      server.injectFault({ operation: 'createEtchPacket', status: 503 })
+
+      const { statusCode } = await $.client.createEtchPacket({ variables: { name: 'Packet' } })
+
+      expect(statusCode).to.eql(503)
+      expect(server.etchPackets.size).to.eql(0)
+    })
+
+    it('retries after a connection reset', async function () {
+      server.injectFault({ path: '/api/v1/generate-pdf', reset: true })
+
+      const { statusCode } = await $.client.generatePDF({ data: [] })
+
+      expect(statusCode).to.eql(200)
+      expect(server.requests).to.have.length(2)
+    })
+
+    context('with a delay', function () {
+      def('clientOptions', () => ({ timeout: 50, retry: false }))
+
+      it('times out', async function () {
+        server.injectFault({ path: '/api/v1/fill', delay: 200 })
+
+        await expect($.client.fillPDF('cast123', { data: {} })).to.be.rejectedWith(Anvil.AnvilTimeoutError)
+      })
+    })
+  })
+})
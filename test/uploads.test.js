@@ -0,0 +1,330 @@
+const fs = require('fs')
+const http = require('http')
+const https = require('https')
+const path = require('path')
+const { Readable } = require('stream')
+const { pathToFileURL, URL } = require('url')
+
+const Anvil = require('../src/index')
+const { createMockServer } = require('../src/testing')
+const UploadWithOptions = require('../src/UploadWithOptions')
+const { fetchStream, getMimetype } = require('../src/uploads')
+const { createAgent } = require('../src/agents')
+const { isFile, graphQLUploadSchemaIsValid } = require('../src/validation')
+
+const assetsDir = path.join(__dirname, 'assets')
+const pdfPath = path.join(assetsDir, 'dummy.pdf')
+
+function readAll (stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)))
+    stream.on('error', reject)
+    stream.on('end', () => resolve(Buffer.concat(chunks)))
+  })
+}
+
+// Node 16 has web streams under stream/web, Node 18 also as a global, and Node 14 not at all
+const { ReadableStream } = (() => {
+  try {
+    return require('stream/web')
+  } catch (err) {
+    return { ReadableStream: global.ReadableStream }
+  }
+})()
+
+// Skips a test that needs web streams when Node has none
+function itWithWebStreams (title, fn) {
+  return (ReadableStream ? it : it.skip)(title, fn)
+}
+
+function webStreamOf (buffer) {
+  return new ReadableStream({
+    start (controller) {
+      controller.enqueue(new Uint8Array(buffer))
+      controller.close()
+    },
+  })
+}
+
+describe('uploads', function () {
+  const pdf = fs.readFileSync(pdfPath)
+
+  describe('getMimetype', function () {
+    it('reads the extension, then the contents', function () {
+      expect(getMimetype({ filename: 'Scan.JPG' })).to.eql('image/jpeg')
+      expect(getMimetype({ filename: 'nda.docx', bytes: Buffer.from('PK\x03\x04') }))
+        .to.eql('application/vnd.openxmlformats-officedocument.wordprocessingml.document')
+      expect(getMimetype({ bytes: pdf })).to.eql('application/pdf')
+      expect(getMimetype({ bytes: Buffer.from('89504e470d0a1a0a', 'hex') })).to.eql('image/png')
+      expect(getMimetype({ filename: 'notes', bytes: Buffer.from('notes') })).to.be.undefined
+      expect(getMimetype()).to.be.undefined
+    })
+  })
+
+  describe('prepareGraphQLFile', function () {
+    it('opens paths and file URLs', function () {
+      [pdfPath, pathToFileURL(pdfPath), pathToFileURL(pdfPath).href].forEach((input) => {
+        const upload = Anvil.prepareGraphQLFile(input)
+        expect(upload).to.be.an.instanceof(UploadWithOptions)
+        expect(upload.file).to.be.an.instanceof(fs.ReadStream)
+        expect(upload.file.path).to.eql(pdfPath)
+        expect(upload.options).to.eql({ filename: 'dummy.pdf', contentType: 'application/pdf' })
+        upload.file.destroy()
+      })
+    })
+
+    it('names buffers and binary data from their contents', function () {
+      const bytes = new Uint8Array(pdf)
+      ;[pdf, bytes, bytes.buffer, new DataView(bytes.buffer)].forEach((input) => {
+        const upload = Anvil.prepareGraphQLFile(input)
+        expect(Buffer.isBuffer(upload.file)).to.eql(true)
+        expect(upload.file.equals(pdf)).to.eql(true)
+        expect(upload.options).to.eql({ filename: 'upload.pdf', contentType: 'application/pdf' })
+      })
+
+      expect(Anvil.prepareGraphQLFile(Buffer.from('notes')).options).to.eql({ filename: 'upload' })
+    })
+
+    it('prefers the given options', function () {
+      const upload = Anvil.prepareGraphQLFile(pdf, { filename: 'nda.bin', knownLength: pdf.length })
+      expect(upload.options).to.eql({ filename: 'nda.bin', contentType: 'application/pdf', knownLength: pdf.length })
+
+      const typed = Anvil.prepareGraphQLFile(pdfPath, { contentType: 'application/x-pdf' })
+      expect(typed.options).to.eql({ filename: 'dummy.pdf', contentType: 'application/x-pdf' })
+      typed.file.destroy()
+    })
+
+    it('decodes data URLs', function () {
+      const upload = Anvil.prepareGraphQLFile(`data:application/pdf;base64,${pdf.toString('base64')}`)
+      expect(upload.file.equals(pdf)).to.eql(true)
+      expect(upload.options).to.eql({ filename: 'upload.pdf', contentType: 'application/pdf' })
+
+      const text = Anvil.prepareGraphQLFile(new URL('data:text/plain;charset=utf-8,Hello%20there'))
+      expect(text.file.toString()).to.eql('Hello there')
+      expect(text.options).to.eql({ filename: 'upload.txt', contentType: 'text/plain' })
+    })
+
+    itWithWebStreams('reads web streams', async function () {
+      const upload = Anvil.prepareGraphQLFile(webStreamOf(pdf), { filename: 'nda.pdf' })
+      expect(upload.file).to.be.an.instanceof(Readable)
+      expect(upload.options).to.eql({ filename: 'nda.pdf', contentType: 'application/pdf' })
+      expect((await readAll(upload.file)).equals(pdf)).to.eql(true)
+    })
+
+    it('wraps other streams', function () {
+      const stream = Readable.from([pdf])
+      const upload = Anvil.prepareGraphQLFile(stream)
+      expect(upload.file).to.equal(stream)
+      expect(upload.options).to.eql({ filename: 'upload' })
+    })
+
+    it('leaves prepared files alone', function () {
+      const upload = Anvil.prepareGraphQLFile(pdf)
+      expect(Anvil.prepareGraphQLFile(upload)).to.equal(upload)
+    })
+
+    it('refuses other URLs and nothing', function () {
+      expect(() => Anvil.prepareGraphQLFile(new URL('ftp://example.com/nda.pdf'))).to.throw('Cannot upload a ftp: URL')
+      expect(() => Anvil.prepareGraphQLFile()).to.throw('A path, URL, Buffer or stream must be provided for upload')
+    })
+
+    describe('with http URLs', function () {
+      let server
+
+      before(function (done) {
+        server = http.createServer((req, res) => {
+          if (req.url !== '/files/My%20NDA.pdf') {
+            res.statusCode = 404
+            res.end()
+            return
+          }
+          res.end(pdf)
+        })
+        server.listen(0, '127.0.0.1', done)
+      })
+
+      after(function (done) {
+        server.close(done)
+      })
+
+      it('leaves the URL for the client to fetch', function () {
+        const url = `http://127.0.0.1:${server.address().port}/files/My%20NDA.pdf`
+
+        const upload = Anvil.prepareGraphQLFile(url)
+
+        expect(upload.file).to.be.an.instanceof(URL)
+        expect(upload.file.href).to.eql(url)
+        expect(upload.options).to.eql({ filename: 'My NDA.pdf', contentType: 'application/pdf' })
+      })
+
+      it('fetches the file when it is read, through the agent', async function () {
+        const requests = sinon.spy()
+        server.on('request', requests)
+        const agent = sinon.spy(() => undefined)
+
+        const stream = fetchStream(new URL(`http://127.0.0.1:${server.address().port}/files/My%20NDA.pdf`), { agent })
+        await new Promise((resolve) => setTimeout(resolve, 10))
+        expect(requests).to.not.have.been.called
+
+        expect((await readAll(stream)).equals(pdf)).to.eql(true)
+        expect(requests).to.have.been.calledOnce
+        expect(agent).to.have.been.calledOnce
+        server.removeListener('request', requests)
+      })
+
+      it('leaves out an agent for the other protocol', async function () {
+        const stream = fetchStream(new URL(`http://127.0.0.1:${server.address().port}/files/My%20NDA.pdf`), {
+          agent: new https.Agent(),
+        })
+        expect((await readAll(stream)).equals(pdf)).to.eql(true)
+      })
+
+      it('errors the stream with an AnvilError when the fetch fails', async function () {
+        const stream = fetchStream(new URL(`http://127.0.0.1:${server.address().port}/missing.pdf`))
+        const error = await readAll(stream).catch((err) => err)
+
+        expect(error).to.be.an.instanceof(Anvil.AnvilError)
+        expect(error.message).to.match(/Failed to fetch .*missing\.pdf: 404/)
+        expect(error.statusCode).to.eql(404)
+      })
+
+      it('is uploaded by the client through its agent', async function () {
+        const mockServer = await createMockServer()
+        const agent = sinon.spy(createAgent())
+        const client = new Anvil({ apiKey: 'abc123', baseURL: mockServer.url, agent })
+        const file = Anvil.prepareGraphQLFile(`http://127.0.0.1:${server.address().port}/files/My%20NDA.pdf`)
+
+        const { statusCode } = await client.createEtchPacket({ variables: { name: 'NDA', files: [{ id: 'nda', file }] } })
+
+        expect(statusCode).to.eql(200)
+        expect(mockServer.requests[0].graphQL.variables.files[0].file)
+          .to.eql({ filename: 'My NDA.pdf', mimetype: 'application/pdf', size: pdf.length })
+        expect(agent.args.map(([url]) => url.pathname)).to.include('/files/My%20NDA.pdf')
+        agent.destroy()
+        await mockServer.close()
+      })
+
+      it('is uploaded from a URL given as is', async function () {
+        const mockServer = await createMockServer()
+        const client = new Anvil({ apiKey: 'abc123', baseURL: mockServer.url })
+        const file = new URL(`http://127.0.0.1:${server.address().port}/files/My%20NDA.pdf`)
+
+        const { statusCode } = await client.createEtchPacket({ variables: { name: 'NDA', files: [{ id: 'nda', file }] } })
+
+        expect(statusCode).to.eql(200)
+        expect(mockServer.requests[0].graphQL.variables.files[0].file)
+          .to.eql({ filename: 'My NDA.pdf', mimetype: 'application/pdf', size: pdf.length })
+        client.agent.destroy()
+        await mockServer.close()
+      })
+
+      it('rejects the upload with the failed fetch', async function () {
+        const mockServer = await createMockServer()
+        const client = new Anvil({ apiKey: 'abc123', baseURL: mockServer.url, logger: false })
+        const file = Anvil.prepareGraphQLFile(`http://127.0.0.1:${server.address().port}/missing.pdf`)
+
+        await expect(client.createEtchPacket({ variables: { name: 'NDA', files: [{ id: 'nda', file }] } }))
+          .to.be.rejectedWith(Anvil.AnvilError, /Failed to fetch .*missing\.pdf: 404/)
+        client.agent.destroy()
+        await mockServer.close()
+      })
+    })
+  })
+
+  describe('prepareGraphQLBase64', function () {
+    const data = pdf.toString('base64')
+
+    it('infers the filename and mimetype', function () {
+      expect(Anvil.prepareGraphQLBase64(data)).to.eql({ data, filename: 'upload.pdf', mimetype: 'application/pdf' })
+      expect(Anvil.prepareGraphQLBase64(data, { filename: 'nda.pdf' }))
+        .to.eql({ data, filename: 'nda.pdf', mimetype: 'application/pdf' })
+      expect(Anvil.prepareGraphQLBase64('AAAA', { mimetype: 'image/png' }))
+        .to.eql({ data: 'AAAA', filename: 'upload.png', mimetype: 'image/png' })
+      expect(Anvil.prepareGraphQLBase64('AAAA'))
+        .to.eql({ data: 'AAAA', filename: 'upload', mimetype: 'application/octet-stream' })
+    })
+
+    it('accepts data URLs', function () {
+      expect(Anvil.prepareGraphQLBase64(`data:image/png;base64,${data}`))
+        .to.eql({ data, filename: 'upload.png', mimetype: 'image/png' })
+      expect(() => Anvil.prepareGraphQLBase64('data:,Hello')).to.throw('data URLs must be Base64 encoded')
+      expect(() => Anvil.prepareGraphQLBase64(pdf)).to.throw('data must be a Base64 string')
+    })
+
+    it('bufferizes', function () {
+      const upload = Anvil.prepareGraphQLBase64(data, { filename: 'nda.pdf', bufferize: true })
+      expect(upload).to.be.an.instanceof(UploadWithOptions)
+      expect(upload.file.equals(pdf)).to.eql(true)
+      expect(upload.options).to.eql({ filename: 'nda.pdf', contentType: 'application/pdf' })
+    })
+  })
+
+  describe('validation', function () {
+    it('treats everything prepareGraphQLFile wraps as a file', function () {
+      expect(isFile(Anvil.prepareGraphQLFile(pdf))).to.eql(true)
+      expect(isFile(pdf)).to.eql(true)
+      expect(isFile(new Uint8Array(2))).to.eql(true)
+      expect(isFile(new ArrayBuffer(2))).to.eql(true)
+      expect(isFile(Readable.from([]))).to.eql(true)
+      if (ReadableStream) expect(isFile(webStreamOf(pdf))).to.eql(true)
+      expect(isFile(new URL('https://example.com/nda.pdf'))).to.eql(true)
+      expect(isFile(pathToFileURL(pdfPath))).to.eql(true)
+      expect(isFile('dummy.pdf')).to.eql(false)
+      expect(isFile('https://example.com/nda.pdf')).to.eql(false)
+      expect(isFile(new URL('mailto:sally@example.com'))).to.eql(false)
+      expect(isFile({ data: 'AAAA' })).to.eql(false)
+    })
+
+    itWithWebStreams('accepts files and Base64 uploads under `file`', function () {
+      const files = [
+        Anvil.prepareGraphQLFile(pdf),
+        new Uint8Array(pdf),
+        webStreamOf(pdf),
+      ]
+      files.forEach((file) => {
+        expect(graphQLUploadSchemaIsValid({ variables: { files: [{ id: 'a', file }], note: null } })).to.eql(true)
+        expect(graphQLUploadSchemaIsValid({ variables: { upload: file } })).to.eql(false)
+      })
+      const base64 = Anvil.prepareGraphQLBase64(pdf.toString('base64'))
+      expect(graphQLUploadSchemaIsValid({ variables: { files: [{ id: 'a', file: base64 }] } })).to.eql(true)
+      expect(graphQLUploadSchemaIsValid({ variables: { file: { data: 'AAAA' } } })).to.eql(false)
+    })
+  })
+
+  describe('with a client', function () {
+    let server
+
+    before(async function () {
+      server = await createMockServer()
+    })
+
+    afterEach(function () {
+      server.reset()
+    })
+
+    after(async function () {
+      await server.close()
+    })
+
+    itWithWebStreams('uploads binary data and web streams', async function () {
+      const client = new Anvil({ apiKey: 'abc123', baseURL: server.url })
+      const files = [
+        { id: 'bytes', title: 'Bytes', file: new Uint8Array(pdf) },
+        { id: 'stream', title: 'Stream', file: webStreamOf(pdf) },
+        { id: 'base64', title: 'Base64', file: Anvil.prepareGraphQLBase64(pdf.toString('base64'), { bufferize: true }) },
+      ]
+
+      const { statusCode, errors } = await client.createEtchPacket({ variables: { name: 'NDA', files } })
+
+      expect(errors, JSON.stringify(errors)).to.be.undefined
+      expect(statusCode).to.eql(200)
+      const uploads = server.requests[0].graphQL.variables.files.map(({ file }) => file)
+      expect(uploads).to.eql([
+        { filename: 'upload.pdf', mimetype: 'application/pdf', size: pdf.length },
+        { filename: 'upload', mimetype: 'application/octet-stream', size: pdf.length },
+        { filename: 'upload.pdf', mimetype: 'application/pdf', size: pdf.length },
+      ])
+    })
+  })
+})
@@ -0,0 +1,196 @@
+const crypto = require('crypto')
+const http = require('http')
+const { PassThrough } = require('stream')
+
+const Anvil = require('../src/index')
+
+const {
+  WEBHOOK_ACTIONS,
+  WebhookEvent,
+  verifyWebhookToken,
+  decryptWebhookData,
+  parseWebhook,
+  createWebhookHandler,
+} = Anvil.webhooks
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+})
+
+// Mirrors how Anvil encrypts webhook data
+function encrypt (message) {
+  const aesKey = crypto.randomBytes(16).toString('hex')
+  const iv = crypto.randomBytes(16)
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(aesKey), iv)
+  const encryptedMessage = Buffer.concat([cipher.update(message), cipher.final()])
+  const encryptedAESKey = crypto.publicEncrypt(publicKey, Buffer.from(aesKey)).toString('base64')
+  return `${encryptedAESKey}:${iv.toString('hex')}:${encryptedMessage.toString('hex')}`
+}
+
+function mockResponse () {
+  return {
+    headers: {},
+    setHeader (key, val) { this.headers[key] = val },
+    end (body) { this.body = body },
+  }
+}
+
+describe('webhooks', function () {
+  const token = 'secretToken'
+  def('data', () => ({ eid: 'signerEid123', status: 'completed' }))
+  def('payload', () => ({
+    action: WEBHOOK_ACTIONS.SIGNER_COMPLETE,
+    token,
+    data: $.data,
+  }))
+
+  describe('verifyWebhookToken', function () {
+    it('compares tokens', function () {
+      expect(verifyWebhookToken(token, token)).to.be.true
+      expect(verifyWebhookToken('nope', token)).to.be.false
+      expect(verifyWebhookToken(undefined, token)).to.be.false
+    })
+  })
+
+  describe('decryptWebhookData', function () {
+    it('decrypts the data', function () {
+      expect(decryptWebhookData(encrypt('hello'), privateKey)).to.eql('hello')
+    })
+
+    it('throws on malformed data', function () {
+      expect(() => decryptWebhookData('nope', privateKey)).to.throw('Encrypted webhook data is malformed')
+    })
+  })
+
+  describe('parseWebhook', function () {
+    it('parses a JSON string into a WebhookEvent', function () {
+      const event = parseWebhook(JSON.stringify($.payload), { token })
+      expect(event).to.be.an.instanceof(WebhookEvent)
+      expect(event.action).to.eql('signerComplete')
+      expect(event.data).to.eql($.data)
+      expect(event.encrypted).to.be.false
+      expect(event.isKnownAction).to.be.true
+    })
+
+    it('accepts Buffers and objects', function () {
+      expect(parseWebhook(Buffer.from(JSON.stringify($.payload))).data).to.eql($.data)
+      expect(parseWebhook($.payload).data).to.eql($.data)
+    })
+
+    it('rejects a bad token', function () {
+      expect(() => parseWebhook($.payload, { token: 'other' }))
+        .to.throw(Anvil.AnvilError, 'Webhook token is invalid')
+        .that.includes({ responseStatus: 401, statusCode: undefined })
+    })
+
+    it('rejects payloads without an action', function () {
+      expect(() => parseWebhook('{}')).to.throw('Webhook payload must contain an action')
+      expect(() => parseWebhook('<html>')).to.throw('Webhook payload is not valid JSON')
+    })
+
+    context('encrypted data', function () {
+      def('payload', () => ({
+        action: WEBHOOK_ACTIONS.ETCH_PACKET_COMPLETE,
+        token,
+        data: encrypt(JSON.stringify($.data)),
+      }))
+
+      it('decrypts the data', function () {
+        const event = parseWebhook($.payload, { token, privateKey })
+        expect(event.data).to.eql($.data)
+        expect(event.encrypted).to.be.true
+      })
+
+      it('requires a privateKey', function () {
+        expect(() => parseWebhook($.payload, { token })).to.throw('options.privateKey must be provided')
+      })
+    })
+  })
+
+  describe('createWebhookHandler', function () {
+    it('requires onEvent', function () {
+      expect(() => createWebhookHandler({ token })).to.throw('options.onEvent must be a function')
+    })
+
+    it('requires a token unless verifying is turned off', async function () {
+      const onEvent = sinon.spy()
+      expect(() => createWebhookHandler({ onEvent })).to.throw('options.token is required to verify webhooks')
+      expect(() => createWebhookHandler({ token: undefined, onEvent })).to.throw('options.token is required')
+      expect(() => createWebhookHandler({ token: '', onEvent })).to.throw('options.token is required')
+
+      const res = mockResponse()
+      await createWebhookHandler({ token: 'other', verify: false, onEvent })({ body: $.payload }, res)
+      expect(onEvent).to.have.been.calledOnce
+      expect(res.statusCode).to.eql(200)
+    })
+
+    it('handles an already-parsed body', async function () {
+      const onEvent = sinon.spy()
+      const res = mockResponse()
+      await createWebhookHandler({ token, onEvent })({ body: $.payload }, res)
+
+      expect(onEvent).to.have.been.calledOnce
+      expect(onEvent.lastCall.args[0].data).to.eql($.data)
+      expect(res.statusCode).to.eql(200)
+    })
+
+    it('reads the body from the request stream', async function () {
+      const onEvent = sinon.spy()
+      const req = new PassThrough()
+      req.end(JSON.stringify($.payload))
+      const res = mockResponse()
+      await createWebhookHandler({ token, onEvent })(req, res)
+
+      expect(onEvent).to.have.been.calledOnce
+      expect(res.statusCode).to.eql(200)
+    })
+
+    it('responds 401 for a bad token', async function () {
+      const onEvent = sinon.spy()
+      const onError = sinon.spy()
+      const res = mockResponse()
+      await createWebhookHandler({ token: 'other', onEvent, onError })({ body: $.payload }, res)
+
+      expect(onEvent).not.to.have.been.called
+      expect(onError).to.have.been.calledOnce
+      expect(res.statusCode).to.eql(401)
+    })
+
+    it('passes onEvent errors to next', async function () {
+      const error = new Error('boom')
+      const next = sinon.spy()
+      const res = mockResponse()
+      await createWebhookHandler({ token, onEvent: () => { throw error } })({ body: $.payload }, res, next)
+
+      expect(next).to.have.been.calledOnceWith(error)
+      expect(res.body).to.be.undefined
+    })
+
+    it('works with http.createServer', async function () {
+      const onEvent = sinon.spy()
+      const server = http.createServer(createWebhookHandler({ token, onEvent }))
+      await new Promise((resolve) => server.listen(0, resolve))
+
+      try {
+        const statusCode = await new Promise((resolve, reject) => {
+          const req = http.request({
+            port: server.address().port,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+          }, (res) => {
+            res.resume()
+            resolve(res.statusCode)
+          })
+          req.on('error', reject)
+          req.end(JSON.stringify($.payload))
+        })
+        expect(statusCode).to.eql(200)
+        expect(onEvent).to.have.been.calledOnce
+      } finally {
+        server.close()
+      }
+    })
+  })
+})
@@ -0,0 +1,25 @@
+const path = require('path')
+
+const { getContentDispositionFilename, resolveSafePath } = require('../src/zip')
+
+describe('zip', function () {
+  describe('getContentDispositionFilename', function () {
+    it('reads quoted, unquoted and encoded names', function () {
+      expect(getContentDispositionFilename('attachment; filename="My Packet.zip"')).to.eql('My Packet.zip')
+      expect(getContentDispositionFilename('attachment; filename=packet.zip')).to.eql('packet.zip')
+      expect(getContentDispositionFilename(
+        'attachment; filename="fallback.zip"; filename*=UTF-8\'\'Caf%C3%A9.zip',
+      )).to.eql('Café.zip')
+      expect(getContentDispositionFilename('attachment')).to.be.undefined
+      expect(getContentDispositionFilename(null)).to.be.undefined
+    })
+  })
+
+  describe('resolveSafePath', function () {
+    it('refuses paths outside the directory', function () {
+      expect(resolveSafePath('/tmp/docs', 'a/b.pdf')).to.eql(path.resolve('/tmp/docs/a/b.pdf'))
+      expect(() => resolveSafePath('/tmp/docs', '../b.pdf')).to.throw('Refusing to write "../b.pdf"')
+      expect(() => resolveSafePath('/tmp/docs', '/etc/passwd')).to.throw('Refusing to write')
+    })
+  })
+})
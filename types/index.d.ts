@@ -0,0 +1,1150 @@
+/// <reference types="node" />
+
+import { ReadStream } from 'fs'
+import { Agent as HttpAgent, AgentOptions as HttpAgentOptions, IncomingMessage, ServerResponse } from 'http'
+import { URL } from 'url'
+import { KeyObject } from 'crypto'
+
+declare namespace Anvil {
+  // ****************************************************************************
+  // Client options
+  // ****************************************************************************
+
+  interface AnvilOptions {
+    /** Your API key from your Anvil organization settings */
+    apiKey?: string
+    /** An OAuth access token. Either apiKey or accessToken is required */
+    accessToken?: string
+    /** Or an OAuth helper that keeps access tokens fresh */
+    oauth?: OAuth
+    /** Whose tokens to use from the OAuth helper's store. Defaults to 'default'. */
+    oauthKey?: string
+    /** Defaults to https://app.useanvil.com */
+    baseURL?: string
+    userAgent?: string
+    /** Reject with an AnvilError rather than resolving { statusCode, errors } */
+    throwOnError?: boolean
+    /** false disables retries */
+    retry?: RetryOptions | false
+    /** Milliseconds before a request is aborted. 0 means no timeout */
+    timeout?: number
+    /** An http(s).Agent, or a function of the URL returning one. Passed to node-fetch in place of keepAlive, ca and proxy. */
+    agent?: HttpAgent | AgentFunction
+    /** Keep connections alive between requests. Defaults to true. An object is passed to the agents. */
+    keepAlive?: boolean | HttpAgentOptions
+    /** Certificate authorities to trust, e.g. an internal CA */
+    ca?: string | Buffer | Array<string | Buffer>
+    /** A proxy URL, or false for none. Defaults to HTTPS_PROXY or HTTP_PROXY, unless NO_PROXY matches. */
+    proxy?: string | false
+    /** Options for a MemoryRateLimiter, any rate limiter, or false to disable */
+    rateLimit?: rateLimiters.RateLimiterOptions | rateLimiters.RateLimiterLike | false
+    /** A pino-style logger, or false to log nothing. Defaults to warnings on the console */
+    logger?: Logger | false
+    /** Log every request to stderr. Defaults to whether DEBUG includes `anvil` */
+    debug?: boolean
+    /** An OpenTelemetry-compatible tracer, e.g. `trace.getTracer('anvil')`, for a span per method */
+    tracer?: Tracer
+    /** An OpenTelemetry-compatible meter, e.g. `metrics.getMeter('anvil')` */
+    meter?: Meter
+  }
+
+  type AgentFunction = (parsedURL: URL) => HttpAgent | undefined
+
+  /** The agent the client creates. destroy() closes every connection. */
+  interface ClientAgent {
+    (parsedURL: URL): HttpAgent
+    destroy (): void
+  }
+
+  type SpanAttributes = Record<string, string | number | boolean | undefined>
+
+  /** The parts of an OpenTelemetry Span the client uses */
+  interface Span {
+    setAttributes (attributes: SpanAttributes): any
+    setStatus (status: { code: number, message?: string }): any
+    recordException (exception: Error): any
+    end (): void
+  }
+
+  /** The parts of an OpenTelemetry Tracer the client uses. startActiveSpan is preferred. */
+  interface Tracer {
+    startActiveSpan?<F extends (span: Span) => any> (name: string, options: { attributes?: SpanAttributes }, fn: F): ReturnType<F>
+    startSpan (name: string, options?: { attributes?: SpanAttributes }): Span
+  }
+
+  /** The parts of an OpenTelemetry Meter the client uses */
+  interface Meter {
+    createCounter (name: string, options?: { description?: string, unit?: string }): { add (value: number, attributes?: SpanAttributes): void }
+    createHistogram (name: string, options?: { description?: string, unit?: string }): { record (value: number, attributes?: SpanAttributes): void }
+  }
+
+  type LogMethod = (meta: Record<string, any>, message: string) => void
+
+  /** Called pino-style, with the details first. Missing levels are skipped. */
+  interface Logger {
+    debug?: LogMethod
+    info?: LogMethod
+    warn?: LogMethod
+    error?: LogMethod
+  }
+
+  interface RetryInfo {
+    attempt: number
+    error?: Error
+    statusCode?: number
+    delayMS: number
+    method?: string
+    path?: string
+  }
+
+  interface RetryOptions {
+    maxAttempts?: number
+    baseMS?: number
+    capMS?: number
+    jitter?: boolean
+    statusCodes?: number[]
+    errorCodes?: string[]
+    retryNonIdempotent?: boolean
+    onRetry?: (info: RetryInfo) => void
+  }
+
+  /** Satisfied by both the global AbortSignal and the abort-controller package */
+  interface AbortSignalLike {
+    readonly aborted: boolean
+    addEventListener (type: 'abort', listener: () => void): void
+    removeEventListener (type: 'abort', listener: () => void): void
+  }
+
+  interface RequestOptions {
+    throwOnError?: boolean
+    retry?: RetryOptions | false
+    /** Whether the request is safe to retry */
+    idempotent?: boolean
+    timeout?: number
+    signal?: AbortSignalLike
+    /** Called as a GraphQL upload is sent */
+    onUploadProgress?: (progress: Progress) => void
+    /** Called as the response body arrives */
+    onDownloadProgress?: (progress: Progress) => void
+  }
+
+  interface Progress {
+    /** Bytes sent or received so far */
+    loaded: number
+    /** Undefined when the length isn't known */
+    total?: number
+  }
+
+  type DataType = 'buffer' | 'stream' | 'json'
+
+  interface BufferRequestOptions extends RequestOptions {
+    dataType?: 'buffer'
+  }
+
+  interface StreamRequestOptions extends RequestOptions {
+    dataType: 'stream'
+  }
+
+  interface JSONRequestOptions extends RequestOptions {
+    dataType?: DataType
+  }
+
+  // ****************************************************************************
+  // Results
+  // ****************************************************************************
+
+  interface ResponseError {
+    message: string
+    name?: string
+    [key: string]: any
+  }
+
+  /** The node-fetch Response */
+  interface FetchResponse {
+    status: number
+    url?: string
+    headers: {
+      get (name: string): string | null
+    }
+  }
+
+  interface RESTResult<T> {
+    statusCode: number
+    response?: FetchResponse
+    /** Present on success */
+    data?: T
+    /** Present if status >= 300 */
+    errors?: ResponseError[]
+  }
+
+  interface GraphQLResponse<T> {
+    data?: T
+    errors?: ResponseError[]
+  }
+
+  interface GraphQLResult<T = any> {
+    statusCode: number
+    /** The parsed GraphQL response, e.g. `data.data.createEtchPacket` */
+    data?: GraphQLResponse<T>
+    /** Present if status >= 300 */
+    errors?: ResponseError[]
+  }
+
+  /** A file from an extracted document group zip */
+  interface DocumentBuffer {
+    filename: string
+    size: number
+    buffer: Buffer
+  }
+
+  interface DocumentStream {
+    filename: string
+    size: number
+    stream: NodeJS.ReadableStream
+  }
+
+  interface SaveDocumentsResult {
+    statusCode: number
+    response?: FetchResponse
+    /** The paths written. Present on success */
+    files?: string[]
+    errors?: ResponseError[]
+  }
+
+  interface SignURLResult {
+    statusCode: number
+    url?: string
+    errors?: ResponseError[]
+  }
+
+  // ****************************************************************************
+  // Payloads
+  // ****************************************************************************
+
+  interface FillPDFPayload {
+    title?: string
+    fontSize?: number
+    textColor?: string
+    /** Keys are the field IDs from your PDF template */
+    data: Record<string, any>
+  }
+
+  interface GeneratePDFTable {
+    rows: string[][]
+    firstRowHeaders?: boolean
+    rowGridlines?: boolean
+    columnGridlines?: boolean
+    verticalAlign?: 'top' | 'center' | 'bottom'
+    columnOptions?: Array<{ align?: 'left' | 'center' | 'right', width?: string }>
+  }
+
+  interface GeneratePDFDataBlock {
+    label?: string
+    content?: string
+    heading?: string
+    table?: GeneratePDFTable
+    fontSize?: number
+    textColor?: string
+  }
+
+  interface GeneratePDFPayload {
+    title?: string
+    fontSize?: number
+    textColor?: string
+    data: GeneratePDFDataBlock[]
+  }
+
+  interface Base64Upload {
+    data: string
+    filename: string
+    mimetype: string
+  }
+
+  interface Base64UploadOptions {
+    /** Defaults to `upload` and an extension for the mimetype */
+    filename?: string
+    /** Inferred from the filename, data URL or contents. Defaults to `application/octet-stream`. */
+    mimetype?: string
+    /** Send the file decoded, in a multipart upload */
+    bufferize?: boolean
+  }
+
+  /** The parts of a web ReadableStream that are used */
+  interface WebReadableStreamLike {
+    getReader (): any
+    pipeTo (destination: any, options?: any): Promise<void>
+  }
+
+  /** Binary data and streams, sent as files */
+  type UploadFile = UploadWithOptions | URL | ReadStream | NodeJS.ReadableStream | Buffer | Uint8Array | ArrayBuffer | ArrayBufferView | WebReadableStreamLike
+
+  type Upload = UploadFile | Base64Upload
+
+  interface Rect {
+    x: number
+    y: number
+    width: number
+    height: number
+  }
+
+  interface EtchField {
+    id: string
+    type: string
+    rect: Rect
+    /** 0-based */
+    pageNum: number
+    name?: string
+    format?: string
+    fontSize?: number
+    textColor?: string
+    [key: string]: any
+  }
+
+  interface EtchTemplateFile {
+    id: string
+    /** The eid of an existing PDF template */
+    castEid: string
+  }
+
+  interface EtchUploadFile {
+    id: string
+    title?: string
+    file: Upload
+    fields?: EtchField[]
+  }
+
+  type EtchFile = EtchTemplateFile | EtchUploadFile
+
+  interface EtchSignerField {
+    fileId: string
+    fieldId: string
+  }
+
+  interface EtchSigner {
+    id: string
+    name: string
+    email: string
+    fields: EtchSignerField[]
+    signerType?: 'email' | 'embedded'
+    routingOrder?: number
+    [key: string]: any
+  }
+
+  interface EtchSignaturePageOptions {
+    title?: string
+    description?: string
+    [key: string]: any
+  }
+
+  interface CreateEtchPacketVariables {
+    name?: string
+    files?: EtchFile[]
+    isDraft?: boolean
+    isTest?: boolean
+    signatureEmailSubject?: string
+    signatureEmailBody?: string
+    signatureProvider?: string
+    signaturePageOptions?: EtchSignaturePageOptions
+    signers?: EtchSigner[]
+    webhookURL?: string
+    data?: {
+      /** Keys are file IDs */
+      payloads?: Record<string, FillPDFPayload>
+    }
+  }
+
+  interface CreateEtchPacketOptions {
+    variables: CreateEtchPacketVariables
+    responseQuery?: string
+    mutation?: string
+  }
+
+  interface GetEtchPacketOptions {
+    variables: { eid: string }
+    responseQuery?: string
+  }
+
+  interface GenerateEtchSignUrlOptions {
+    variables: {
+      signerEid: string
+      clientUserId: string
+    }
+  }
+
+  // ****************************************************************************
+  // Workflows (Welds)
+  // ****************************************************************************
+
+  interface ListWeldsOptions {
+    responseQuery?: string
+  }
+
+  interface GetWeldOptions {
+    /** An eid, or a slug and organizationSlug */
+    variables: { eid?: string, slug?: string, organizationSlug?: string }
+    responseQuery?: string
+  }
+
+  interface ForgeSubmitVariables {
+    forgeEid: string
+    /** Leave out to start a new submission */
+    weldDataEid?: string
+    submissionEid?: string
+    payload: Record<string, any>
+    currentStep?: number
+    complete?: boolean
+    isTest?: boolean
+    timezone?: string
+    groupArrayId?: string
+    groupArrayIndex?: number
+    webhookURL?: string
+  }
+
+  interface ForgeSubmitOptions {
+    variables: ForgeSubmitVariables
+    responseQuery?: string
+    mutation?: string
+  }
+
+  interface StartWeldOptions {
+    variables: Omit<ForgeSubmitVariables, 'weldDataEid' | 'submissionEid'>
+    responseQuery?: string
+    mutation?: string
+  }
+
+  interface GetWeldDataOptions {
+    variables: { eid: string }
+    responseQuery?: string
+  }
+
+  interface ListWeldDataOptions {
+    variables: { weldEid: string, page?: number, pageSize?: number }
+    responseQuery?: string
+  }
+
+  interface GetSubmissionOptions {
+    variables: { eid: string }
+    responseQuery?: string
+  }
+
+  interface Forge {
+    id?: number
+    eid: string
+    name: string
+    slug: string
+  }
+
+  interface Weld {
+    id?: number
+    eid: string
+    name: string
+    slug: string
+    visibility?: string
+    forges?: Forge[]
+    casts?: Array<{ id?: number, eid: string, title: string }>
+  }
+
+  interface Organization {
+    eid: string
+    name: string
+    slug: string
+    welds?: Weld[]
+  }
+
+  interface Submission {
+    id?: number
+    eid: string
+    status?: string
+    payloadValue?: Record<string, any>
+    currentStep?: number
+    completedAt?: string | null
+    createdAt?: string
+    updatedAt?: string
+    forge?: Pick<Forge, 'eid' | 'name' | 'slug'>
+    signer?: { name: string, email: string, status: string, routingOrder: number } | null
+    weldData?: Partial<WeldData>
+  }
+
+  interface WeldData {
+    id?: number
+    eid: string
+    displayTitle?: string
+    status?: string
+    isTest?: boolean
+    isComplete?: boolean
+    continueURL?: string
+    createdAt?: string
+    updatedAt?: string
+    weld?: Pick<Weld, 'eid' | 'name' | 'slug'>
+    submissions?: Submission[]
+    documentGroup?: { eid: string, status: string, files?: any } | null
+  }
+
+  interface Page<T> {
+    page: number
+    pageSize: number
+    pageCount: number
+    rowCount: number
+    items: T[]
+  }
+
+  interface PDFTemplateField {
+    id: string
+    /** e.g. shortText, date, phone, dollar, checkbox, signature */
+    type: string
+    name?: string
+    page: number
+    rect: { x: number, y: number, width: number, height: number }
+    required: boolean
+  }
+
+  interface PDFTemplate {
+    eid: string
+    title: string
+    isTemplate?: boolean
+    createdAt?: string
+    updatedAt?: string
+    fields: PDFTemplateField[]
+  }
+
+  interface QueryModule {
+    generateQuery (responseQuery?: string): string
+    /** Where client.paginate finds each page in the response data */
+    pagePath?: string
+  }
+
+  interface PaginateOptions {
+    /** Stop after this many items */
+    limit?: number
+    /** For the query module. It must still select the page fields. */
+    responseQuery?: string
+    /** Where the page is in the response data, e.g. `weld.weldDatas` */
+    path?: string
+  }
+
+  interface FillPDFRequestOptions {
+    /** Check the payload against the template's fields before sending it */
+    validate?: boolean
+  }
+
+  interface FillPayloadError {
+    /** Absent when `data` isn't an object */
+    field?: string
+    message: string
+  }
+
+  interface ListPDFTemplatesOptions {
+    /** Defaults to the organization of the API key */
+    organizationSlug?: string
+    page?: number
+    pageSize?: number
+  }
+
+  interface PDFTemplatesResult {
+    statusCode: number
+    templates?: PDFTemplate[]
+    pagination?: Omit<Page<PDFTemplate>, 'items'>
+    errors?: ResponseError[]
+  }
+
+  interface PDFTemplateResult {
+    statusCode: number
+    /** null when there is no such template */
+    template?: PDFTemplate | null
+    errors?: ResponseError[]
+  }
+
+  interface UpdateEtchPacketOptions {
+    /** Files and signers can only be changed on a draft */
+    variables: { eid: string } & Omit<CreateEtchPacketVariables, 'isDraft' | 'signatureProvider'>
+    responseQuery?: string
+    mutation?: string
+  }
+
+  interface SendEtchPacketOptions {
+    variables: { eid: string }
+    responseQuery?: string
+  }
+
+  interface VoidDocumentGroupOptions {
+    /** The eid of the packet's document group */
+    variables: { eid: string }
+    responseQuery?: string
+  }
+
+  interface RemoveEtchPacketOptions {
+    variables: { eid: string }
+  }
+
+  interface NotifySignerOptions {
+    variables: { signerEid: string }
+  }
+
+  interface UpdateEtchSignerOptions {
+    variables: {
+      /** The signer's eid */
+      eid: string
+      name?: string
+      email?: string
+      /** Email the signer again */
+      notify?: boolean
+    }
+    responseQuery?: string
+  }
+
+  interface GraphQLOperation {
+    query: string
+    variables?: Record<string, any>
+  }
+
+  interface EtchPacket {
+    id?: number
+    eid: string
+    name: string
+    detailsURL?: string
+    documentGroup?: {
+      id?: number
+      eid: string
+      status: string
+      files: any
+      signers: Array<{
+        id?: number
+        eid: string
+        aliasId: string
+        routingOrder: number
+        name: string
+        email: string
+        status: string
+        signActionType: string
+      }>
+    } | null
+  }
+
+  interface FillPDFBatchResult {
+    /** The position of the payload */
+    index: number
+    ok: boolean
+    statusCode?: number
+    /** The PDF, when there is no output */
+    data?: Buffer
+    /** Where the PDF was written, with an output directory */
+    path?: string
+    errors?: ResponseError[]
+    /** Set when the fill threw, e.g. with throwOnError */
+    error?: Error
+  }
+
+  interface FillPDFBatchProgress {
+    result: FillPDFBatchResult
+    completed: number
+    succeeded: number
+    failed: number
+    /** Only known when payloads is an Array */
+    total?: number
+  }
+
+  interface FillPDFBatchOptions<P extends FillPDFPayload = FillPDFPayload> {
+    /** Defaults to 5 */
+    concurrency?: number
+    /** A directory, or a function that must consume each stream */
+    output?: string | ((stream: NodeJS.ReadableStream, info: { index: number, payload: P }) => void | Promise<void>)
+    /** Names files in an output directory. Defaults to `${index}.pdf` */
+    filename?: (payload: P, index: number) => string
+    onProgress?: (progress: FillPDFBatchProgress) => void
+    stopOnError?: boolean
+  }
+
+  interface FillPDFBatchSummary {
+    succeeded: number
+    failed: number
+    /** Whether stopOnError stopped the batch early */
+    stopped: boolean
+    results: FillPDFBatchResult[]
+  }
+
+  type EtchPacketSigner = NonNullable<EtchPacket['documentGroup']>['signers'][number]
+
+  interface EtchPacketProgress {
+    packet: EtchPacket
+    /** Present when a signer's status changed, rather than the packet's */
+    signer?: EtchPacketSigner
+    /** The document group status, 'draft' before it is sent, or the signer's status */
+    status: string
+    previousStatus?: string
+  }
+
+  interface WaitForEtchPacketOptions {
+    /** 'completed' (the default), or the eid or aliasId of a signer */
+    until?: string
+    /** Milliseconds between polls to start. Defaults to 2000 */
+    interval?: number
+    /** Defaults to 30000 */
+    maxInterval?: number
+    /** Milliseconds to wait in total. 0 waits forever */
+    timeout?: number
+    signal?: AbortSignalLike
+    onProgress?: (progress: EtchPacketProgress) => void
+    download?: boolean
+    responseQuery?: string
+  }
+
+  /** Returned by Anvil.prepareGraphQLFile */
+  interface UploadWithOptions {
+    readonly options: FormDataAppendOptions | undefined
+    readonly file: any
+  }
+
+  interface FormDataAppendOptions {
+    filename?: string
+    contentType?: string
+    knownLength?: number
+    filepath?: string
+    [key: string]: any
+  }
+
+  // ****************************************************************************
+  // EtchPacketBuilder
+  // ****************************************************************************
+
+  interface EtchPacketBuilderField {
+    /** Defaults to the type and a count, e.g. `signature1` */
+    id?: string
+    type: string
+    rect: Rect
+    pageNum: number
+    [key: string]: any
+  }
+
+  interface EtchPacketBuilderSigner {
+    /** Defaults to `signer1`, `signer2`, ... */
+    id?: string
+    name: string
+    email: string
+    signerType?: 'email' | 'embedded'
+    fields?: EtchSignerField[]
+    [key: string]: any
+  }
+
+  interface OAuthTokens {
+    accessToken: string
+    refreshToken?: string
+    /** Milliseconds since the epoch */
+    expiresAt?: number
+    scope?: string
+    tokenType?: string
+  }
+
+  interface TokenStore {
+    get (key: string): Promise<OAuthTokens | undefined | null>
+    set (key: string, tokens: OAuthTokens): Promise<void>
+  }
+
+  interface OAuthOptions {
+    clientId: string
+    clientSecret: string
+    /** Where Anvil sends users after they authorize */
+    redirectURI?: string
+    /** Defaults to a MemoryTokenStore */
+    store?: TokenStore
+    baseURL?: string
+    /** Defaults to /oauth/authorize */
+    authorizePath?: string
+    /** Defaults to /oauth/token */
+    tokenPath?: string
+    /** Refresh tokens this long before they expire. Defaults to 60000. */
+    expiryMarginMS?: number
+    /** For token requests made outside a client. A client refreshes through its own agent. */
+    agent?: HttpAgent | AgentFunction
+  }
+
+  class MemoryTokenStore implements TokenStore {
+    tokens: Map<string, OAuthTokens>
+    get (key: string): Promise<OAuthTokens | undefined>
+    set (key: string, tokens: OAuthTokens): Promise<void>
+  }
+
+  class OAuth {
+    constructor (options: OAuthOptions)
+    store: TokenStore
+    getAuthorizationURL (options?: { state?: string, scope?: string | string[], redirectURI?: string }): string
+    exchangeCode (code: string, options?: { key?: string, redirectURI?: string }): Promise<OAuthTokens>
+    agent: HttpAgent | AgentFunction
+    getAccessToken (key?: string, options?: { agent?: HttpAgent | AgentFunction }): Promise<string>
+    refreshAccessToken (key?: string, options?: { staleAccessToken?: string, agent?: HttpAgent | AgentFunction }): Promise<string>
+  }
+
+  interface ClientPoolOptions {
+    /** Resolves the client options for an organization, e.g. `{ apiKey }` */
+    resolveCredentials: (key: string) => Promise<AnvilOptions | null | undefined> | AnvilOptions | null | undefined
+    /**
+     * Options shared by every client. Those from resolveCredentials take precedence.
+     * rateLimit must be options, not a rate limiter, so each client gets its own.
+     */
+    clientOptions?: AnvilOptions
+    /** Evict clients unused for this long. Defaults to 10 minutes. 0 keeps them until evicted. */
+    idleTimeoutMS?: number
+    /** Evict the least recently used client beyond this many */
+    maxClients?: number
+  }
+
+  class ClientPool {
+    constructor (AnvilClass: typeof Anvil, options: ClientPoolOptions)
+    readonly size: number
+    /** Shared by every client, unless clientOptions has an agent */
+    agent: ClientAgent | null
+    forOrganization (key: string): Promise<Anvil>
+    evict (key: string): boolean
+    close (): void
+  }
+
+  class EtchPacketBuilder {
+    constructor (options?: Omit<CreateEtchPacketVariables, 'files' | 'signers'>)
+    addTemplateFile (castEid: string, options?: { id?: string, title?: string }): this
+    uploadFile (file: string | Upload, fields?: EtchPacketBuilderField[], options?: { id?: string, title?: string }): this
+    addField (field: EtchPacketBuilderField): this
+    fill (fileId: string, payload: FillPDFPayload): this
+    addSigner (signer: EtchPacketBuilderSigner): EtchSignerBuilder
+    /** Every problem with the packet */
+    validate (): string[]
+    /** Throws an AnvilValidationError if the packet is invalid */
+    build (): CreateEtchPacketVariables
+  }
+
+  interface EtchSignerBuilder {
+    signs (fileId: string, fieldId: string): this
+    /** 1-based */
+    routingOrder (routingOrder: number): this
+    addTemplateFile (castEid: string, options?: { id?: string, title?: string }): EtchPacketBuilder
+    uploadFile (file: string | Upload, fields?: EtchPacketBuilderField[], options?: { id?: string, title?: string }): EtchPacketBuilder
+    addField (field: EtchPacketBuilderField): EtchPacketBuilder
+    fill (fileId: string, payload: FillPDFPayload): EtchPacketBuilder
+    addSigner (signer: EtchPacketBuilderSigner): EtchSignerBuilder
+    build (): CreateEtchPacketVariables
+  }
+
+  // ****************************************************************************
+  // Errors
+  // ****************************************************************************
+
+  interface AnvilErrorDetails {
+    statusCode?: number
+    path?: string
+    errors?: ResponseError[]
+    body?: any
+  }
+
+  class AnvilError extends Error {
+    constructor (message: string, details?: AnvilErrorDetails)
+    statusCode?: number
+    path?: string
+    errors: ResponseError[]
+    body?: any
+  }
+
+  class AnvilValidationError extends AnvilError {}
+  class AnvilAuthError extends AnvilError {}
+  class AnvilRateLimitError extends AnvilError {}
+  class AnvilServerError extends AnvilError {}
+  class AnvilGraphQLError extends AnvilError {}
+  class AnvilAbortError extends AnvilError {}
+  class AnvilTimeoutError extends AnvilAbortError {}
+
+  // ****************************************************************************
+  // Middlewares
+  // ****************************************************************************
+
+  interface MiddlewareRequest {
+    method: string
+    url: string
+    /** Change these to change what is sent */
+    headers: Record<string, string>
+    /** The JSON sent. For uploads, the operation as JSON; the files are sent as they are. */
+    body?: string
+    /** For GraphQL requests. Files are left out */
+    graphQL?: GraphQLOperation
+  }
+
+  /** The node-fetch Response */
+  interface MiddlewareResponse extends FetchResponse {
+    ok: boolean
+    body: NodeJS.ReadableStream
+    json (): Promise<any>
+    text (): Promise<string>
+    buffer (): Promise<Buffer>
+  }
+
+  type Middleware = (
+    req: MiddlewareRequest,
+    next: (req?: MiddlewareRequest) => Promise<MiddlewareResponse>,
+  ) => Promise<MiddlewareResponse>
+
+  /** node-fetch's Response, for middlewares to respond with */
+  const Response: {
+    new (body?: string | Buffer | NodeJS.ReadableStream | null, init?: { status?: number, statusText?: string, headers?: Record<string, string> }): MiddlewareResponse
+  }
+
+  // ****************************************************************************
+  // Rate limiting
+  // ****************************************************************************
+
+  namespace rateLimiters {
+    interface RateLimiterOptions {
+      /** Requests per interval. Defaults to 200 */
+      limit?: number
+      /** Defaults to 5000 */
+      intervalMS?: number
+      /** Adopt the limit from the server's rate limit headers. Defaults to true */
+      adaptive?: boolean
+    }
+
+    interface RateLimitHints {
+      retryAfterMS?: number
+      limit?: number
+      remaining?: number
+      resetMS?: number
+    }
+
+    /** What the client needs from a rate limiter */
+    interface RateLimiterLike {
+      acquire (options?: { signal?: AbortSignalLike }): Promise<any>
+      release (token: any): Promise<void> | void
+      update (hints: RateLimitHints): Promise<void> | void
+    }
+
+    type TakeResult = { token: any, waitMS?: undefined } | { token?: undefined, waitMS: number }
+
+    abstract class RateLimiter implements RateLimiterLike {
+      constructor (options?: RateLimiterOptions)
+      limit: number
+      intervalMS: number
+      adaptive: boolean
+      blockedUntil: number
+      acquire (options?: { signal?: AbortSignalLike }): Promise<any>
+      release (token: any): Promise<void>
+      update (hints: RateLimitHints): Promise<void>
+      block (untilMS: number): Promise<void>
+      getBlockedUntil (): Promise<number>
+      abstract take (): Promise<TakeResult>
+      abstract give (token: any): Promise<void>
+    }
+
+    class MemoryRateLimiter extends RateLimiter {
+      take (): Promise<TakeResult>
+      give (token: any): Promise<void>
+    }
+
+    interface FileRateLimiterOptions extends RateLimiterOptions {
+      /** The state file shared by every process */
+      path: string
+      /** Defaults to 5000 */
+      lockTimeoutMS?: number
+    }
+
+    class FileRateLimiter extends RateLimiter {
+      constructor (options: FileRateLimiterOptions)
+      path: string
+      take (): Promise<TakeResult>
+      give (token: any): Promise<void>
+    }
+
+    interface RateLimitStore {
+      increment (key: string, windowMS: number): Promise<{ count: number, resetMS: number }>
+      decrement (key: string): Promise<unknown>
+      block? (key: string, untilMS: number): Promise<unknown>
+      getBlockedUntil? (key: string): Promise<number | null | undefined>
+    }
+
+    interface StoreRateLimiterOptions extends RateLimiterOptions {
+      store: RateLimitStore
+      /** Defaults to 'anvil:rate-limit' */
+      key?: string
+    }
+
+    class StoreRateLimiter extends RateLimiter {
+      constructor (options: StoreRateLimiterOptions)
+      store: RateLimitStore
+      key: string
+      take (): Promise<TakeResult>
+      give (token: any): Promise<void>
+    }
+
+    class MemoryStore implements RateLimitStore {
+      increment (key: string, windowMS: number): Promise<{ count: number, resetMS: number }>
+      decrement (key: string): Promise<void>
+      block (key: string, untilMS: number): Promise<void>
+      getBlockedUntil (key: string): Promise<number>
+    }
+
+    function createRateLimiter (rateLimit?: RateLimiterOptions | RateLimiterLike | false): RateLimiterLike | null
+  }
+
+  // ****************************************************************************
+  // Webhooks
+  // ****************************************************************************
+
+  namespace webhooks {
+    const WEBHOOK_ACTIONS: {
+      WEBHOOK_TEST: 'webhookTest'
+      WELD_CREATE: 'weldCreate'
+      FORGE_COMPLETE: 'forgeComplete'
+      WELD_COMPLETE: 'weldComplete'
+      DOCUMENT_GROUP_CREATE: 'documentGroupCreate'
+      SIGNER_UPDATE_STATUS: 'signerUpdateStatus'
+      SIGNER_COMPLETE: 'signerComplete'
+      ETCH_PACKET_COMPLETE: 'etchPacketComplete'
+      ETCH_PACKET_VOIDED: 'etchPacketVoided'
+    }
+
+    type WebhookAction = typeof WEBHOOK_ACTIONS[keyof typeof WEBHOOK_ACTIONS]
+
+    class WebhookEvent<T = any> {
+      constructor (options: { action: string, token?: string, data: T, encrypted?: boolean })
+      action: WebhookAction | string
+      token?: string
+      data: T
+      encrypted: boolean
+      readonly isKnownAction: boolean
+      readonly isTest: boolean
+    }
+
+    class WebhookError extends AnvilError {
+      constructor (message: string, responseStatus: number)
+      /** The status to respond to Anvil with */
+      responseStatus: number
+    }
+
+    interface ParseWebhookOptions {
+      token?: string
+      privateKey?: string | KeyObject
+    }
+
+    interface WebhookHandlerBaseOptions {
+      privateKey?: string | KeyObject
+      onEvent: (event: WebhookEvent, req: IncomingMessage) => void | Promise<void>
+      onError?: (error: Error, req: IncomingMessage) => void
+    }
+
+    /** A token is required, unless verifying is turned off with `verify: false` */
+    type WebhookHandlerOptions = WebhookHandlerBaseOptions & (
+      | { token: string, verify?: true }
+      | { token?: string, verify: false }
+    )
+
+    function verifyWebhookToken (receivedToken: string, expectedToken: string): boolean
+    function decryptWebhookData (encryptedData: string, privateKey: string | KeyObject): string
+    function parseWebhook<T = any> (body: string | Buffer | object, options?: ParseWebhookOptions): WebhookEvent<T>
+    function createWebhookHandler (options: WebhookHandlerOptions): (
+      req: IncomingMessage & { body?: any },
+      res: ServerResponse,
+      next?: (err?: any) => void,
+    ) => Promise<void>
+  }
+}
+
+declare class Anvil {
+  constructor (options: Anvil.AnvilOptions)
+
+  options: Anvil.AnvilOptions
+  /** Undefined when using an OAuth helper */
+  authHeader?: string
+  oauth: Anvil.OAuth | null
+  agent: HttpAgent | Anvil.AgentFunction | Anvil.ClientAgent
+  rateLimiter: Anvil.rateLimiters.RateLimiterLike | null
+  logger: Required<Anvil.Logger>
+
+  use (middleware: Anvil.Middleware): this
+
+  static pool (options: Anvil.ClientPoolOptions): Anvil.ClientPool
+
+  /** The query modules, for paginate */
+  static queries: Record<string, Anvil.QueryModule>
+
+  static prepareGraphQLFile (
+    pathOrStreamLikeThing: string | URL | Anvil.UploadFile,
+    formDataAppendOptions?: Anvil.FormDataAppendOptions,
+  ): Anvil.UploadWithOptions
+
+  static prepareGraphQLBase64 (data: string, options: Anvil.Base64UploadOptions & { bufferize: true }): Anvil.UploadWithOptions
+  static prepareGraphQLBase64 (data: string, options?: Anvil.Base64UploadOptions): Anvil.Base64Upload
+
+  static pdfTemplateToJSONSchema (template: Pick<Anvil.PDFTemplate, 'fields'> & { title?: string }): Record<string, any>
+
+  fillPDF (pdfTemplateID: string, payload: Anvil.FillPDFPayload, clientOptions?: Anvil.BufferRequestOptions & Anvil.FillPDFRequestOptions): Promise<Anvil.RESTResult<Buffer>>
+  fillPDF (pdfTemplateID: string, payload: Anvil.FillPDFPayload, clientOptions: Anvil.StreamRequestOptions & Anvil.FillPDFRequestOptions): Promise<Anvil.RESTResult<NodeJS.ReadableStream>>
+
+  validateFillPayload (pdfTemplateID: string, payload: Anvil.FillPDFPayload, clientOptions?: Anvil.RequestOptions): Promise<Anvil.FillPayloadError[]>
+
+  fillPDFBatch<P extends Anvil.FillPDFPayload> (
+    pdfTemplateID: string,
+    payloads: Iterable<P> | AsyncIterable<P>,
+    options?: Anvil.FillPDFBatchOptions<P>,
+    clientOptions?: Anvil.RequestOptions & Anvil.FillPDFRequestOptions,
+  ): Promise<Anvil.FillPDFBatchSummary>
+
+  generatePDF (payload: Anvil.GeneratePDFPayload, clientOptions?: Anvil.BufferRequestOptions): Promise<Anvil.RESTResult<Buffer>>
+  generatePDF (payload: Anvil.GeneratePDFPayload, clientOptions: Anvil.StreamRequestOptions): Promise<Anvil.RESTResult<NodeJS.ReadableStream>>
+
+  listPDFTemplates (options?: Anvil.ListPDFTemplatesOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.PDFTemplatesResult>
+
+  getPDFTemplate (pdfTemplateID: string, clientOptions?: Anvil.RequestOptions): Promise<Anvil.PDFTemplateResult>
+
+  createEtchPacket (options: Anvil.CreateEtchPacketOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ createEtchPacket: Anvil.EtchPacket }>>
+
+  getEtchPacket (options: Anvil.GetEtchPacketOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ etchPacket: Anvil.EtchPacket | null }>>
+
+  generateEtchSignUrl (options: Anvil.GenerateEtchSignUrlOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.SignURLResult>
+
+  updateEtchPacket (options: Anvil.UpdateEtchPacketOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ updateEtchPacket: Anvil.EtchPacket }>>
+
+  sendEtchPacket (options: Anvil.SendEtchPacketOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ sendEtchPacket: Anvil.EtchPacket }>>
+
+  voidDocumentGroup (options: Anvil.VoidDocumentGroupOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ voidDocumentGroup: NonNullable<Anvil.EtchPacket['documentGroup']> }>>
+
+  removeEtchPacket (options: Anvil.RemoveEtchPacketOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ removeEtchPacket: boolean }>>
+
+  notifySigner (options: Anvil.NotifySignerOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ notifySigner: boolean }>>
+
+  updateEtchSigner (options: Anvil.UpdateEtchSignerOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ updateEtchSigner: Anvil.EtchPacketSigner }>>
+
+  waitForEtchPacket (eid: string, options: Anvil.WaitForEtchPacketOptions & { download: true }, clientOptions?: Anvil.RequestOptions): Promise<{ packet: Anvil.EtchPacket, documents: Buffer }>
+  waitForEtchPacket (eid: string, options?: Anvil.WaitForEtchPacketOptions & { download?: false }, clientOptions?: Anvil.RequestOptions): Promise<Anvil.EtchPacket>
+
+  downloadDocuments (documentGroupEid: string, clientOptions: Anvil.BufferRequestOptions & { extract: true }): Promise<Anvil.RESTResult<Anvil.DocumentBuffer[]>>
+  downloadDocuments (documentGroupEid: string, clientOptions: Anvil.StreamRequestOptions & { extract: true }): Promise<Anvil.RESTResult<AsyncIterable<Anvil.DocumentStream>>>
+  downloadDocuments (documentGroupEid: string, clientOptions?: Anvil.BufferRequestOptions & { extract?: false }): Promise<Anvil.RESTResult<Buffer>>
+  downloadDocuments (documentGroupEid: string, clientOptions: Anvil.StreamRequestOptions & { extract?: false }): Promise<Anvil.RESTResult<NodeJS.ReadableStream>>
+
+  saveDocuments (documentGroupEid: string, dir: string, clientOptions?: Anvil.RequestOptions & { extract?: boolean }): Promise<Anvil.SaveDocumentsResult>
+
+  listWelds (options?: Anvil.ListWeldsOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ currentUser: { organizations: Anvil.Organization[] } }>>
+
+  getWeld (options: Anvil.GetWeldOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ weld: Anvil.Weld | null }>>
+
+  forgeSubmit (options: Anvil.ForgeSubmitOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ forgeSubmit: Anvil.Submission }>>
+
+  startWeld (options: Anvil.StartWeldOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ forgeSubmit: Anvil.Submission }>>
+
+  getWeldData (options: Anvil.GetWeldDataOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ weldData: Anvil.WeldData | null }>>
+
+  listWeldData (options: Anvil.ListWeldDataOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ weld: { eid: string, weldDatas: Anvil.Page<Anvil.WeldData> } | null }>>
+
+  getSubmission (options: Anvil.GetSubmissionOptions, clientOptions?: Anvil.RequestOptions): Promise<Anvil.GraphQLResult<{ submission: Anvil.Submission | null }>>
+
+  downloadWeldDataDocuments (weldDataEid: string, clientOptions: Anvil.BufferRequestOptions & { extract: true }): Promise<Anvil.RESTResult<Anvil.DocumentBuffer[]>>
+  downloadWeldDataDocuments (weldDataEid: string, clientOptions: Anvil.StreamRequestOptions & { extract: true }): Promise<Anvil.RESTResult<AsyncIterable<Anvil.DocumentStream>>>
+  downloadWeldDataDocuments (weldDataEid: string, clientOptions?: Anvil.BufferRequestOptions & { extract?: false }): Promise<Anvil.RESTResult<Buffer>>
+  downloadWeldDataDocuments (weldDataEid: string, clientOptions: Anvil.StreamRequestOptions & { extract?: false }): Promise<Anvil.RESTResult<NodeJS.ReadableStream>>
+
+  paginate<T = any> (
+    queryModule: Anvil.QueryModule | string,
+    variables?: Record<string, any>,
+    options?: Anvil.PaginateOptions,
+    clientOptions?: Anvil.RequestOptions,
+  ): AsyncGenerator<T, void, undefined>
+
+  requestGraphQL<T = any> (operation: Anvil.GraphQLOperation, clientOptions?: Anvil.JSONRequestOptions): Promise<Anvil.GraphQLResult<T>>
+
+  requestREST<T = any> (url: string, fetchOptions: Record<string, any>, clientOptions?: Anvil.JSONRequestOptions): Promise<Anvil.RESTResult<T>>
+}
+
+export = Anvil
@@ -0,0 +1,430 @@
+// Compiled with `yarn test:types`. Nothing here is run.
+import Anvil = require('../index')
+import https = require('https')
+import { URL } from 'url'
+
+const client = new Anvil({ apiKey: 'abc123', throwOnError: true, retry: { maxAttempts: 5 }, timeout: 1000 })
+new Anvil({ accessToken: 'def456', retry: false })
+
+async function fillPDF () {
+  const payload: Anvil.FillPDFPayload = {
+    title: 'Test',
+    fontSize: 8,
+    data: { someFieldId: 'Hello' },
+  }
+
+  const bufferResult = await client.fillPDF('cast123', payload)
+  const buffer: Buffer | undefined = bufferResult.data
+
+  const explicitBufferResult = await client.fillPDF('cast123', payload, { dataType: 'buffer' })
+  const explicitBuffer: Buffer | undefined = explicitBufferResult.data
+
+  const streamResult = await client.fillPDF('cast123', payload, { dataType: 'stream', timeout: 100 })
+  const stream: NodeJS.ReadableStream | undefined = streamResult.data
+  // @ts-expect-error - a stream is not a Buffer
+  const notABuffer: Buffer | undefined = streamResult.data
+
+  // @ts-expect-error - json is not supported
+  await client.fillPDF('cast123', payload, { dataType: 'json' })
+
+  await client.fillPDF('cast123', payload, { validate: true, dataType: 'stream' })
+  const problems: string[] = (await client.validateFillPayload('cast123', payload)).map(({ message }) => message)
+
+  // @ts-expect-error - data is required
+  await client.fillPDF('cast123', { title: 'No data' })
+
+  return [buffer, explicitBuffer, stream, notABuffer, problems]
+}
+
+async function generatePDF () {
+  const { statusCode, data, errors } = await client.generatePDF({
+    title: 'Invoice',
+    data: [
+      { label: 'Name', content: 'Sally' },
+      { table: { firstRowHeaders: true, rows: [['Description', 'Price'], ['Widget', '$1']] } },
+    ],
+  })
+  const code: number = statusCode
+  const pdf: Buffer | undefined = data
+  const message: string | undefined = errors && errors[0].message
+
+  // @ts-expect-error - data must be an array of blocks
+  await client.generatePDF({ data: { label: 'nope' } })
+
+  return [code, pdf, message]
+}
+
+async function etch () {
+  const controller = { aborted: false, addEventListener () {}, removeEventListener () {} }
+  const { data } = await client.createEtchPacket({
+    variables: {
+      name: 'Packet',
+      isDraft: true,
+      files: [
+        { id: 'template', castEid: 'abc' },
+        {
+          id: 'upload',
+          file: Anvil.prepareGraphQLFile('/path/to/file.pdf'),
+          fields: [{ id: 'sig', type: 'signature', pageNum: 0, rect: { x: 1, y: 2, width: 3, height: 4 } }],
+        },
+        { id: 'base64', file: { data: 'abc', filename: 'a.pdf', mimetype: 'application/pdf' } },
+        { id: 'inferred', file: Anvil.prepareGraphQLBase64('data:application/pdf;base64,abc') },
+        { id: 'decoded', file: Anvil.prepareGraphQLBase64('abc', { filename: 'a.pdf', bufferize: true }) },
+        { id: 'url', file: Anvil.prepareGraphQLFile(new URL('https://example.com/a.pdf')) },
+        { id: 'bytes', file: new Uint8Array(3) },
+      ],
+      signers: [{ id: 'signer', name: 'Sally', email: 'sally@example.com', fields: [{ fileId: 'upload', fieldId: 'sig' }] }],
+      signaturePageOptions: { title: 'Sign here' },
+      data: { payloads: { template: { data: { name: 'Sally' } } } },
+    },
+  }, { signal: controller, idempotent: true })
+  const eid: string | undefined = data && data.data && data.data.createEtchPacket.eid
+
+  const packet = await client.getEtchPacket({ variables: { eid: 'abc' } })
+  const status: string | undefined = packet.data && packet.data.data && packet.data.data.etchPacket &&
+    packet.data.data.etchPacket.documentGroup ? packet.data.data.etchPacket.documentGroup.status : undefined
+
+  const { url } = await client.generateEtchSignUrl({ variables: { signerEid: 'a', clientUserId: 'b' } })
+  const signURL: string | undefined = url
+
+  // @ts-expect-error - a field needs a rect
+  await client.createEtchPacket({ variables: { files: [{ id: 'upload', file: Buffer.from(''), fields: [{ id: 'sig', type: 'signature', pageNum: 0 }] }] } })
+  await client.createEtchPacket({ variables: { files: [{ id: 'remote', file: new URL('https://example.com/nda.pdf') }] } })
+
+  return [eid, status, signURL]
+}
+
+async function download () {
+  const { data, response } = await client.downloadDocuments('docGroup', { dataType: 'stream' })
+  const stream: NodeJS.ReadableStream | undefined = data
+  const disposition = response && response.headers.get('content-disposition')
+  return [stream, disposition]
+}
+
+async function graphQL () {
+  const { data } = await client.requestGraphQL<{ currentUser: { eid: string } }>({ query: 'query { currentUser { eid } }' })
+  const eid: string | undefined = data && data.data && data.data.currentUser.eid
+  return eid
+}
+
+function errors (err: unknown) {
+  if (err instanceof Anvil.AnvilTimeoutError) {
+    const abortError: Anvil.AnvilAbortError = err
+    return abortError.path
+  }
+  if (err instanceof Anvil.AnvilError) {
+    const statusCode: number | undefined = err.statusCode
+    const messages: string[] = err.errors.map((e) => e.message)
+    return [statusCode, messages]
+  }
+}
+
+function webhooks () {
+  const event = Anvil.webhooks.parseWebhook<{ eid: string }>('{}', { token: 'abc' })
+  const eid: string = event.data.eid
+  const isComplete = event.action === Anvil.webhooks.WEBHOOK_ACTIONS.ETCH_PACKET_COMPLETE
+  const responseStatus: number = new Anvil.webhooks.WebhookError('Webhook token is invalid', 401).responseStatus
+
+  const handler = Anvil.webhooks.createWebhookHandler({
+    token: 'abc',
+    onEvent: async (event) => { event.data },
+  })
+
+  // @ts-expect-error - onEvent is required
+  Anvil.webhooks.createWebhookHandler({ token: 'abc' })
+  // @ts-expect-error - token is required
+  Anvil.webhooks.createWebhookHandler({ onEvent: () => {} })
+  Anvil.webhooks.createWebhookHandler({ verify: false, onEvent: () => {} })
+
+  return [eid, isComplete, handler]
+}
+
+export { fillPDF, generatePDF, etch, download, graphQL, errors, webhooks }
+
+async function etchPacketBuilder () {
+  const rect = { x: 10, y: 20, width: 100, height: 20 }
+  const variables: Anvil.CreateEtchPacketVariables = new Anvil.EtchPacketBuilder({ name: 'NDA', isTest: true })
+    .addTemplateFile('castEid', { id: 'w4' })
+    .uploadFile('./nda.pdf', [{ id: 'signature', type: 'signature', rect, pageNum: 0 }])
+    .addField({ type: 'signatureDate', rect, pageNum: 0 })
+    .fill('w4', { data: { name: 'Sally' } })
+    .addSigner({ name: 'Sally', email: 'sally@example.com' })
+    .signs('nda', 'signature')
+    .routingOrder(1)
+    .build()
+
+  await client.createEtchPacket({ variables })
+
+  const problems: string[] = new Anvil.EtchPacketBuilder().validate()
+
+  // @ts-expect-error
+  new Anvil.EtchPacketBuilder().addField({ type: 'signature', pageNum: 0 })
+}
+
+async function waitForEtchPacket () {
+  const packet: Anvil.EtchPacket = await client.waitForEtchPacket('packetEid', {
+    until: 'signerEid',
+    interval: 1000,
+    timeout: 60000,
+    onProgress: ({ status, previousStatus, signer }) => {
+      const signerEid: string | undefined = signer && signer.eid
+    },
+  })
+
+  const { packet: completed, documents } = await client.waitForEtchPacket('packetEid', { download: true })
+  const zip: Buffer = documents
+
+  // @ts-expect-error
+  await client.waitForEtchPacket('packetEid', { until: 1 })
+}
+
+async function documents () {
+  const { data: zip } = await client.downloadDocuments('docGroupEid')
+  const zipBuffer: Buffer | undefined = zip
+
+  const { data: files } = await client.downloadDocuments('docGroupEid', { extract: true })
+  if (files) {
+    const { filename, buffer }: Anvil.DocumentBuffer = files[0]
+  }
+
+  const { data: entries } = await client.downloadDocuments('docGroupEid', { dataType: 'stream', extract: true })
+  if (entries) {
+    for await (const { filename, stream } of entries) {
+      stream.resume()
+    }
+  }
+
+  const { files: paths } = await client.saveDocuments('docGroupEid', './documents', { extract: false, timeout: 1000 })
+  const written: string[] | undefined = paths
+}
+
+async function fillPDFBatch () {
+  async function * payloads () {
+    yield { data: { name: 'Sally' }, id: 1 }
+  }
+
+  const { succeeded, results } = await client.fillPDFBatch('cast123', payloads(), {
+    concurrency: 10,
+    output: './pdfs',
+    filename: (payload, index) => `${payload.id}-${index}.pdf`,
+    onProgress: ({ completed, total }) => {},
+    stopOnError: true,
+  }, { timeout: 5000 })
+  const path: string | undefined = results[0].path
+
+  await client.fillPDFBatch('cast123', [{ data: {} }], {
+    output: async (stream, { index, payload }) => { stream.resume() },
+  })
+
+  // @ts-expect-error
+  await client.fillPDFBatch('cast123', [{ title: 'no data' }])
+}
+
+async function rateLimiters () {
+  new Anvil({ apiKey: 'abc123', rateLimit: { limit: 2, intervalMS: 1000 } })
+  new Anvil({ apiKey: 'abc123', rateLimit: false })
+  new Anvil({ apiKey: 'abc123', rateLimit: new Anvil.rateLimiters.FileRateLimiter({ path: '/tmp/anvil.json' }) })
+
+  const store: Anvil.rateLimiters.RateLimitStore = {
+    increment: async (key, windowMS) => ({ count: 1, resetMS: windowMS }),
+    decrement: async (key) => {},
+  }
+  const limiter = new Anvil.rateLimiters.StoreRateLimiter({ store, key: 'anvil:myKey', limit: 100 })
+  new Anvil({ apiKey: 'abc123', rateLimit: limiter })
+
+  const token = await limiter.acquire()
+  await limiter.release(token)
+  await limiter.update({ retryAfterMS: 1000 })
+
+  // @ts-expect-error
+  new Anvil.rateLimiters.StoreRateLimiter({ limit: 100 })
+}
+
+async function middlewares () {
+  client
+    .use(async (req, next) => {
+      req.headers['X-Trace-ID'] = 'abc'
+      const response = await next(req)
+      const status: number = response.status
+      return response
+    })
+    .use(async (req) => {
+      const query: string | undefined = req.graphQL && req.graphQL.query
+      return new Anvil.Response(JSON.stringify({ data: {} }), { status: 200 })
+    })
+
+  // @ts-expect-error
+  client.use(async (req, next) => 'not a response')
+}
+
+function logging () {
+  new Anvil({ apiKey: 'abc123', debug: true })
+  new Anvil({ apiKey: 'abc123', logger: false })
+  new Anvil({ apiKey: 'abc123', logger: { warn: (meta, message) => console.warn(message, meta) } })
+
+  const logger: Anvil.Logger = {
+    debug: (meta, message) => {},
+    info: (meta, message) => {},
+    warn: (meta, message) => {},
+    error: (meta, message) => {},
+  }
+  new Anvil({ apiKey: 'abc123', logger }).logger.debug({ status: 200 }, 'Request finished')
+
+  // @ts-expect-error
+  new Anvil({ apiKey: 'abc123', logger: console.log })
+}
+
+function instrumentation () {
+  const span: Anvil.Span = {
+    setAttributes: (attributes) => span,
+    setStatus: ({ code, message }) => span,
+    recordException: (err) => {},
+    end: () => {},
+  }
+  const tracer: Anvil.Tracer = {
+    startSpan: (name, options) => span,
+    startActiveSpan: (name, options, fn) => fn(span),
+  }
+  const meter: Anvil.Meter = {
+    createCounter: (name) => ({ add: (value, attributes) => {} }),
+    createHistogram: (name, { unit } = {}) => ({ record: (value, attributes) => {} }),
+  }
+  new Anvil({ apiKey: 'abc123', tracer, meter })
+  new Anvil({ apiKey: 'abc123', tracer: { startSpan: () => span } })
+
+  // @ts-expect-error
+  new Anvil({ apiKey: 'abc123', tracer: {} })
+}
+
+async function oauth () {
+  const store: Anvil.TokenStore = {
+    get: async (key) => ({ accessToken: 'abc', refreshToken: 'def', expiresAt: Date.now() }),
+    set: async (key, tokens) => {},
+  }
+  const oauth = new Anvil.OAuth({ clientId: 'abc', clientSecret: 'def', redirectURI: 'https://example.com/callback', store })
+  const url: string = oauth.getAuthorizationURL({ state: 'xyz', scope: ['read'] })
+  const tokens: Anvil.OAuthTokens = await oauth.exchangeCode('code', { key: 'org1' })
+  const accessToken: string = await oauth.getAccessToken('org1')
+  await oauth.refreshAccessToken('org1', { staleAccessToken: accessToken, agent: new https.Agent() })
+  new Anvil.OAuth({ clientId: 'abc', clientSecret: 'def', agent: () => undefined })
+  await oauth.refreshAccessToken('org1', { staleAccessToken: accessToken })
+
+  new Anvil({ oauth, oauthKey: 'org1' })
+  new Anvil.OAuth({ clientId: 'abc', clientSecret: 'def', store: new Anvil.MemoryTokenStore() })
+
+  // @ts-expect-error
+  new Anvil.OAuth({ clientId: 'abc' })
+}
+
+async function pool () {
+  const pool = Anvil.pool({
+    resolveCredentials: async (orgId) => ({ apiKey: `key-${orgId}` }),
+    clientOptions: { retry: { maxAttempts: 5 } },
+    idleTimeoutMS: 60000,
+    maxClients: 100,
+  })
+  const orgClient: Anvil = await pool.forOrganization('org1')
+  const evicted: boolean = pool.evict('org1')
+  const size: number = pool.size
+  pool.close()
+
+  new Anvil({ apiKey: 'abc123', agent: new https.Agent({ keepAlive: true }) })
+  new Anvil({ apiKey: 'abc123', agent: (url) => url.protocol === 'http:' ? undefined : new https.Agent() })
+  new Anvil({ apiKey: 'abc123', keepAlive: { maxSockets: 10 }, ca: [Buffer.from('CERT')], proxy: 'http://proxy:8080' })
+  new Anvil({ apiKey: 'abc123', keepAlive: false, proxy: false })
+  if (pool.agent) pool.agent.destroy()
+
+  // @ts-expect-error
+  new Anvil({ apiKey: 'abc123', proxy: true })
+
+  Anvil.pool({
+    resolveCredentials: (orgId) => ({ apiKey: `key-${orgId}`, proxy: 'http://proxy:8080' }),
+    clientOptions: { rateLimit: { limit: 2 } },
+  })
+
+  // @ts-expect-error
+  Anvil.pool({})
+}
+
+async function progress () {
+  const onProgress = ({ loaded, total }: Anvil.Progress) => {
+    const percent: number | undefined = total ? loaded / total : undefined
+  }
+  await client.downloadDocuments('abc', { onDownloadProgress: onProgress })
+  await client.createEtchPacket({ variables: {} }, { onUploadProgress: onProgress, onDownloadProgress: onProgress })
+
+  // @ts-expect-error
+  await client.fillPDF('abc', { data: {} }, { onDownloadProgress: (progress: number) => {} })
+}
+
+async function workflows () {
+  const welds = await client.listWelds()
+  const slugs: string[][] = welds.data && welds.data.data
+    ? welds.data.data.currentUser.organizations.map(({ welds }) => (welds || []).map(({ slug }) => slug))
+    : []
+
+  const { data } = await client.startWeld({ variables: { forgeEid: 'forge', payload: { name: 'Sally' }, isTest: true } })
+  const weldDataEid: string | undefined = data && data.data && data.data.forgeSubmit.weldData
+    ? data.data.forgeSubmit.weldData.eid
+    : undefined
+
+  await client.forgeSubmit({ variables: { forgeEid: 'forge2', weldDataEid, payload: {}, complete: true } })
+  const weldData = await client.getWeldData({ variables: { eid: 'wd' } })
+  const page = await client.listWeldData({ variables: { weldEid: 'weld', page: 2 } })
+  const pageCount: number | undefined = page.data && page.data.data && page.data.data.weld
+    ? page.data.data.weld.weldDatas.pageCount
+    : undefined
+  await client.getSubmission({ variables: { eid: 'sub' } }, { throwOnError: true })
+  const { data: zip } = await client.downloadWeldDataDocuments('wd', { extract: true })
+
+  // @ts-expect-error
+  await client.startWeld({ variables: { forgeEid: 'forge', weldDataEid: 'wd', payload: {} } })
+
+  return [slugs, weldData, pageCount, zip]
+}
+
+async function etchLifecycle () {
+  const { data } = await client.updateEtchPacket({ variables: { eid: 'packet', name: 'Renamed', isTest: true } })
+  const sent = await client.sendEtchPacket({ variables: { eid: 'packet' } }, { idempotent: true })
+  const groupEid: string | undefined = sent.data && sent.data.data && sent.data.data.sendEtchPacket.documentGroup
+    ? sent.data.data.sendEtchPacket.documentGroup.eid
+    : undefined
+  const voided = await client.voidDocumentGroup({ variables: { eid: groupEid || 'group' } })
+  const status: string | undefined = voided.data && voided.data.data ? voided.data.data.voidDocumentGroup.status : undefined
+  const removed = await client.removeEtchPacket({ variables: { eid: 'packet' } })
+  const ok: boolean | undefined = removed.data && removed.data.data ? removed.data.data.removeEtchPacket : undefined
+  await client.notifySigner({ variables: { signerEid: 'signer' } })
+  await client.updateEtchSigner({ variables: { eid: 'signer', email: 'sally@example.com', notify: true } })
+
+  // @ts-expect-error
+  await client.updateEtchPacket({ variables: { eid: 'packet', isDraft: false } })
+
+  return [data, status, ok]
+}
+
+async function pdfTemplates () {
+  const { templates, pagination } = await client.listPDFTemplates({ page: 2, pageSize: 10 })
+  const titles: string[] = (templates || []).map(({ title }) => title)
+  const pageCount: number | undefined = pagination && pagination.pageCount
+  const { template } = await client.getPDFTemplate('cast123')
+  if (template) {
+    const required: string[] = template.fields.filter((field) => field.required).map(({ id }) => id)
+    const schema = Anvil.pdfTemplateToJSONSchema(template)
+    return [titles, pageCount, required, schema]
+  }
+}
+
+async function paginate () {
+  const eids: string[] = []
+  for await (const weldData of client.paginate<Anvil.WeldData>(Anvil.queries.weldDatas, { weldEid: 'weld123' }, { limit: 50 })) {
+    eids.push(weldData.eid)
+  }
+  for await (const packet of client.paginate('query { etchPackets { nodes { eid } pageInfo { hasNextPage endCursor } } }', {}, { path: 'etchPackets' }, { retry: false })) {
+    eids.push(packet.eid)
+  }
+
+  // @ts-expect-error
+  client.paginate(Anvil.queries.weldDatas, {}, { limit: '50' })
+
+  return eids
+}
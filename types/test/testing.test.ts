@@ -0,0 +1,33 @@
+// Compiled with `yarn test:types`. Nothing here is run.
+import Anvil = require('../index')
+import { createMockServer, MockAnvilServer } from '../testing'
+
+async function mockServer () {
+  const server = await createMockServer({ apiKey: 'abc123', delay: 10 })
+  const client = new Anvil({ apiKey: 'abc123', baseURL: server.url })
+
+  server
+    .injectFault({ path: '/api/v1/fill', status: 429, headers: { 'retry-after': '1' } })
+    .injectFault({ operation: 'createEtchPacket', status: 503, times: 2 })
+    .injectFault({ path: /\.zip$/, reset: true })
+
+  const { data } = await client.createEtchPacket({ variables: { name: 'Packet' } })
+  const packet = data && data.data && data.data.createEtchPacket
+  if (packet) {
+    const completed: Anvil.EtchPacket = server.completeEtchPacket(packet.eid)
+  }
+
+  const { eid } = server.addPDFTemplate({ title: 'NDA', fields: [{ id: 'name', type: 'fullName', pageNum: 0 }] })
+  const { template } = await client.getPDFTemplate(eid)
+
+  const method: string = server.requests[0].method
+  server.expireAccessTokens()
+  const oauthServer = await createMockServer({ accessTokenTTL: 60 })
+  server.reset()
+  await server.close()
+
+  const other: MockAnvilServer = await new MockAnvilServer().listen()
+
+  // @ts-expect-error
+  server.injectFault({ status: '503' })
+}
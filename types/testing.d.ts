@@ -0,0 +1,78 @@
+/// <reference types="node" />
+
+import { IncomingHttpHeaders, Server } from 'http'
+
+import Anvil = require('./index')
+
+export interface MockServerOptions {
+  /** When set, requests with any other API key get a 401 */
+  apiKey?: string
+  /** Milliseconds to wait before every response */
+  delay?: number
+  /** The PDF returned by fill and generate */
+  pdf?: Buffer
+  /** Seconds until the OAuth access tokens it issues expire. Defaults to 3600. */
+  accessTokenTTL?: number
+}
+
+export interface Fault {
+  method?: string
+  /** A path prefix or pattern */
+  path?: string | RegExp
+  /** A GraphQL root field, e.g. 'createEtchPacket' */
+  operation?: string
+  status?: number
+  headers?: Record<string, string>
+  body?: object | string
+  delay?: number
+  /** Destroy the socket, like ECONNRESET */
+  reset?: boolean
+  /** Defaults to 1 */
+  times?: number
+}
+
+export interface RecordedRequest {
+  method: string
+  path: string
+  headers: IncomingHttpHeaders
+  body: Buffer
+  json?: any
+  graphQL?: {
+    operation: string | null
+    query: string
+    variables: Record<string, any>
+    files: Record<string, { filename?: string, mimetype?: string, size: number }>
+    error?: string
+  }
+}
+
+export class MockAnvilServer {
+  constructor (options?: MockServerOptions)
+  options: MockServerOptions
+  server: Server
+  readonly url: string
+  requests: RecordedRequest[]
+  faults: Fault[]
+  etchPackets: Map<string, Anvil.EtchPacket>
+  /** What each packet was created with, to send drafts later */
+  etchPacketVariables: Map<string, Anvil.CreateEtchPacketVariables>
+  /** PDF templates by eid, as the API returns them */
+  pdfTemplates: Map<string, Record<string, any>>
+  /** OAuth access tokens to when they expire */
+  accessTokens: Map<string, number>
+  refreshTokens: Set<string>
+  listen (port?: number): Promise<this>
+  close (): Promise<void>
+  reset (): void
+  injectFault (fault: Fault): this
+  addPDFTemplate (template?: { eid?: string, title?: string, fields?: Array<Record<string, any>> }): Record<string, any>
+  completeSigner (signerEid: string): Anvil.EtchPacket
+  completeEtchPacket (eid: string): Anvil.EtchPacket
+  /** Make every OAuth access token issued so far get a 401, as if they expired */
+  expireAccessTokens (): void
+}
+
+export function createMockServer (options?: MockServerOptions & { port?: number }): Promise<MockAnvilServer>
+
+/** Builds a zip with stored (uncompressed) entries */
+export function createZip (files: Record<string, string | Buffer>): Buffer